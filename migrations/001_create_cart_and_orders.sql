@@ -0,0 +1,46 @@
+-- Shopping cart and order placement
+
+CREATE TABLE IF NOT EXISTS cart (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, product_id)
+);
+
+CREATE TABLE IF NOT EXISTS orders (
+  id SERIAL PRIMARY KEY,
+  customer_id INTEGER NOT NULL REFERENCES users(id),
+  shop_id INTEGER NOT NULL REFERENCES shops(id),
+  status VARCHAR(32) NOT NULL DEFAULT 'placed'
+    CHECK (status IN ('placed', 'accepted', 'ready_for_pickup', 'out_for_delivery', 'completed', 'cancelled')),
+  fulfillment_type VARCHAR(16) NOT NULL DEFAULT 'pickup'
+    CHECK (fulfillment_type IN ('pickup', 'delivery')),
+  delivery_address TEXT,
+  notes TEXT,
+  total NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  cancel_reason TEXT,
+  cancelled_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  accepted_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  cancelled_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS orders_customer_id_idx ON orders (customer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS orders_shop_id_idx ON orders (shop_id, status, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS order_items (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+  title VARCHAR(255) NOT NULL,
+  unit_price NUMERIC(12, 2) NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS order_items_order_id_idx ON order_items (order_id);
@@ -0,0 +1,21 @@
+-- Time-limited stock holds ("hold for pickup")
+
+CREATE TABLE IF NOT EXISTS stock_reservations (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  customer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  status VARCHAR(16) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'fulfilled', 'cancelled', 'expired')),
+  note TEXT,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  closed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS stock_reservations_active_idx
+  ON stock_reservations (product_id, expires_at)
+  WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS stock_reservations_customer_id_idx
+  ON stock_reservations (customer_id, created_at DESC);
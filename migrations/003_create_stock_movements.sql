@@ -0,0 +1,24 @@
+-- Auditable stock ledger; products.stock is the running sum of a product's movements
+
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  movement_type VARCHAR(16) NOT NULL
+    CHECK (movement_type IN ('sale', 'restock', 'adjustment', 'reservation', 'return')),
+  quantity INTEGER NOT NULL CHECK (quantity <> 0),
+  stock_after INTEGER NOT NULL CHECK (stock_after >= 0),
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reason TEXT,
+  reference_type VARCHAR(32),
+  reference_id INTEGER,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS stock_movements_product_id_idx ON stock_movements (product_id, created_at DESC, id DESC);
+
+-- Opening balances so the ledger sums to the current stock of existing products
+INSERT INTO stock_movements (product_id, movement_type, quantity, stock_after, reason, created_at)
+SELECT p.id, 'adjustment', p.stock, p.stock, 'Opening balance', NOW()
+FROM products p
+WHERE p.stock <> 0
+AND NOT EXISTS (SELECT 1 FROM stock_movements m WHERE m.product_id = p.id);
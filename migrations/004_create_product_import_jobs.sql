@@ -0,0 +1,23 @@
+-- Tracked bulk product imports
+
+CREATE TABLE IF NOT EXISTS product_import_jobs (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  file_name VARCHAR(255),
+  format VARCHAR(8) NOT NULL CHECK (format IN ('csv', 'xlsx')),
+  status VARCHAR(16) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+  total_rows INTEGER NOT NULL DEFAULT 0,
+  processed_rows INTEGER NOT NULL DEFAULT 0,
+  created_count INTEGER NOT NULL DEFAULT 0,
+  updated_count INTEGER NOT NULL DEFAULT 0,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  row_errors JSONB NOT NULL DEFAULT '[]',
+  error_message TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS product_import_jobs_shop_id_idx ON product_import_jobs (shop_id, created_at DESC);
@@ -0,0 +1,29 @@
+-- Sellable variants of a product (colour, storage, RAM, ...)
+
+CREATE TABLE IF NOT EXISTS product_variants (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  sku VARCHAR(64),
+  options JSONB NOT NULL DEFAULT '{}',
+  price NUMERIC(12, 2) NOT NULL CHECK (price >= 0),
+  stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+  image_url TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (product_id, options)
+);
+
+CREATE INDEX IF NOT EXISTS product_variants_product_id_idx ON product_variants (product_id);
+CREATE INDEX IF NOT EXISTS product_variants_options_idx ON product_variants USING GIN (options);
+
+-- Cart lines, order lines and stock movements may point at a variant
+ALTER TABLE cart ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE;
+ALTER TABLE cart DROP CONSTRAINT IF EXISTS cart_user_id_product_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS cart_user_product_variant_idx ON cart (user_id, product_id, COALESCE(variant_id, 0));
+
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_options JSONB;
+
+-- A deleted variant's movements stay in the ledger; its remaining stock is written off first
+ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS stock_movements_variant_id_idx ON stock_movements (variant_id, created_at DESC) WHERE variant_id IS NOT NULL;
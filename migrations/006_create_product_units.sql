@@ -0,0 +1,27 @@
+-- Per-unit serial number / IMEI tracking
+
+-- Which identifier a catalog item's units carry
+ALTER TABLE electronics_catalog ADD COLUMN IF NOT EXISTS serial_tracking VARCHAR(8) NOT NULL DEFAULT 'none'
+  CHECK (serial_tracking IN ('none', 'serial', 'imei'));
+
+CREATE TABLE IF NOT EXISTS product_units (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL,
+  serial_number VARCHAR(64) NOT NULL,
+  imei VARCHAR(15),
+  status VARCHAR(16) NOT NULL DEFAULT 'in_stock'
+    CHECK (status IN ('in_stock', 'reserved', 'sold', 'returned')),
+  order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+  order_item_id INTEGER REFERENCES order_items(id) ON DELETE SET NULL,
+  sold_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  sold_at TIMESTAMP,
+  notes TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS product_units_serial_number_idx ON product_units (UPPER(serial_number));
+CREATE UNIQUE INDEX IF NOT EXISTS product_units_imei_idx ON product_units (imei) WHERE imei IS NOT NULL;
+CREATE INDEX IF NOT EXISTS product_units_product_id_idx ON product_units (product_id, status);
+CREATE INDEX IF NOT EXISTS product_units_order_item_id_idx ON product_units (order_item_id) WHERE order_item_id IS NOT NULL;
@@ -0,0 +1,13 @@
+-- Per-category spec schemas for electronics_catalog.specs
+
+CREATE TABLE IF NOT EXISTS category_spec_schemas (
+  id SERIAL PRIMARY KEY,
+  category VARCHAR(100) NOT NULL,
+  -- [{ key, label, type, unit, required, allowedValues, min, max }]
+  fields JSONB NOT NULL DEFAULT '[]',
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS category_spec_schemas_category_idx ON category_spec_schemas (LOWER(category));
@@ -0,0 +1,59 @@
+-- Hierarchical category tree for the electronics catalog
+
+CREATE TABLE IF NOT EXISTS categories (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  slug VARCHAR(120) NOT NULL UNIQUE,
+  parent_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
+  icon VARCHAR(255),
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (parent_id IS NULL OR parent_id <> id)
+);
+
+-- Sibling names are unique; top-level categories share the NULL parent
+CREATE UNIQUE INDEX IF NOT EXISTS categories_parent_name_idx ON categories (COALESCE(parent_id, 0), LOWER(name));
+CREATE INDEX IF NOT EXISTS categories_parent_id_idx ON categories (parent_id);
+
+ALTER TABLE electronics_catalog ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT;
+CREATE INDEX IF NOT EXISTS electronics_catalog_category_id_idx ON electronics_catalog (category_id);
+
+-- Turn the existing free-text categories into top-level categories
+-- Names whose slug is already taken (e.g. "Phones." next to "Phones") file under that category below
+INSERT INTO categories (name, slug, created_at, updated_at)
+SELECT DISTINCT ON (LOWER(TRIM(category)))
+  TRIM(category),
+  TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(category)), '[^a-z0-9]+', '-', 'g')),
+  NOW(), NOW()
+FROM electronics_catalog
+WHERE category IS NOT NULL
+  AND REGEXP_REPLACE(LOWER(category), '[^a-z0-9]+', '', 'g') <> ''
+ORDER BY LOWER(TRIM(category)), category
+ON CONFLICT DO NOTHING;
+
+UPDATE electronics_catalog ec
+SET category_id = (
+  SELECT cat.id FROM categories cat
+  WHERE cat.parent_id IS NULL
+  AND (LOWER(cat.name) = LOWER(TRIM(ec.category))
+    OR cat.slug = TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(ec.category)), '[^a-z0-9]+', '-', 'g')))
+  ORDER BY (LOWER(cat.name) = LOWER(TRIM(ec.category))) DESC, cat.id
+  LIMIT 1
+)
+WHERE ec.category_id IS NULL
+  AND ec.category IS NOT NULL AND TRIM(ec.category) <> '';
+
+-- A category with no letters or digits has no slug; stop rather than drop its items from every filter
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM electronics_catalog
+    WHERE category_id IS NULL AND category IS NOT NULL AND TRIM(category) <> ''
+  ) THEN
+    RAISE EXCEPTION 'Catalog categories left without a category: %', (
+      SELECT string_agg(DISTINCT category, ', ') FROM electronics_catalog
+      WHERE category_id IS NULL AND category IS NOT NULL AND TRIM(category) <> ''
+    );
+  END IF;
+END $$;
@@ -0,0 +1,43 @@
+-- Brand registry with aliases and logos
+
+CREATE TABLE IF NOT EXISTS brands (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  slug VARCHAR(120) NOT NULL UNIQUE,
+  logo_url VARCHAR(500),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS brands_name_idx ON brands (LOWER(name));
+
+-- Other spellings that resolve to a brand, e.g. 'SAMSUNG', 'Samsung Electronics'
+CREATE TABLE IF NOT EXISTS brand_aliases (
+  id SERIAL PRIMARY KEY,
+  brand_id INTEGER NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  alias VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS brand_aliases_alias_idx ON brand_aliases (LOWER(alias));
+CREATE INDEX IF NOT EXISTS brand_aliases_brand_id_idx ON brand_aliases (brand_id);
+
+ALTER TABLE electronics_catalog ADD COLUMN IF NOT EXISTS brand_id INTEGER REFERENCES brands(id) ON DELETE RESTRICT;
+CREATE INDEX IF NOT EXISTS electronics_catalog_brand_id_idx ON electronics_catalog (brand_id);
+
+-- One brand per case-insensitive spelling already in the catalog; admins merge the rest
+INSERT INTO brands (name, slug, created_at, updated_at)
+SELECT DISTINCT ON (LOWER(TRIM(brand)))
+  TRIM(brand),
+  TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(brand)), '[^a-z0-9]+', '-', 'g')),
+  NOW(), NOW()
+FROM electronics_catalog
+WHERE brand IS NOT NULL AND TRIM(brand) <> ''
+ORDER BY LOWER(TRIM(brand)), brand
+ON CONFLICT DO NOTHING;
+
+UPDATE electronics_catalog ec
+SET brand_id = b.id, brand = b.name
+FROM brands b
+WHERE ec.brand_id IS NULL
+  AND LOWER(b.name) = LOWER(TRIM(ec.brand));
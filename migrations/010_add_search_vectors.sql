@@ -0,0 +1,53 @@
+-- Weighted full-text search vectors: title/name (A) > brand (B) > specs (C) > description (D)
+
+ALTER TABLE electronics_catalog ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(brand, '')), 'B') ||
+    setweight(jsonb_to_tsvector('english', COALESCE(specs, '{}'::jsonb), '["string", "numeric"]'), 'C')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS electronics_catalog_search_vector_idx ON electronics_catalog USING GIN (search_vector);
+
+-- Products take brand and specs from their catalog item, so the vector is kept by triggers
+ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector tsvector;
+
+CREATE OR REPLACE FUNCTION products_search_vector_update() RETURNS trigger AS $$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+    COALESCE((
+      SELECT setweight(to_tsvector('english', COALESCE(c.brand, '')), 'B') ||
+             setweight(jsonb_to_tsvector('english', COALESCE(c.specs, '{}'::jsonb), '["string", "numeric"]'), 'C')
+      FROM electronics_catalog c
+      WHERE c.id = NEW.catalog_id
+    ), ''::tsvector) ||
+    setweight(to_tsvector('english', COALESCE(NEW.description, '')), 'D');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS products_search_vector_trigger ON products;
+CREATE TRIGGER products_search_vector_trigger
+  BEFORE INSERT OR UPDATE OF title, description, catalog_id ON products
+  FOR EACH ROW EXECUTE FUNCTION products_search_vector_update();
+
+-- Re-index the products of a catalog item whose brand or specs change
+CREATE OR REPLACE FUNCTION catalog_products_search_vector_refresh() RETURNS trigger AS $$
+BEGIN
+  UPDATE products SET title = title WHERE catalog_id = NEW.id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS catalog_products_search_vector_trigger ON electronics_catalog;
+CREATE TRIGGER catalog_products_search_vector_trigger
+  AFTER UPDATE OF brand, specs ON electronics_catalog
+  FOR EACH ROW
+  WHEN (OLD.brand IS DISTINCT FROM NEW.brand OR OLD.specs IS DISTINCT FROM NEW.specs)
+  EXECUTE FUNCTION catalog_products_search_vector_refresh();
+
+-- Backfill existing products
+UPDATE products SET title = title;
+
+CREATE INDEX IF NOT EXISTS products_search_vector_idx ON products USING GIN (search_vector);
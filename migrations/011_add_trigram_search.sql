@@ -0,0 +1,32 @@
+-- Trigram indexes for typo-tolerant suggestions and "did you mean"
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS electronics_catalog_name_trgm_idx ON electronics_catalog USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS brands_name_trgm_idx ON brands USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS brand_aliases_alias_trgm_idx ON brand_aliases USING GIN (alias gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS categories_name_trgm_idx ON categories USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS shops_name_trgm_idx ON shops USING GIN (name gin_trgm_ops);
+
+-- Every word customers might mean, for correcting misspelt searches
+CREATE MATERIALIZED VIEW IF NOT EXISTS search_vocabulary AS
+SELECT word, SUM(weight)::int as frequency
+FROM (
+  SELECT LOWER(w) as word, 1 as weight
+  FROM electronics_catalog, regexp_split_to_table(name, '[^[:alnum:]]+') w
+  UNION ALL
+  SELECT LOWER(w), 5
+  FROM brands, regexp_split_to_table(name, '[^[:alnum:]]+') w
+  UNION ALL
+  SELECT LOWER(w), 5
+  FROM categories, regexp_split_to_table(name, '[^[:alnum:]]+') w
+  UNION ALL
+  SELECT LOWER(w), 1
+  FROM products, regexp_split_to_table(title, '[^[:alnum:]]+') w
+) words
+WHERE LENGTH(word) >= 2
+GROUP BY word;
+
+-- The unique index lets the refresh job run REFRESH ... CONCURRENTLY
+CREATE UNIQUE INDEX IF NOT EXISTS search_vocabulary_word_idx ON search_vocabulary (word);
+CREATE INDEX IF NOT EXISTS search_vocabulary_word_trgm_idx ON search_vocabulary USING GIN (word gin_trgm_ops);
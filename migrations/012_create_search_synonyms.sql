@@ -0,0 +1,17 @@
+-- Admin-managed search synonyms and query rewrites
+
+CREATE TABLE IF NOT EXISTS search_synonyms (
+  id SERIAL PRIMARY KEY,
+  -- synonym: term and synonyms all match each other; rewrite: term is replaced by replacement
+  rule_type VARCHAR(10) NOT NULL CHECK (rule_type IN ('synonym', 'rewrite')),
+  term VARCHAR(100) NOT NULL,
+  synonyms TEXT[] NOT NULL DEFAULT '{}',
+  replacement VARCHAR(200),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (rule_type <> 'rewrite' OR replacement IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS search_synonyms_type_term_idx ON search_synonyms (rule_type, LOWER(term));
@@ -0,0 +1,19 @@
+-- One row per search against products, catalog items or shops, for admin reports
+
+CREATE TABLE IF NOT EXISTS search_logs (
+  id BIGSERIAL PRIMARY KEY,
+  scope VARCHAR(10) NOT NULL CHECK (scope IN ('product', 'catalog', 'shop')),
+  query TEXT,
+  -- Lower-cased, whitespace-collapsed query used to group reports
+  normalized_query TEXT,
+  filters JSONB NOT NULL DEFAULT '{}',
+  -- Geohash of the searcher's location, coarse enough not to pinpoint anyone
+  location_cell VARCHAR(12),
+  result_count INTEGER NOT NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS search_logs_created_at_idx ON search_logs (created_at);
+CREATE INDEX IF NOT EXISTS search_logs_query_idx ON search_logs (normalized_query, created_at);
+CREATE INDEX IF NOT EXISTS search_logs_cell_idx ON search_logs (location_cell, created_at);
@@ -0,0 +1,14 @@
+-- Areas a shop delivers to, drawn as polygons
+
+CREATE TABLE IF NOT EXISTS shop_delivery_zones (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  name VARCHAR(100),
+  area GEOMETRY(Polygon, 4326) NOT NULL CHECK (ST_IsValid(area)),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS shop_delivery_zones_shop_id_idx ON shop_delivery_zones (shop_id);
+CREATE INDEX IF NOT EXISTS shop_delivery_zones_area_idx ON shop_delivery_zones USING GIST (area);
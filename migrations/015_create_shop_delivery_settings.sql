@@ -0,0 +1,12 @@
+-- Per-shop delivery pricing: distance fee tiers, minimum order value and maximum distance
+
+CREATE TABLE IF NOT EXISTS shop_delivery_settings (
+  shop_id INTEGER PRIMARY KEY REFERENCES shops(id) ON DELETE CASCADE,
+  -- [{ upToKm, fee }] sorted by upToKm; the last tier's distance is the furthest the shop delivers
+  fee_tiers JSONB NOT NULL DEFAULT '[]',
+  min_order_value NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (min_order_value >= 0),
+  max_distance_km NUMERIC(6, 2) CHECK (max_distance_km > 0),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
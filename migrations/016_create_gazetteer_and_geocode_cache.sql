@@ -0,0 +1,38 @@
+-- Local gazetteer for offline geocoding, and a cache of paid geocoding API responses
+
+CREATE TABLE IF NOT EXISTS gazetteer_places (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  -- e.g. locality, pincode, city, district, state, landmark
+  place_type VARCHAR(30) NOT NULL DEFAULT 'locality',
+  pincode VARCHAR(10),
+  city VARCHAR(100),
+  district VARCHAR(100),
+  state VARCHAR(100),
+  country VARCHAR(100) NOT NULL DEFAULT 'India',
+  location GEOMETRY(Point, 4326) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Re-importing a file updates places instead of duplicating them
+CREATE UNIQUE INDEX IF NOT EXISTS gazetteer_places_identity_idx
+  ON gazetteer_places (place_type, LOWER(name), COALESCE(pincode, ''));
+CREATE INDEX IF NOT EXISTS gazetteer_places_pincode_idx ON gazetteer_places (pincode);
+CREATE INDEX IF NOT EXISTS gazetteer_places_name_trgm_idx ON gazetteer_places USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS gazetteer_places_location_idx ON gazetteer_places USING GIST (location);
+
+CREATE TABLE IF NOT EXISTS geocode_cache (
+  id SERIAL PRIMARY KEY,
+  provider VARCHAR(30) NOT NULL,
+  -- geocode, reverse or nearby
+  lookup_type VARCHAR(20) NOT NULL,
+  -- Normalised request, e.g. the lower-cased address or rounded coordinates
+  lookup_key TEXT NOT NULL,
+  result JSONB NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS geocode_cache_lookup_idx ON geocode_cache (provider, lookup_type, lookup_key);
+CREATE INDEX IF NOT EXISTS geocode_cache_expires_at_idx ON geocode_cache (expires_at);
@@ -0,0 +1,19 @@
+-- Customers' saved delivery addresses, so searches can start from "Home" instead of GPS
+
+CREATE TABLE IF NOT EXISTS user_addresses (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  label VARCHAR(50),
+  line TEXT NOT NULL,
+  landmark VARCHAR(255),
+  pincode VARCHAR(10),
+  location GEOMETRY(Point, 4326) NOT NULL,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS user_addresses_user_id_idx ON user_addresses (user_id);
+
+-- At most one default address per user
+CREATE UNIQUE INDEX IF NOT EXISTS user_addresses_default_idx ON user_addresses (user_id) WHERE is_default;
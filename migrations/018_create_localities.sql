@@ -0,0 +1,22 @@
+-- Neighbourhoods customers browse by, e.g. "Lajpat Nagar" or "560034"
+
+CREATE TABLE IF NOT EXISTS localities (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  city VARCHAR(100),
+  state VARCHAR(100),
+  pincodes TEXT[] NOT NULL DEFAULT '{}',
+  -- Localities imported without a boundary cover a circle of radius_m around their centroid
+  boundary GEOMETRY(MultiPolygon, 4326) CHECK (boundary IS NULL OR ST_IsValid(boundary)),
+  centroid GEOMETRY(Point, 4326) NOT NULL,
+  radius_m INTEGER NOT NULL DEFAULT 1500 CHECK (radius_m > 0),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Re-importing a source updates localities instead of duplicating them
+CREATE UNIQUE INDEX IF NOT EXISTS localities_identity_idx ON localities (LOWER(name), LOWER(COALESCE(city, '')));
+CREATE INDEX IF NOT EXISTS localities_name_trgm_idx ON localities USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS localities_pincodes_idx ON localities USING GIN (pincodes);
+CREATE INDEX IF NOT EXISTS localities_boundary_idx ON localities USING GIST (boundary);
+CREATE INDEX IF NOT EXISTS localities_centroid_idx ON localities USING GIST (centroid);
@@ -0,0 +1,4 @@
+-- Delivery fee charged on an order, quoted from the shop's delivery settings at checkout
+-- The order total includes it
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_fee NUMERIC(10, 2) NOT NULL DEFAULT 0;
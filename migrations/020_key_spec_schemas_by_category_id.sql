@@ -0,0 +1,39 @@
+-- Spec schemas belong to one category in the tree rather than to a category name,
+-- so categories sharing a name under different parents keep their own schemas
+
+ALTER TABLE category_spec_schemas ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE;
+
+-- Schemas for names not in the tree yet become top-level categories
+INSERT INTO categories (name, slug, created_at, updated_at)
+SELECT TRIM(s.category),
+  TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(s.category)), '[^a-z0-9]+', '-', 'g')),
+  NOW(), NOW()
+FROM category_spec_schemas s
+WHERE s.category_id IS NULL
+  AND REGEXP_REPLACE(LOWER(s.category), '[^a-z0-9]+', '', 'g') <> ''
+  AND NOT EXISTS (SELECT 1 FROM categories c WHERE LOWER(c.name) = LOWER(TRIM(s.category)))
+ON CONFLICT DO NOTHING;
+
+-- A name shared by several categories goes to the top-level one, as lookups by name did
+UPDATE category_spec_schemas s
+SET category_id = (
+  SELECT c.id FROM categories c
+  WHERE LOWER(c.name) = LOWER(TRIM(s.category))
+  OR c.slug = TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(s.category)), '[^a-z0-9]+', '-', 'g'))
+  ORDER BY (LOWER(c.name) = LOWER(TRIM(s.category))) DESC, c.parent_id NULLS FIRST, c.id
+  LIMIT 1
+)
+WHERE s.category_id IS NULL;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM category_spec_schemas WHERE category_id IS NULL) THEN
+    RAISE EXCEPTION 'Spec schemas left without a category: %',
+      (SELECT string_agg(category, ', ') FROM category_spec_schemas WHERE category_id IS NULL);
+  END IF;
+END $$;
+
+DROP INDEX IF EXISTS category_spec_schemas_category_idx;
+ALTER TABLE category_spec_schemas ALTER COLUMN category_id SET NOT NULL;
+ALTER TABLE category_spec_schemas DROP COLUMN IF EXISTS category;
+CREATE UNIQUE INDEX IF NOT EXISTS category_spec_schemas_category_id_idx ON category_spec_schemas (category_id);
@@ -0,0 +1,7 @@
+-- Holds on a product with variants are for one variant, whose stock they set aside
+
+ALTER TABLE stock_reservations ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS stock_reservations_variant_active_idx
+  ON stock_reservations (variant_id, expires_at)
+  WHERE status = 'active' AND variant_id IS NOT NULL;
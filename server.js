@@ -1,8 +1,12 @@
 const app = require('./src/app');
+const reservationExpiryJob = require('./src/jobs/reservation-expiry.job');
+const searchVocabularyJob = require('./src/jobs/search-vocabulary.job');
 require('dotenv').config();
 
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
   console.log(`Hyperlocal Marketplace backend running on port ${PORT}`);
+  reservationExpiryJob.start();
+  searchVocabularyJob.start();
 });
@@ -10,6 +10,12 @@ const shopRoutes = require('./routes/shop.routes');
 const productRoutes = require('./routes/product.routes');
 const catalogRoutes = require('./routes/catalog.routes');
 const adminRoutes = require('./routes/admin.routes');
+const cartRoutes = require('./routes/cart.routes');
+const orderRoutes = require('./routes/order.routes');
+const reservationRoutes = require('./routes/reservation.routes');
+const unitRoutes = require('./routes/unit.routes');
+const searchRoutes = require('./routes/search.routes');
+const localityRoutes = require('./routes/locality.routes');
 
 const app = express();
 
@@ -26,6 +32,12 @@ app.use('/api/shops', shopRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/catalog', catalogRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/units', unitRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/localities', localityRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
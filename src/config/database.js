@@ -20,7 +20,25 @@ pool.query('SELECT NOW()', (err, res) => {
   }
 });
 
+// Run a callback inside a transaction on a dedicated client
+const transaction = async (callback) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = {
   query: (text, params) => pool.query(text, params),
+  transaction,
   pool
 };
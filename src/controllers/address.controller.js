@@ -0,0 +1,67 @@
+const addressService = require('../services/address.service');
+const { validationResult } = require('express-validator');
+
+// Read the address fields from the request body
+const addressData = (body) => {
+  const { label, line, landmark, pincode, latitude, longitude, isDefault } = body;
+
+  return {
+    label,
+    line,
+    landmark,
+    pincode,
+    latitude: latitude !== undefined ? parseFloat(latitude) : undefined,
+    longitude: longitude !== undefined ? parseFloat(longitude) : undefined,
+    isDefault
+  };
+};
+
+// Get the current user's saved addresses
+exports.getAddresses = async (req, res, next) => {
+  try {
+    const addresses = await addressService.getAddresses(req.user.sub);
+    res.json(addresses);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Save an address for the current user
+exports.createAddress = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const address = await addressService.createAddress(req.user.sub, addressData(req.body));
+    res.status(201).json(address);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update one of the current user's addresses
+exports.updateAddress = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const address = await addressService.updateAddress(req.user.sub, req.params.id, addressData(req.body));
+    res.json(address);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete one of the current user's addresses
+exports.deleteAddress = async (req, res, next) => {
+  try {
+    const result = await addressService.deleteAddress(req.user.sub, req.params.id);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
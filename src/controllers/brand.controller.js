@@ -0,0 +1,98 @@
+const brandService = require('../services/brand.service');
+const { validationResult } = require('express-validator');
+
+// Accept aliases as an array, a JSON array string or a comma-separated string (multipart forms)
+const parseAliases = (value) => {
+  if (value === undefined || Array.isArray(value)) {
+    return value;
+  }
+  if (String(value).trim().startsWith('[')) {
+    return JSON.parse(value);
+  }
+  return String(value).split(',');
+};
+
+// Get all brands
+exports.getBrands = async (req, res, next) => {
+  try {
+    const brands = await brandService.getBrands(req.query.search);
+    res.json(brands);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a brand by ID
+exports.getBrandById = async (req, res, next) => {
+  try {
+    const brand = await brandService.getBrand(req.params.id);
+    res.json(brand);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Register a brand (admin only)
+exports.createBrand = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const brand = await brandService.createBrand({
+      name: req.body.name,
+      aliases: parseAliases(req.body.aliases) || [],
+      logo: req.file
+    });
+
+    res.status(201).json(brand);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a brand (admin only)
+exports.updateBrand = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const brand = await brandService.updateBrand(req.params.id, {
+      name: req.body.name,
+      aliases: parseAliases(req.body.aliases),
+      logo: req.file
+    });
+
+    res.json(brand);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a brand (admin only)
+exports.deleteBrand = async (req, res, next) => {
+  try {
+    await brandService.deleteBrand(req.params.id);
+    res.status(200).json({ message: 'Brand deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Merge duplicate brands into this one (admin only)
+exports.mergeBrands = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await brandService.mergeBrands(req.params.id, req.body.sourceIds);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
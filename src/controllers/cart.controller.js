@@ -0,0 +1,74 @@
+const cartService = require('../services/cart.service');
+const { validationResult } = require('express-validator');
+
+// Get the current user's cart
+exports.getCart = async (req, res, next) => {
+  try {
+    const cart = await cartService.getCart(req.user.sub);
+    res.json(cart);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add a product to the cart
+exports.addItem = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, variantId, quantity = 1 } = req.body;
+
+    const item = await cartService.addItem(req.user.sub, productId, parseInt(quantity), variantId || null);
+    res.status(201).json(item);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change the quantity of a cart line
+exports.updateItem = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const item = await cartService.updateItem(req.user.sub, req.params.itemId, parseInt(req.body.quantity));
+
+    if (!item) {
+      return res.status(404).json({ message: 'Cart item not found' });
+    }
+
+    res.json(item);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a line from the cart
+exports.removeItem = async (req, res, next) => {
+  try {
+    const removed = await cartService.removeItem(req.user.sub, req.params.itemId);
+
+    if (!removed) {
+      return res.status(404).json({ message: 'Cart item not found' });
+    }
+
+    res.status(200).json({ message: 'Cart item removed successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Empty the cart
+exports.clearCart = async (req, res, next) => {
+  try {
+    await cartService.clearCart(req.user.sub);
+    res.status(200).json({ message: 'Cart cleared successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
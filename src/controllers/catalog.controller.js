@@ -1,5 +1,9 @@
 const catalogService = require('../services/catalog.service');
 const s3Service = require('../services/s3.service');
+const specSchemaService = require('../services/spec-schema.service');
+const categoryService = require('../services/category.service');
+const offerService = require('../services/offer.service');
+const searchService = require('../services/search.service');
 const { validationResult } = require('express-validator');
 
 // Create a new catalog item (admin only)
@@ -10,7 +14,7 @@ exports.createCatalogItem = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, brand, category, specs } = req.body;
+    const { name, brand, brandId, category, categoryId, specs, serialTracking } = req.body;
     let imageUrl = null;
 
     // If image file is uploaded
@@ -21,9 +25,12 @@ exports.createCatalogItem = async (req, res, next) => {
     const catalogItem = await catalogService.createCatalogItem({
       name,
       brand,
+      brandId: brandId ? parseInt(brandId) : undefined,
       category,
+      categoryId: categoryId ? parseInt(categoryId) : undefined,
       specs: specs ? JSON.parse(specs) : {},
-      imageUrl
+      imageUrl,
+      serialTracking
     });
 
     res.status(201).json(catalogItem);
@@ -35,19 +42,36 @@ exports.createCatalogItem = async (req, res, next) => {
 // Get all catalog items
 exports.getAllCatalogItems = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, search, category, brand, sortBy, sortOrder } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 10, cursor, search, category, brand, specs, sortBy, sortOrder } = req.query;
     
     const filters = {};
     if (search) filters.search = search;
     if (category) filters.category = category;
     if (brand) filters.brand = brand;
+    if (specs && typeof specs === 'object') filters.specs = specs;
     
     const sort = {};
     if (sortBy) sort.field = sortBy;
     if (sortOrder) sort.order = sortOrder;
 
-    const catalogItems = await catalogService.getCatalogItems(page, limit, filters, sort);
+    const catalogItems = await catalogService.getCatalogItems(page, limit, filters, sort, cursor);
     res.json(catalogItems);
+
+    // Scrolling on with a cursor continues a search that was already logged
+    if (!cursor) {
+      searchService.logSearch('catalog', {
+        query: search,
+        filters,
+        resultCount: catalogItems.pagination.total,
+        page,
+        userId: req.user && req.user.sub
+      });
+    }
   } catch (error) {
     next(error);
   }
@@ -68,6 +92,30 @@ exports.getCatalogItemById = async (req, res, next) => {
   }
 };
 
+// Compare the shops selling a catalog item, optionally near the caller
+exports.getCatalogItemOffers = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { lat, lng, radius, sort } = req.query;
+
+    const offers = await offerService.getOffers(req.params.id, {
+      lat: lat !== undefined ? parseFloat(lat) : undefined,
+      lng: lng !== undefined ? parseFloat(lng) : undefined,
+      // Radius comes in km; offers are filtered in meters
+      radius: radius !== undefined ? parseFloat(radius) * 1000 : undefined,
+      sort
+    });
+
+    res.json(offers);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Update a catalog item (admin only)
 exports.updateCatalogItem = async (req, res, next) => {
   try {
@@ -76,7 +124,7 @@ exports.updateCatalogItem = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, brand, category, specs } = req.body;
+    const { name, brand, brandId, category, categoryId, specs, serialTracking } = req.body;
     const catalogItemId = req.params.id;
     let imageUrl = null;
 
@@ -99,9 +147,12 @@ exports.updateCatalogItem = async (req, res, next) => {
     const updateData = {
       name,
       brand,
+      brandId: brandId ? parseInt(brandId) : undefined,
       category,
+      categoryId: categoryId ? parseInt(categoryId) : undefined,
       specs: specs ? JSON.parse(specs) : existingCatalogItem.specs,
-      imageUrl: imageUrl || existingCatalogItem.imageUrl
+      imageUrl: imageUrl || existingCatalogItem.imageUrl,
+      serialTracking
     };
 
     const updatedCatalogItem = await catalogService.updateCatalogItem(catalogItemId, updateData);
@@ -138,17 +189,76 @@ exports.deleteCatalogItem = async (req, res, next) => {
 // Get catalog items by category
 exports.getCatalogItemsByCategory = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, sortBy, sortOrder } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 10, cursor, sortBy, sortOrder } = req.query;
     const category = req.params.category;
     
     const sort = {};
     if (sortBy) sort.field = sortBy;
     if (sortOrder) sort.order = sortOrder;
 
-    const catalogItems = await catalogService.getCatalogItemsByCategory(category, page, limit, sort);
+    const catalogItems = await catalogService.getCatalogItemsByCategory(category, page, limit, sort, cursor);
     res.json(catalogItems);
   } catch (error) {
     next(error);
   }
 };
 
+// Get the category tree
+exports.getCategories = async (req, res, next) => {
+  try {
+    const categories = await categoryService.getTree();
+    res.json(categories);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get all category spec schemas
+exports.getSpecSchemas = async (req, res, next) => {
+  try {
+    const schemas = await specSchemaService.getSchemas();
+    res.json(schemas);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the spec schema for a category
+exports.getSpecSchema = async (req, res, next) => {
+  try {
+    const schema = await specSchemaService.getSchema(req.params.category);
+    res.json(schema);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Define or replace a category's spec schema (admin only)
+exports.saveSpecSchema = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schema = await specSchemaService.saveSchema(req.params.category, req.body.fields, req.user);
+    res.json(schema);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a category's spec schema (admin only)
+exports.deleteSpecSchema = async (req, res, next) => {
+  try {
+    await specSchemaService.deleteSchema(req.params.category);
+    res.status(200).json({ message: 'Spec schema deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
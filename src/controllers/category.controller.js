@@ -0,0 +1,84 @@
+const categoryService = require('../services/category.service');
+const s3Service = require('../services/s3.service');
+const { validationResult } = require('express-validator');
+
+// Get the category tree
+exports.getCategoryTree = async (req, res, next) => {
+  try {
+    const categories = await categoryService.getTree();
+    res.json(categories);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a category (admin only)
+exports.createCategory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, slug, parentId, sortOrder } = req.body;
+    let { icon } = req.body;
+
+    // If icon file is uploaded
+    if (req.file) {
+      icon = await s3Service.uploadFile(req.file, 'categories');
+    }
+
+    const category = await categoryService.createCategory({
+      name,
+      slug,
+      parentId: parentId ? parseInt(parentId) : null,
+      icon,
+      sortOrder: sortOrder !== undefined ? parseInt(sortOrder) : 0
+    });
+
+    res.status(201).json(category);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a category (admin only)
+exports.updateCategory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, slug, parentId, sortOrder } = req.body;
+    let { icon } = req.body;
+
+    // If icon file is uploaded, update it
+    if (req.file) {
+      icon = await s3Service.uploadFile(req.file, 'categories');
+    }
+
+    const category = await categoryService.updateCategory(req.params.id, {
+      name,
+      slug,
+      // An empty parentId moves the category to the top level
+      parentId: parentId !== undefined ? (parentId === '' || parentId === null ? null : parseInt(parentId)) : undefined,
+      icon,
+      sortOrder: sortOrder !== undefined ? parseInt(sortOrder) : undefined
+    });
+
+    res.json(category);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a category (admin only)
+exports.deleteCategory = async (req, res, next) => {
+  try {
+    await categoryService.deleteCategory(req.params.id);
+    res.status(200).json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,56 @@
+const deliveryZoneService = require('../services/delivery-zone.service');
+const { validationResult } = require('express-validator');
+
+// Get a shop's delivery zones
+exports.getZones = async (req, res, next) => {
+  try {
+    const zones = await deliveryZoneService.getZones(req.params.id);
+    res.json(zones);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Draw a new delivery zone (shop owner only)
+exports.createZone = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, area, isActive } = req.body;
+
+    const zone = await deliveryZoneService.createZone(req.params.id, req.user, { name, area, isActive });
+    res.status(201).json(zone);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a delivery zone (shop owner only)
+exports.updateZone = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, area, isActive } = req.body;
+
+    const zone = await deliveryZoneService.updateZone(req.params.id, req.params.zoneId, req.user, { name, area, isActive });
+    res.json(zone);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a delivery zone (shop owner only)
+exports.deleteZone = async (req, res, next) => {
+  try {
+    await deliveryZoneService.deleteZone(req.params.id, req.params.zoneId, req.user);
+    res.json({ message: 'Delivery zone deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,57 @@
+const deliveryService = require('../services/delivery.service');
+const { validationResult } = require('express-validator');
+
+// Get a shop's delivery pricing
+exports.getSettings = async (req, res, next) => {
+  try {
+    const settings = await deliveryService.getSettings(req.params.id);
+    res.json(settings);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Set a shop's delivery pricing (shop owner only)
+exports.updateSettings = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { feeTiers, minOrderValue, maxDistanceKm, isActive } = req.body;
+
+    const settings = await deliveryService.updateSettings(req.params.id, req.user, {
+      feeTiers,
+      minOrderValue,
+      maxDistanceKm: maxDistanceKm === null || maxDistanceKm === undefined ? maxDistanceKm : parseFloat(maxDistanceKm),
+      isActive
+    });
+
+    res.json(settings);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Quote the delivery fee and eligibility to a location
+exports.getQuote = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { lat, lng, subtotal } = req.query;
+
+    const quote = await deliveryService.quote(req.params.id, {
+      lat: parseFloat(lat),
+      lng: parseFloat(lng),
+      subtotal: subtotal !== undefined ? parseFloat(subtotal) : undefined
+    });
+
+    res.json(quote);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,15 @@
+const gazetteerService = require('../services/gazetteer.service');
+
+// Import places into the local geocoding gazetteer from a CSV/XLSX file (admin only)
+exports.importPlaces = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'A CSV or XLSX file is required' });
+    }
+
+    const report = await gazetteerService.importPlaces(req.file);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+};
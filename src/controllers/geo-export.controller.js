@@ -0,0 +1,51 @@
+const geoExportService = require('../services/geo-export.service');
+const { validationResult } = require('express-validator');
+
+// Read the shared export filters from the query string
+const exportOptions = (query) => {
+  const options = {};
+  if (query.status) options.statuses = query.status.split(',');
+  if (query.bbox) {
+    const [minLon, minLat, maxLon, maxLat] = query.bbox.split(',').map(Number);
+    options.bounds = { minLat, maxLat, minLon, maxLon };
+  }
+  if (query.format) options.format = query.format;
+  return options;
+};
+
+// Send an export as a file download
+const sendFile = (res, file) => {
+  res.set('Content-Type', file.contentType);
+  res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+  res.send(file.body);
+};
+
+// Download shops as GeoJSON or KML (admin only)
+exports.exportShops = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const file = await geoExportService.exportShops(exportOptions(req.query));
+    sendFile(res, file);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Download shop delivery zones as GeoJSON or KML (admin only)
+exports.exportServiceAreas = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const file = await geoExportService.exportServiceAreas(exportOptions(req.query));
+    sendFile(res, file);
+  } catch (error) {
+    next(error);
+  }
+};
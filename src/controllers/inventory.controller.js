@@ -0,0 +1,31 @@
+const inventoryService = require('../services/inventory.service');
+const { validationResult } = require('express-validator');
+
+// Post a stock movement for a product (shop owner only)
+exports.createStockMovement = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, quantity, reason, variantId } = req.body;
+
+    const movement = await inventoryService.recordMovement(req.params.id, { type, quantity, reason, variantId }, req.user);
+    res.status(201).json(movement);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a product's stock history (shop owner or admin only)
+exports.getStockHistory = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, type, variantId } = req.query;
+
+    const history = await inventoryService.getStockHistory(req.params.id, req.user, page, limit, type, variantId);
+    res.json(history);
+  } catch (error) {
+    next(error);
+  }
+};
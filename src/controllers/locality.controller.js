@@ -0,0 +1,58 @@
+const localityService = require('../services/locality.service');
+const { validationResult } = require('express-validator');
+
+// Suggest localities by name or pincode as the user types
+exports.autocomplete = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, limit = 10 } = req.query;
+
+    const localities = await localityService.autocomplete(q, parseInt(limit));
+    res.json(localities);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Find the locality a point falls in
+exports.findLocalityAt = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const locality = await localityService.findLocalityAt(parseFloat(req.query.lat), parseFloat(req.query.lng));
+    res.json(locality);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a locality with its boundary
+exports.getLocality = async (req, res, next) => {
+  try {
+    const locality = await localityService.getLocality(req.params.id);
+    res.json(locality);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Import localities from a CSV/XLSX or GeoJSON file (admin only)
+exports.importLocalities = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'A CSV, XLSX or GeoJSON file is required' });
+    }
+
+    const report = await localityService.importLocalities(req.file);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,88 @@
+const orderService = require('../services/order.service');
+const addressService = require('../services/address.service');
+const { validationResult } = require('express-validator');
+
+// Place orders from the current user's cart
+exports.checkout = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { fulfillmentType, addressId, lat, lng, notes } = req.body;
+    let { deliveryAddress } = req.body;
+    let deliveryLocation = lat !== undefined && lng !== undefined
+      ? { lat: parseFloat(lat), lng: parseFloat(lng) }
+      : null;
+
+    // Deliver to one of the user's saved addresses
+    if (addressId) {
+      const address = await addressService.getAddressLocation(req.user, addressId);
+      deliveryLocation = { lat: address.latitude, lng: address.longitude };
+      deliveryAddress = deliveryAddress || address.line;
+    }
+
+    const orders = await orderService.checkout(req.user.sub, {
+      fulfillmentType,
+      deliveryAddress,
+      deliveryLocation,
+      notes
+    });
+
+    res.status(201).json(orders);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the current user's orders
+exports.getMyOrders = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const orders = await orderService.getCustomerOrders(req.user.sub, page, limit, status);
+    res.json(orders);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get orders received by a shop (shop owner or admin only)
+exports.getShopOrders = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const orders = await orderService.getShopOrders(req.params.shopId, req.user, page, limit, status);
+    res.json(orders);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a single order by ID
+exports.getOrderById = async (req, res, next) => {
+  try {
+    const order = await orderService.getOrder(req.params.id, req.user);
+    res.json(order);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Move an order to its next status
+exports.updateOrderStatus = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, reason } = req.body;
+
+    const order = await orderService.updateStatus(req.params.id, status, req.user, reason);
+    res.json(order);
+  } catch (error) {
+    next(error);
+  }
+};
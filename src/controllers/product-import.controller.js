@@ -0,0 +1,51 @@
+const productImportService = require('../services/product-import.service');
+const { validationResult } = require('express-validator');
+
+// Start a bulk product import from an uploaded CSV/XLSX file
+exports.importProducts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'A CSV or XLSX file is required' });
+    }
+
+    const job = await productImportService.startImport(req.body.shopId, req.user, req.file);
+    res.status(202).json(job);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the status and row errors of an import job
+exports.getImportJob = async (req, res, next) => {
+  try {
+    const job = await productImportService.getImportJob(req.params.jobId, req.user);
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Download a shop's products as CSV/XLSX
+exports.exportProducts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { shopId, format = 'csv' } = req.query;
+
+    const file = await productImportService.exportProducts(shopId, req.user, format);
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.buffer);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,7 @@
 const productService = require('../services/product.service');
 const s3Service = require('../services/s3.service');
+const searchService = require('../services/search.service');
+const addressService = require('../services/address.service');
 const { validationResult } = require('express-validator');
 
 // Create a new product
@@ -25,7 +27,8 @@ exports.createProduct = async (req, res, next) => {
       description,
       stock,
       imageUrl,
-      catalogId: catalogId || null
+      catalogId: catalogId || null,
+      actorId: req.user.sub
     });
 
     res.status(201).json(product);
@@ -37,21 +40,58 @@ exports.createProduct = async (req, res, next) => {
 // Get all products
 exports.getAllProducts = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, search, category, shopId, priceMin, priceMax, sortBy, sortOrder } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 10, cursor, search, category, shopId, priceMin, priceMax, options, specs, locality, addressId, radius, deliveryOnly, distanceWeight, sortBy, sortOrder } = req.query;
+    let { lat, lng } = req.query;
+
+    // Search from one of the user's saved addresses
+    if (addressId) {
+      const location = await addressService.getAddressLocation(req.user, addressId);
+      lat = location.latitude;
+      lng = location.longitude;
+    }
     
     const filters = {};
     if (search) filters.search = search;
     if (category) filters.category = category;
     if (shopId) filters.shopId = shopId;
+    if (locality) filters.localityId = parseInt(locality);
     if (priceMin) filters.priceMin = priceMin;
     if (priceMax) filters.priceMax = priceMax;
+    if (options && typeof options === 'object') filters.options = options;
+    if (specs && typeof specs === 'object') filters.specs = specs;
+    if (lat && lng) {
+      filters.lat = parseFloat(lat);
+      filters.lng = parseFloat(lng);
+      // The public radius is in kilometers, like /api/shops/nearby
+      if (radius) filters.radius = parseFloat(radius) * 1000;
+      if (deliveryOnly === 'true') filters.deliveryOnly = true;
+    }
     
     const sort = {};
     if (sortBy) sort.field = sortBy;
     if (sortOrder) sort.order = sortOrder;
+    if (distanceWeight !== undefined) sort.distanceWeight = parseFloat(distanceWeight);
 
-    const products = await productService.getProducts(page, limit, filters, sort);
+    const products = await productService.getProducts(page, limit, filters, sort, cursor);
     res.json(products);
+
+    // Scrolling on with a cursor continues a search that was already logged
+    if (!cursor) {
+      searchService.logSearch('product', {
+        query: search,
+        filters,
+        lat: filters.lat,
+        lng: filters.lng,
+        resultCount: products.pagination.total,
+        page,
+        userId: req.user && req.user.sub
+      });
+    }
   } catch (error) {
     next(error);
   }
@@ -110,7 +150,8 @@ exports.updateProduct = async (req, res, next) => {
       price,
       description,
       stock,
-      imageUrl: imageUrl || existingProduct.imageUrl
+      imageUrl: imageUrl || existingProduct.imageUrl,
+      actorId: req.user.sub
     };
 
     const updatedProduct = await productService.updateProduct(productId, updateData);
@@ -152,14 +193,19 @@ exports.deleteProduct = async (req, res, next) => {
 // Get products by shop ID
 exports.getProductsByShopId = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, sortBy, sortOrder } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 10, cursor, sortBy, sortOrder } = req.query;
     const shopId = req.params.shopId;
     
     const sort = {};
     if (sortBy) sort.field = sortBy;
     if (sortOrder) sort.order = sortOrder;
 
-    const products = await productService.getProductsByShopId(shopId, page, limit, sort);
+    const products = await productService.getProductsByShopId(shopId, page, limit, sort, cursor);
     res.json(products);
   } catch (error) {
     next(error);
@@ -0,0 +1,80 @@
+const reservationService = require('../services/reservation.service');
+const { validationResult } = require('express-validator');
+
+// Hold a product (or one of its variants) for pickup
+exports.createReservation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, variantId, quantity, holdHours, note } = req.body;
+
+    const reservation = await reservationService.createReservation(req.user.sub, {
+      productId,
+      variantId: variantId !== undefined ? parseInt(variantId) : undefined,
+      quantity: quantity !== undefined ? parseInt(quantity) : undefined,
+      holdHours: holdHours !== undefined ? parseFloat(holdHours) : undefined,
+      note
+    });
+
+    res.status(201).json(reservation);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the current user's reservations
+exports.getMyReservations = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const reservations = await reservationService.getCustomerReservations(req.user.sub, page, limit, status);
+    res.json(reservations);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get reservations against a shop's products (shop owner or admin only)
+exports.getShopReservations = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const reservations = await reservationService.getShopReservations(req.params.shopId, req.user, page, limit, status);
+    res.json(reservations);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a single reservation by ID
+exports.getReservationById = async (req, res, next) => {
+  try {
+    const reservation = await reservationService.getReservation(req.params.id, req.user);
+    res.json(reservation);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Release a hold early
+exports.cancelReservation = async (req, res, next) => {
+  try {
+    const reservation = await reservationService.cancelReservation(req.params.id, req.user);
+    res.json(reservation);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Hand held units over to the customer (shop owner only)
+exports.fulfillReservation = async (req, res, next) => {
+  try {
+    const reservation = await reservationService.fulfillReservation(req.params.id, req.user);
+    res.json(reservation);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,149 @@
+const searchService = require('../services/search.service');
+const { validationResult } = require('express-validator');
+
+// Suggest catalog items, brands, categories and shops as the user types
+exports.suggest = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, limit = 5 } = req.query;
+
+    const suggestions = await searchService.suggest(q, parseInt(limit));
+    res.json(suggestions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Read the shared report options from the query string
+const reportOptions = (query) => {
+  const options = {};
+  if (query.days) options.days = parseInt(query.days);
+  if (query.scope) options.scope = query.scope;
+  if (query.cell) options.cell = query.cell;
+  if (query.limit) options.limit = parseInt(query.limit);
+  return options;
+};
+
+// Most searched terms (admin only)
+exports.getTopQueries = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const queries = await searchService.getTopQueries(reportOptions(req.query));
+    res.json(queries);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Searches that found nothing (admin only)
+exports.getZeroResultQueries = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const queries = await searchService.getZeroResultQueries(reportOptions(req.query));
+    res.json(queries);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Terms trending per area (admin only)
+exports.getTrendingTerms = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { lat, lng, precision } = req.query;
+
+    const options = reportOptions(req.query);
+    if (lat && lng) {
+      options.lat = parseFloat(lat);
+      options.lng = parseFloat(lng);
+    }
+    if (precision) options.precision = parseInt(precision);
+
+    const terms = await searchService.getTrendingTerms(options);
+    res.json(terms);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List synonym groups and rewrite rules (admin only)
+exports.getSynonyms = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rules = await searchService.getSynonyms(req.query.type);
+    res.json(rules);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add a synonym group or rewrite rule (admin only)
+exports.createSynonym = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, term, synonyms, replacement, isActive } = req.body;
+
+    const rule = await searchService.createSynonym({
+      ruleType: type,
+      term,
+      synonyms,
+      replacement,
+      isActive
+    }, req.user.sub);
+
+    res.status(201).json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a synonym group or rewrite rule (admin only)
+exports.updateSynonym = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { term, synonyms, replacement, isActive } = req.body;
+
+    const rule = await searchService.updateSynonym(req.params.id, { term, synonyms, replacement, isActive });
+    res.json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a synonym group or rewrite rule (admin only)
+exports.deleteSynonym = async (req, res, next) => {
+  try {
+    await searchService.deleteSynonym(req.params.id);
+    res.json({ message: 'Search rule deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
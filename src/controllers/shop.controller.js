@@ -1,5 +1,8 @@
 const shopService = require('../services/shop.service');
+const searchService = require('../services/search.service');
+const addressService = require('../services/address.service');
 const { catchAsync } = require('../utils/error');
+const { validationResult } = require('express-validator');
 
 exports.createShop = catchAsync(async (req, res) => {
   const { name, address, whatsapp, latitude, longitude } = req.body;
@@ -32,21 +35,75 @@ exports.createShop = catchAsync(async (req, res) => {
   });
 });
 
-exports.getNearbyShops = catchAsync(async (req, res) => {
-  const { latitude, longitude, radius = 5, limit = 20 } = req.query;
+exports.getAllShops = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { page = 1, limit = 10, cursor, search, locality, sortBy, sortOrder, lat, lng } = req.query;
+  const isAdmin = req.user && req.user.role === 'admin';
+
+  const filters = {};
+  if (search) filters.search = search;
+  if (locality) filters.localityId = parseInt(locality);
+  // Customers only ever see approved shops
+  if (!isAdmin) filters.isApproved = true;
+
+  const sort = {};
+  if (sortBy) sort.field = sortBy;
+  if (sortOrder) sort.order = sortOrder;
+
+  const shops = await shopService.getShops(page, limit, filters, sort, cursor);
 
-  if (!latitude || !longitude) {
+  res.status(200).json({
+    success: true,
+    data: shops.shops,
+    pagination: shops.pagination
+  });
+
+  // Scrolling on with a cursor continues a search that was already logged
+  if (!cursor) {
+    searchService.logSearch('shop', {
+      query: search,
+      lat: lat !== undefined ? parseFloat(lat) : undefined,
+      lng: lng !== undefined ? parseFloat(lng) : undefined,
+      resultCount: shops.pagination.total,
+      page,
+      userId: req.user && req.user.sub
+    });
+  }
+});
+
+exports.getNearbyShops = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
     return res.status(400).json({
       success: false,
-      message: 'Missing required query parameters: latitude, longitude'
+      errors: errors.array()
     });
   }
 
+  const { addressId, radius = 5, limit = 20, deliveryOnly, sortBy } = req.query;
+  let latitude = parseFloat(req.query.lat);
+  let longitude = parseFloat(req.query.lng);
+
+  // Search from one of the user's saved addresses
+  if (addressId) {
+    const location = await addressService.getAddressLocation(req.user, addressId);
+    latitude = location.latitude;
+    longitude = location.longitude;
+  }
+
   const shops = await shopService.findNearbyShops(
-    parseFloat(latitude),
-    parseFloat(longitude),
+    latitude,
+    longitude,
     parseFloat(radius),
-    parseInt(limit)
+    parseInt(limit),
+    { deliveryOnly: deliveryOnly === 'true', sortBy }
   );
 
   res.status(200).json({
@@ -56,6 +113,35 @@ exports.getNearbyShops = catchAsync(async (req, res) => {
   });
 });
 
+exports.getMapShops = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { zoom, bbox, lat, lng, radius } = req.query;
+
+  const view = { zoom: parseInt(zoom) };
+  if (bbox) {
+    const [minLon, minLat, maxLon, maxLat] = bbox.split(',').map(Number);
+    view.bounds = { minLat, maxLat, minLon, maxLon };
+  } else {
+    view.latitude = parseFloat(lat);
+    view.longitude = parseFloat(lng);
+    if (radius) view.radiusKm = parseFloat(radius);
+  }
+
+  const map = await shopService.getMapShops(view);
+
+  res.status(200).json({
+    success: true,
+    data: map
+  });
+});
+
 exports.getShopById = catchAsync(async (req, res) => {
   const { id } = req.params;
 
@@ -0,0 +1,76 @@
+const unitService = require('../services/unit.service');
+const { validationResult } = require('express-validator');
+
+// Register serialised units for a product (shop owner only)
+exports.registerUnits = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const units = await unitService.registerUnits(req.params.id, req.body.units, req.user);
+    res.status(201).json(units);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a product's units (shop owner or admin only)
+exports.getUnits = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, variantId } = req.query;
+
+    const units = await unitService.getUnits(req.params.id, req.user, page, limit, { status, variantId });
+    res.json(units);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change a unit's status (shop owner only)
+exports.updateUnitStatus = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, notes } = req.body;
+
+    const unit = await unitService.updateUnitStatus(req.params.id, req.params.unitId, status, notes, req.user);
+    res.json(unit);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Record the serial numbers handed over for an order line (shop owner only)
+exports.captureSaleSerials = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const units = await unitService.captureSaleSerials(req.params.id, req.params.itemId, req.body.serials, req.user);
+    res.status(201).json(units);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Look up a unit by serial number or IMEI
+exports.lookupSerial = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const unit = await unitService.lookupSerial(req.query.serial, req.user);
+    res.json(unit);
+  } catch (error) {
+    next(error);
+  }
+};
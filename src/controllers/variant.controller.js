@@ -0,0 +1,113 @@
+const variantService = require('../services/variant.service');
+const s3Service = require('../services/s3.service');
+const { validationResult } = require('express-validator');
+
+// Parse options sent as a JSON string by multipart forms
+const parseJsonField = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Get all variants of a product
+exports.getVariants = async (req, res, next) => {
+  try {
+    const variants = await variantService.getVariants(req.params.id);
+    res.json(variants);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add a variant to a product (shop owner only)
+exports.createVariant = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { options, sku, price, stock } = req.body;
+    let imageUrl = null;
+
+    // If image file is uploaded
+    if (req.file) {
+      imageUrl = await s3Service.uploadFile(req.file, 'products');
+    }
+
+    const variant = await variantService.createVariant(req.params.id, {
+      options: parseJsonField(options),
+      sku,
+      price,
+      stock: stock !== undefined ? parseInt(stock) : 0,
+      imageUrl
+    }, req.user);
+
+    res.status(201).json(variant);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create every combination of the given option values (shop owner only)
+exports.generateVariants = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { variants, price, stock } = req.body;
+
+    const created = await variantService.generateVariants(req.params.id, variants, {
+      price,
+      stock: stock !== undefined ? parseInt(stock) : 0
+    }, req.user);
+
+    res.status(201).json(created);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a variant (shop owner only)
+exports.updateVariant = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { options, sku, price, stock } = req.body;
+    let imageUrl;
+
+    // If image file is uploaded, update it
+    if (req.file) {
+      imageUrl = await s3Service.uploadFile(req.file, 'products');
+    }
+
+    const variant = await variantService.updateVariant(req.params.id, req.params.variantId, {
+      options: options !== undefined ? parseJsonField(options) : undefined,
+      sku,
+      price,
+      stock: stock !== undefined ? parseInt(stock) : undefined,
+      imageUrl
+    }, req.user);
+
+    res.json(variant);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a variant (shop owner only)
+exports.deleteVariant = async (req, res, next) => {
+  try {
+    const variant = await variantService.deleteVariant(req.params.id, req.params.variantId, req.user);
+
+    // Delete image from S3 if exists
+    if (variant.image_url) {
+      await s3Service.deleteFile(variant.image_url);
+    }
+
+    res.status(200).json({ message: 'Variant deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
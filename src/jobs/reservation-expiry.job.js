@@ -0,0 +1,37 @@
+const reservationService = require('../services/reservation.service');
+const GeocodeCache = require('../models/geocode-cache.model');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+let timer = null;
+
+// Mark overdue holds as expired. Availability queries already ignore them,
+// so this only keeps statuses accurate for customers and shopkeepers.
+// Expired geocode cache rows are cleared on the same tick.
+const sweep = async () => {
+  try {
+    await reservationService.expireReservations();
+  } catch (error) {
+    console.error('Reservation expiry sweep failed:', error);
+  }
+
+  try {
+    await GeocodeCache.purgeExpired();
+  } catch (error) {
+    console.error('Geocode cache purge failed:', error);
+  }
+};
+
+exports.start = () => {
+  if (timer) return;
+
+  timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  timer.unref();
+};
+
+exports.stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+exports.sweep = sweep;
@@ -0,0 +1,28 @@
+const Search = require('../models/search.model');
+
+const REFRESH_INTERVAL_MS = parseInt(process.env.SEARCH_VOCABULARY_REFRESH_MS) || 15 * 60 * 1000;
+
+let timer = null;
+
+// Rebuild the word list behind "did you mean" so new products and brands are picked up
+const refresh = async () => {
+  try {
+    await Search.refreshVocabulary();
+  } catch (error) {
+    console.error('Search vocabulary refresh failed:', error);
+  }
+};
+
+exports.start = () => {
+  if (timer) return;
+
+  timer = setInterval(refresh, REFRESH_INTERVAL_MS);
+  timer.unref();
+};
+
+exports.stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+exports.refresh = refresh;
@@ -35,6 +35,28 @@ exports.authenticate = async (req, res, next) => {
   }
 };
 
+// Identify the user when a valid token is sent, but let anonymous requests through
+exports.optionalAuthenticate = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return next();
+    }
+
+    const decoded = verifyToken(authHeader.split(' ')[1]);
+
+    const user = await userService.findUserById(decoded.sub);
+    if (user && user.is_active) {
+      req.user = decoded;
+      req.user.role = user.user_type;
+    }
+  } catch (error) {
+    // An invalid or expired token just means the request is anonymous
+  }
+
+  next();
+};
+
 exports.authorize = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
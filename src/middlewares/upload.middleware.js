@@ -24,6 +24,38 @@ const upload = multer({
   },
 });
 
+// Spreadsheet upload instance for bulk imports (CSV and XLSX)
+const spreadsheetUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ['.csv', '.xlsx'];
+    if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV and XLSX files are allowed.'), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+});
+
+// Geographic data upload instance for imports (CSV, XLSX and GeoJSON)
+const geoDataUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ['.csv', '.xlsx', '.geojson', '.json'];
+    if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV, XLSX and GeoJSON files are allowed.'), false);
+    }
+  },
+  limits: {
+    fileSize: 25 * 1024 * 1024, // 25MB limit, boundaries are large
+  },
+});
+
 // Middleware for single file upload
 exports.uploadSingle = (fieldName) => {
   return (req, res, next) => {
@@ -64,3 +96,42 @@ exports.uploadMultiple = (fieldName, maxCount) => {
   };
 };
 
+// Middleware for single spreadsheet upload
+exports.uploadSpreadsheet = (fieldName) => {
+  return (req, res, next) => {
+    spreadsheetUpload.single(fieldName)(req, res, (err) => {
+      if (err) {
+        if (err instanceof multer.MulterError) {
+          // Multer error
+          if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({ message: 'File size exceeds 10MB limit.' });
+          }
+          return res.status(400).json({ message: err.message });
+        }
+        // General error
+        return res.status(400).json({ message: err.message });
+      }
+      next();
+    });
+  };
+};
+
+// Middleware for single geographic data upload
+exports.uploadGeoData = (fieldName) => {
+  return (req, res, next) => {
+    geoDataUpload.single(fieldName)(req, res, (err) => {
+      if (err) {
+        if (err instanceof multer.MulterError) {
+          // Multer error
+          if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({ message: 'File size exceeds 25MB limit.' });
+          }
+          return res.status(400).json({ message: err.message });
+        }
+        // General error
+        return res.status(400).json({ message: err.message });
+      }
+      next();
+    });
+  };
+};
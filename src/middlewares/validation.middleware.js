@@ -53,11 +53,201 @@ exports.updateProductValidation = [
   body('description').optional().trim()
 ];
 
+// Variant options may arrive as an object (JSON body) or a JSON string (multipart form)
+const variantOptionsValidator = value => {
+  let options = value;
+  if (typeof value === 'string') {
+    try {
+      options = JSON.parse(value);
+    } catch (error) {
+      throw new Error('Options must be a valid JSON object');
+    }
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options) || Object.keys(options).length === 0) {
+    throw new Error('Options must be a non-empty object, e.g. {"color": "Black"}');
+  }
+  return true;
+};
+
+// Optional location filters need both coordinates
+const latLngPairValidator = (value, { req }) => {
+  if ((value === undefined) !== (req.query.lng === undefined)) {
+    throw new Error('Latitude and longitude must be given together');
+  }
+  return true;
+};
+
+// A saved address stands in for lat/lng, so the two cannot be combined
+const addressIdValidator = (required) => (value, { req }) => {
+  if (value !== undefined && req.query.lat !== undefined) {
+    throw new Error('Give either an address ID or lat/lng, not both');
+  }
+  if (required && value === undefined && req.query.lat === undefined) {
+    throw new Error('Either lat/lng or an address ID is required');
+  }
+  return true;
+};
+
+// Map viewport as "minLng,minLat,maxLng,maxLat"; minLng > maxLng crosses the antimeridian
+const bboxValidator = value => {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+    throw new Error('Bounding box must be minLng,minLat,maxLng,maxLat');
+  }
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if ([minLng, maxLng].some(lng => Math.abs(lng) > 180) || [minLat, maxLat].some(lat => Math.abs(lat) > 90)) {
+    throw new Error('Bounding box is outside the valid range of coordinates');
+  }
+  if (minLat > maxLat) {
+    throw new Error('Bounding box minLat must not exceed maxLat');
+  }
+  return true;
+};
+
+// Page size plus an optional cursor from a previous page's next_cursor
+const listPageValidation = [
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('cursor').optional().isString().isLength({ max: 1000 }).withMessage('Invalid cursor')
+];
+
+exports.listPageValidation = listPageValidation;
+
+exports.listShopsValidation = [
+  ...listPageValidation,
+  query('locality').optional().isInt({ min: 1 }).withMessage('Invalid locality ID')
+];
+
+exports.searchProductsValidation = [
+  ...listPageValidation,
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('lat').custom(latLngPairValidator),
+  query('addressId').optional().isInt({ min: 1 }).withMessage('Invalid address ID'),
+  query('addressId').custom(addressIdValidator(false)),
+  query('locality').optional().isInt({ min: 1 }).withMessage('Invalid locality ID'),
+  query('radius').optional().isFloat({ gt: 0, max: 1000 }).withMessage('Radius must be between 0 and 1000 km'),
+  query('distanceWeight').optional().isFloat({ min: 0, max: 1 }).withMessage('Distance weight must be between 0 and 1'),
+  query('deliveryOnly').optional().isBoolean().withMessage('deliveryOnly must be true or false'),
+  query('sortBy').optional().isIn(['title', 'price', 'created_at', 'distance']).withMessage('Invalid sort field')
+];
+
+exports.suggestValidation = [
+  query('q').trim().isLength({ max: 100 }).withMessage('Search text is too long'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+];
+
+exports.listSearchSynonymsValidation = [
+  query('type').optional().isIn(['synonym', 'rewrite']).withMessage('Type must be synonym or rewrite')
+];
+
+exports.createSearchSynonymValidation = [
+  body('type').isIn(['synonym', 'rewrite']).withMessage('Type must be synonym or rewrite'),
+  body('term').trim().notEmpty().withMessage('Term is required').isLength({ max: 100 }).withMessage('Term is too long'),
+  body('synonyms').optional().isArray().withMessage('Synonyms must be an array'),
+  body('synonyms.*').isString().trim().isLength({ max: 100 }).withMessage('Each synonym must be text of at most 100 characters'),
+  body('replacement').optional().isString().trim().isLength({ max: 200 }).withMessage('Replacement is too long'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+exports.updateSearchSynonymValidation = [
+  body('term').optional().trim().notEmpty().withMessage('Term cannot be empty').isLength({ max: 100 }).withMessage('Term is too long'),
+  body('synonyms').optional().isArray().withMessage('Synonyms must be an array'),
+  body('synonyms.*').isString().trim().isLength({ max: 100 }).withMessage('Each synonym must be text of at most 100 characters'),
+  body('replacement').optional().isString().trim().isLength({ max: 200 }).withMessage('Replacement is too long'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+exports.searchReportValidation = [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365'),
+  query('scope').optional().isIn(['product', 'catalog', 'shop']).withMessage('Scope must be product, catalog or shop'),
+  query('cell').optional().matches(/^[0-9b-hjkmnp-z]{1,12}$/).withMessage('Cell must be a geohash'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+exports.trendingSearchValidation = [
+  ...exports.searchReportValidation,
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('lat').custom(latLngPairValidator),
+  query('precision').optional().isInt({ min: 1, max: 12 }).withMessage('Precision must be between 1 and 12')
+];
+
+exports.createVariantValidation = [
+  body('options').custom(variantOptionsValidator),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('sku').optional().trim()
+];
+
+exports.updateVariantValidation = [
+  body('options').optional().custom(variantOptionsValidator),
+  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('sku').optional().trim()
+];
+
+exports.generateVariantsValidation = [
+  body('variants').isArray({ min: 1 }).withMessage('Variants must be a non-empty array'),
+  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer')
+];
+
+exports.importProductsValidation = [
+  body('shopId').isNumeric().withMessage('Shop ID is required')
+];
+
+exports.exportProductsValidation = [
+  query('shopId').isNumeric().withMessage('Shop ID is required'),
+  query('format').optional().isIn(['csv', 'xlsx']).withMessage('Format must be csv or xlsx')
+];
+
+exports.createStockMovementValidation = [
+  body('type').isIn(['sale', 'restock', 'adjustment', 'return']).withMessage('Invalid stock movement type'),
+  body('quantity').isInt().not().equals('0').withMessage('Quantity must be a non-zero integer'),
+  body('variantId').optional().isInt({ min: 1 }).withMessage('Variant ID must be a positive integer'),
+  body('reason').optional().trim()
+];
+
+exports.registerUnitsValidation = [
+  body('units').isArray({ min: 1, max: 500 }).withMessage('Units must be an array of 1 to 500 items'),
+  body('units.*.serialNumber').optional().trim().isLength({ max: 64 }).withMessage('Serial number is too long'),
+  body('units.*.imei').optional().trim().matches(/^\d{15}$/).withMessage('IMEI must be 15 digits'),
+  body('units.*.variantId').optional().isInt({ min: 1 }).withMessage('Variant ID must be a positive integer'),
+  body('units.*.notes').optional().trim()
+];
+
+exports.updateUnitStatusValidation = [
+  body('status').isIn(['in_stock', 'reserved', 'sold', 'returned']).withMessage('Invalid unit status'),
+  body('notes').optional().trim()
+];
+
+exports.captureSerialsValidation = [
+  body('serials').isArray({ min: 1 }).withMessage('Serials must be a non-empty array'),
+  body('serials.*').isString().trim().notEmpty().withMessage('Serial numbers cannot be empty')
+];
+
+exports.lookupUnitValidation = [
+  query('serial').trim().notEmpty().withMessage('Serial number or IMEI is required')
+];
+
 // Catalog validation
 exports.createCatalogItemValidation = [
   body('name').trim().notEmpty().withMessage('Name is required'),
-  body('brand').trim().notEmpty().withMessage('Brand is required'),
-  body('category').trim().notEmpty().withMessage('Category is required'),
+  body('brand').custom((value, { req }) => {
+    if ((!value || !String(value).trim()) && !req.body.brandId) {
+      throw new Error('Brand is required');
+    }
+    return true;
+  }),
+  body('brandId').optional().isInt({ min: 1 }).withMessage('Brand ID must be a positive integer'),
+  body('category').custom((value, { req }) => {
+    if ((!value || !String(value).trim()) && !req.body.categoryId) {
+      throw new Error('Category is required');
+    }
+    return true;
+  }),
+  body('categoryId').optional().isInt({ min: 1 }).withMessage('Category ID must be a positive integer'),
+  body('serialTracking').optional().isIn(['none', 'serial', 'imei']).withMessage('Serial tracking must be none, serial or imei'),
   body('specs').optional().custom(value => {
     try {
       const parsed = JSON.parse(value);
@@ -71,7 +261,10 @@ exports.createCatalogItemValidation = [
 exports.updateCatalogItemValidation = [
   body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
   body('brand').optional().trim().notEmpty().withMessage('Brand cannot be empty'),
+  body('brandId').optional().isInt({ min: 1 }).withMessage('Brand ID must be a positive integer'),
   body('category').optional().trim().notEmpty().withMessage('Category cannot be empty'),
+  body('categoryId').optional().isInt({ min: 1 }).withMessage('Category ID must be a positive integer'),
+  body('serialTracking').optional().isIn(['none', 'serial', 'imei']).withMessage('Serial tracking must be none, serial or imei'),
   body('specs').optional().custom(value => {
     try {
       const parsed = JSON.parse(value);
@@ -82,6 +275,51 @@ exports.updateCatalogItemValidation = [
   })
 ];
 
+exports.createCategoryValidation = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('slug').optional().trim().matches(/^[a-z0-9-]+$/i).withMessage('Slug may only contain letters, numbers and hyphens'),
+  body('parentId').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Parent ID must be a positive integer'),
+  body('icon').optional().trim(),
+  body('sortOrder').optional().isInt().withMessage('Sort order must be an integer')
+];
+
+exports.updateCategoryValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('slug').optional().trim().matches(/^[a-z0-9-]+$/i).withMessage('Slug may only contain letters, numbers and hyphens'),
+  body('parentId').optional({ checkFalsy: true, nullable: true }).isInt({ min: 1 }).withMessage('Parent ID must be a positive integer'),
+  body('icon').optional().trim(),
+  body('sortOrder').optional().isInt().withMessage('Sort order must be an integer')
+];
+
+exports.createBrandValidation = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('aliases').optional()
+];
+
+exports.updateBrandValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('aliases').optional()
+];
+
+exports.mergeBrandsValidation = [
+  body('sourceIds').isArray({ min: 1 }).withMessage('Source IDs must be a non-empty array'),
+  body('sourceIds.*').isInt({ min: 1 }).withMessage('Source IDs must be positive integers')
+];
+
+exports.saveSpecSchemaValidation = [
+  body('fields').isArray({ min: 1 }).withMessage('Fields must be a non-empty array'),
+  body('fields.*.key').matches(/^[a-z][a-z0-9_]*$/).withMessage('Field keys must be snake_case'),
+  body('fields.*.type').isIn(['number', 'integer', 'boolean', 'string', 'enum']).withMessage('Invalid field type')
+];
+
+exports.catalogOffersValidation = [
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('lat').custom(latLngPairValidator),
+  query('radius').optional().isFloat({ gt: 0, max: 1000 }).withMessage('Radius must be between 0 and 1000 km'),
+  query('sort').optional().isIn(['price', 'distance']).withMessage('Sort must be price or distance')
+];
+
 // Admin validation
 exports.updateUserStatusValidation = [
   body('isActive').isBoolean().withMessage('isActive must be a boolean')
@@ -92,11 +330,151 @@ exports.updateShopApprovalValidation = [
   body('reason').optional().trim()
 ];
 
+// Cart validation
+exports.addCartItemValidation = [
+  body('productId').isInt({ min: 1 }).withMessage('Product ID is required'),
+  body('variantId').optional().isInt({ min: 1 }).withMessage('Variant ID must be a positive integer'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer')
+];
+
+exports.updateCartItemValidation = [
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer')
+];
+
+// Order validation
+exports.checkoutValidation = [
+  body('fulfillmentType').optional().isIn(['pickup', 'delivery']).withMessage('Fulfillment type must be pickup or delivery'),
+  body('deliveryAddress').optional().trim().notEmpty().withMessage('Delivery address cannot be empty'),
+  body('addressId').optional().isInt({ min: 1 }).withMessage('Address ID must be a positive integer'),
+  body('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('notes').optional().trim()
+];
+
+exports.updateOrderStatusValidation = [
+  body('status').isIn(['accepted', 'ready_for_pickup', 'out_for_delivery', 'completed', 'cancelled']).withMessage('Invalid order status'),
+  body('reason').optional().trim()
+];
+
+// Reservation validation
+exports.createReservationValidation = [
+  body('productId').isInt({ min: 1 }).withMessage('Product ID is required'),
+  body('variantId').optional().isInt({ min: 1 }).withMessage('Variant ID must be a positive integer'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('holdHours').optional().isFloat({ gt: 0 }).withMessage('Hold duration must be a positive number of hours'),
+  body('note').optional().trim()
+];
+
 // Location validation
 exports.nearbyShopsValidation = [
-  query('lat').isFloat().withMessage('Latitude is required'),
-  query('lng').isFloat().withMessage('Longitude is required'),
-  query('radius').optional().isFloat({ min: 0 }).withMessage('Radius must be a positive number'),
-  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('lat').custom(latLngPairValidator),
+  query('addressId').optional().isInt({ min: 1 }).withMessage('Invalid address ID'),
+  query('addressId').custom(addressIdValidator(true)),
+  query('radius').optional().isFloat({ gt: 0, max: 1000 }).withMessage('Radius must be between 0 and 1000 km'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('deliveryOnly').optional().isBoolean().withMessage('deliveryOnly must be true or false'),
+  query('sortBy').optional().isIn(['distance', 'walking', 'driving']).withMessage('Sort must be distance, walking or driving')
+];
+
+exports.shopMapValidation = [
+  query('zoom').isInt({ min: 0, max: 22 }).withMessage('Zoom must be between 0 and 22'),
+  query('bbox').optional().custom(bboxValidator),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('lat').custom(latLngPairValidator),
+  query('lat').custom((value, { req }) => {
+    if (req.query.bbox === undefined && value === undefined) {
+      throw new Error('Either a bounding box or lat/lng is required');
+    }
+    return true;
+  }),
+  query('radius').optional().isFloat({ gt: 0, max: 1000 }).withMessage('Radius must be between 0 and 1000 km')
+];
+
+exports.geoExportValidation = [
+  query('format').optional().isIn(['geojson', 'kml']).withMessage('Format must be geojson or kml'),
+  query('status').optional().custom(value => {
+    const statuses = String(value).split(',');
+    if (statuses.some(status => !['approved', 'pending', 'rejected'].includes(status))) {
+      throw new Error('Status must be a comma-separated list of approved, pending and rejected');
+    }
+    return true;
+  }),
+  query('bbox').optional().custom(bboxValidator)
+];
+
+// Address coordinates need both latitude and longitude
+const addressLocationValidator = (value, { req }) => {
+  if ((value === undefined) !== (req.body.longitude === undefined)) {
+    throw new Error('Latitude and longitude must be given together');
+  }
+  return true;
+};
+
+exports.createAddressValidation = [
+  body('label').optional().trim().isLength({ max: 50 }).withMessage('Label must be at most 50 characters'),
+  body('line').optional().trim().isLength({ min: 1, max: 500 }).withMessage('Address line must be at most 500 characters'),
+  body('landmark').optional().trim().isLength({ max: 255 }).withMessage('Landmark must be at most 255 characters'),
+  body('pincode').optional().trim().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('latitude').custom(addressLocationValidator),
+  body('latitude').custom((value, { req }) => {
+    if (value === undefined && !req.body.line) {
+      throw new Error('Give an address line or pick a location');
+    }
+    return true;
+  }),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean')
+];
+
+exports.updateAddressValidation = [
+  body('label').optional().trim().isLength({ max: 50 }).withMessage('Label must be at most 50 characters'),
+  body('line').optional().trim().isLength({ min: 1, max: 500 }).withMessage('Address line must be at most 500 characters'),
+  body('landmark').optional().trim().isLength({ max: 255 }).withMessage('Landmark must be at most 255 characters'),
+  body('pincode').optional().trim().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('latitude').custom(addressLocationValidator),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean')
+];
+
+exports.localityAutocompleteValidation = [
+  query('q').trim().isLength({ max: 100 }).withMessage('Search text is too long'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+];
+
+exports.localityAtValidation = [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+];
+
+exports.createDeliveryZoneValidation = [
+  body('name').optional().trim().isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('area').isObject().withMessage('Area must be a GeoJSON Polygon'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+exports.deliverySettingsValidation = [
+  body('feeTiers').optional().isArray({ max: 20 }).withMessage('Fee tiers must be a list of at most 20 tiers'),
+  body('feeTiers.*.upToKm').isFloat({ gt: 0 }).withMessage('Each tier needs a distance (upToKm) above 0'),
+  body('feeTiers.*.fee').isFloat({ min: 0 }).withMessage('Each tier needs a fee of 0 or more'),
+  body('minOrderValue').optional().isFloat({ min: 0 }).withMessage('Minimum order value must be 0 or more'),
+  body('maxDistanceKm').optional({ nullable: true }).isFloat({ gt: 0, max: 9999 }).withMessage('Maximum distance must be above 0 km'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+exports.deliveryQuoteValidation = [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('subtotal').optional().isFloat({ min: 0 }).withMessage('Subtotal must be 0 or more')
+];
+
+exports.updateDeliveryZoneValidation = [
+  body('name').optional().trim().isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('area').optional().isObject().withMessage('Area must be a GeoJSON Polygon'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
 ];
 
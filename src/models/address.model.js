@@ -0,0 +1,150 @@
+const pool = require('../config/database');
+
+const ADDRESS_COLUMNS = `id, user_id, label, line, landmark, pincode,
+  ST_Y(location) as latitude, ST_X(location) as longitude,
+  is_default, created_at, updated_at`;
+
+class Address {
+  // Save an address
+  static async create({ userId, label, line, landmark, pincode, latitude, longitude, isDefault }, client = pool) {
+    const query = `
+      INSERT INTO user_addresses (user_id, label, line, landmark, pincode, location, is_default, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, ST_SetSRID(ST_MakePoint($6, $7), 4326), $8, NOW(), NOW())
+      RETURNING ${ADDRESS_COLUMNS}
+    `;
+
+    const values = [userId, label || null, line, landmark || null, pincode || null, longitude, latitude, Boolean(isDefault)];
+    const result = await client.query(query, values);
+    return result.rows[0];
+  }
+
+  // Find address by ID
+  static async findById(id) {
+    const query = `
+      SELECT ${ADDRESS_COLUMNS}
+      FROM user_addresses
+      WHERE id = $1
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Get a user's addresses, default first
+  static async findByUserId(userId) {
+    const query = `
+      SELECT ${ADDRESS_COLUMNS}
+      FROM user_addresses
+      WHERE user_id = $1
+      ORDER BY is_default DESC, updated_at DESC, id DESC
+    `;
+
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  }
+
+  // Update address
+  static async update(id, addressData, client = pool) {
+    const { label, line, landmark, pincode, latitude, longitude, isDefault } = addressData;
+
+    // Build dynamic query
+    let updates = [];
+    let values = [];
+    let counter = 1;
+
+    if (label !== undefined) {
+      updates.push(`label = $${counter}`);
+      values.push(label || null);
+      counter++;
+    }
+
+    if (line !== undefined) {
+      updates.push(`line = $${counter}`);
+      values.push(line);
+      counter++;
+    }
+
+    if (landmark !== undefined) {
+      updates.push(`landmark = $${counter}`);
+      values.push(landmark || null);
+      counter++;
+    }
+
+    if (pincode !== undefined) {
+      updates.push(`pincode = $${counter}`);
+      values.push(pincode || null);
+      counter++;
+    }
+
+    if (latitude !== undefined && longitude !== undefined) {
+      updates.push(`location = ST_SetSRID(ST_MakePoint($${counter}, $${counter + 1}), 4326)`);
+      values.push(longitude, latitude);
+      counter += 2;
+    }
+
+    if (isDefault !== undefined) {
+      updates.push(`is_default = $${counter}`);
+      values.push(isDefault);
+      counter++;
+    }
+
+    updates.push(`updated_at = NOW()`);
+
+    // If no updates, return null
+    if (updates.length === 1) {
+      return null;
+    }
+
+    const query = `
+      UPDATE user_addresses
+      SET ${updates.join(', ')}
+      WHERE id = $${counter}
+      RETURNING ${ADDRESS_COLUMNS}
+    `;
+
+    values.push(id);
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  // Clear a user's default address, before another one becomes the default
+  static async clearDefault(userId, client = pool) {
+    const query = `
+      UPDATE user_addresses
+      SET is_default = false, updated_at = NOW()
+      WHERE user_id = $1 AND is_default = true
+    `;
+
+    await client.query(query, [userId]);
+  }
+
+  // Make the most recently used of a user's addresses the default
+  static async promoteLatest(userId, client = pool) {
+    const query = `
+      UPDATE user_addresses
+      SET is_default = true
+      WHERE id = (
+        SELECT id FROM user_addresses
+        WHERE user_id = $1
+        ORDER BY updated_at DESC, id DESC
+        LIMIT 1
+      )
+    `;
+
+    await client.query(query, [userId]);
+  }
+
+  // Delete address
+  static async delete(id, client = pool) {
+    const query = `
+      DELETE FROM user_addresses
+      WHERE id = $1
+      RETURNING id, is_default
+    `;
+
+    const result = await client.query(query, [id]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = Address;
@@ -0,0 +1,227 @@
+const pool = require('../config/database');
+
+// Brand columns plus its aliases, for the brand aliased as b
+const BRAND_COLUMNS = `
+  b.id, b.name, b.slug, b.logo_url, b.created_at, b.updated_at,
+  COALESCE((
+    SELECT array_agg(ba.alias ORDER BY ba.alias)
+    FROM brand_aliases ba
+    WHERE ba.brand_id = b.id
+  ), '{}') as aliases
+`;
+
+class Brand {
+  // Create a new brand, optionally on a transaction client
+  static async create({ name, slug, logoUrl }, client = pool) {
+    const query = `
+      INSERT INTO brands (name, slug, logo_url, created_at, updated_at)
+      VALUES ($1, $2, $3, NOW(), NOW())
+      RETURNING id
+    `;
+
+    const result = await client.query(query, [name, slug, logoUrl || null]);
+    return Brand.findById(result.rows[0].id, client);
+  }
+
+  // Create a brand unless its name or slug is already taken; returns null when it is
+  static async createIfFree({ name, slug }) {
+    const query = `
+      INSERT INTO brands (name, slug, created_at, updated_at)
+      VALUES ($1, $2, NOW(), NOW())
+      ON CONFLICT DO NOTHING
+      RETURNING id
+    `;
+
+    const result = await pool.query(query, [name, slug]);
+    return result.rows[0] ? Brand.findById(result.rows[0].id) : null;
+  }
+
+  // Find brand by ID, including its aliases
+  static async findById(id, client = pool) {
+    const query = `
+      SELECT ${BRAND_COLUMNS}
+      FROM brands b
+      WHERE b.id = $1
+    `;
+
+    const result = await client.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Find a brand by slug, including its aliases
+  static async findBySlug(slug) {
+    const query = `
+      SELECT ${BRAND_COLUMNS}
+      FROM brands b
+      WHERE b.slug = $1
+    `;
+
+    const result = await pool.query(query, [slug]);
+    return result.rows[0] || null;
+  }
+
+  // Find the brand using a name as its name, slug or alias, ignoring case
+  static async findByName(name) {
+    const query = `
+      SELECT ${BRAND_COLUMNS}
+      FROM brands b
+      WHERE b.id IN ${Brand.nameMatchSql('$1')}
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [String(name).trim()]);
+    return result.rows[0] || null;
+  }
+
+  // List brands with their aliases and catalog item counts
+  static async findAll(search = null) {
+    let whereClause = '';
+    const values = [];
+
+    if (search) {
+      whereClause = `
+        WHERE b.name ILIKE $1
+        OR EXISTS (SELECT 1 FROM brand_aliases ba WHERE ba.brand_id = b.id AND ba.alias ILIKE $1)
+      `;
+      values.push(`%${search}%`);
+    }
+
+    const query = `
+      SELECT ${BRAND_COLUMNS},
+      (SELECT COUNT(*)::int FROM electronics_catalog ec WHERE ec.brand_id = b.id) as item_count
+      FROM brands b
+      ${whereClause}
+      ORDER BY b.name
+    `;
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  // Subquery selecting the ID of the brand whose name, slug or alias matches a parameter
+  static nameMatchSql(param) {
+    return `(
+      SELECT mb.id FROM brands mb
+      WHERE LOWER(mb.name) = LOWER(${param}) OR LOWER(mb.slug) = LOWER(${param})
+      UNION
+      SELECT ma.brand_id FROM brand_aliases ma WHERE LOWER(ma.alias) = LOWER(${param})
+    )`;
+  }
+
+  // Subquery selecting the ID of the brand a parameter refers to by name, slug or alias, or else by ID
+  // Names win, so a brand called "3M" or "7" is never mistaken for the brand with that ID
+  static matchSql(param) {
+    return `(
+      SELECT named.id FROM ${Brand.nameMatchSql(param)} named
+      UNION
+      SELECT mb.id FROM brands mb
+      WHERE mb.id::text = ${param} AND NOT EXISTS (SELECT 1 FROM ${Brand.nameMatchSql(param)} taken)
+    )`;
+  }
+
+  // Update brand, optionally on a transaction client
+  static async update(id, brandData, client = pool) {
+    const { name, slug, logoUrl } = brandData;
+
+    // Build dynamic query
+    let updates = [];
+    let values = [];
+    let counter = 1;
+
+    if (name !== undefined) {
+      updates.push(`name = $${counter}`);
+      values.push(name);
+      counter++;
+    }
+
+    if (slug !== undefined) {
+      updates.push(`slug = $${counter}`);
+      values.push(slug);
+      counter++;
+    }
+
+    if (logoUrl !== undefined) {
+      updates.push(`logo_url = $${counter}`);
+      values.push(logoUrl);
+      counter++;
+    }
+
+    updates.push(`updated_at = NOW()`);
+
+    // If no updates, return null
+    if (updates.length === 1) {
+      return null;
+    }
+
+    const query = `
+      UPDATE brands
+      SET ${updates.join(', ')}
+      WHERE id = $${counter}
+      RETURNING id
+    `;
+
+    values.push(id);
+    const result = await client.query(query, values);
+    return result.rows[0] ? Brand.findById(id, client) : null;
+  }
+
+  // Replace a brand's aliases, optionally on a transaction client
+  static async setAliases(id, aliases, client = pool) {
+    await client.query('DELETE FROM brand_aliases WHERE brand_id = $1', [id]);
+
+    for (const alias of aliases) {
+      await Brand.addAlias(id, alias, client);
+    }
+  }
+
+  // Add an alias to a brand, ignoring one the brand already has
+  static async addAlias(id, alias, client = pool) {
+    const query = `
+      INSERT INTO brand_aliases (brand_id, alias, created_at)
+      SELECT $1, $2, NOW()
+      WHERE NOT EXISTS (
+        SELECT 1 FROM brand_aliases WHERE brand_id = $1 AND LOWER(alias) = LOWER($2)
+      )
+    `;
+
+    await client.query(query, [id, alias]);
+  }
+
+  // Move every alias from one brand to another, on a transaction client
+  static async moveAliases(fromId, toId, client) {
+    const query = `
+      UPDATE brand_aliases
+      SET brand_id = $2
+      WHERE brand_id = $1
+    `;
+
+    const result = await client.query(query, [fromId, toId]);
+    return result.rowCount;
+  }
+
+  // Count the catalog items made by a brand
+  static async countCatalogItems(id) {
+    const query = `
+      SELECT COUNT(*)::int as count
+      FROM electronics_catalog
+      WHERE brand_id = $1
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0].count;
+  }
+
+  // Delete brand, optionally on a transaction client
+  static async delete(id, client = pool) {
+    const query = `
+      DELETE FROM brands
+      WHERE id = $1
+      RETURNING id
+    `;
+
+    const result = await client.query(query, [id]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = Brand;
@@ -0,0 +1,100 @@
+const pool = require('../config/database');
+
+class Cart {
+  // Get all cart lines for a user, optionally on a transaction client
+  static async findByUserId(userId, client = pool) {
+    const query = `
+      SELECT ci.id, ci.user_id, ci.product_id, ci.variant_id, ci.quantity, ci.created_at, ci.updated_at,
+      p.title, p.shop_id, v.options as variant_options,
+      COALESCE(v.price, p.price) as price,
+      COALESCE(v.stock, p.stock) as stock,
+      COALESCE(v.image_url, p.image_url) as image_url,
+      s.name as shop_name, s.is_approved as shop_is_approved
+      FROM cart ci
+      JOIN products p ON ci.product_id = p.id
+      LEFT JOIN product_variants v ON ci.variant_id = v.id
+      LEFT JOIN shops s ON p.shop_id = s.id
+      WHERE ci.user_id = $1
+      ORDER BY p.shop_id, ci.created_at
+    `;
+
+    const result = await client.query(query, [userId]);
+    return result.rows;
+  }
+
+  // Find a user's cart line by ID
+  static async findItem(userId, itemId) {
+    const query = `
+      SELECT id, user_id, product_id, variant_id, quantity, created_at, updated_at
+      FROM cart
+      WHERE id = $1 AND user_id = $2
+    `;
+
+    const result = await pool.query(query, [itemId, userId]);
+    return result.rows[0] || null;
+  }
+
+  // Find the user's cart line for a product (or one of its variants)
+  static async findLine(userId, productId, variantId) {
+    const query = `
+      SELECT id, user_id, product_id, variant_id, quantity, created_at, updated_at
+      FROM cart
+      WHERE user_id = $1 AND product_id = $2 AND COALESCE(variant_id, 0) = COALESCE($3, 0)
+    `;
+
+    const result = await pool.query(query, [userId, productId, variantId || null]);
+    return result.rows[0] || null;
+  }
+
+  // Add a product (or one of its variants) to the cart, increasing the quantity if it is already there
+  static async addItem(userId, productId, variantId, quantity) {
+    const query = `
+      INSERT INTO cart (user_id, product_id, variant_id, quantity, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, NOW(), NOW())
+      ON CONFLICT (user_id, product_id, COALESCE(variant_id, 0))
+      DO UPDATE SET quantity = cart.quantity + EXCLUDED.quantity, updated_at = NOW()
+      RETURNING id, user_id, product_id, variant_id, quantity, created_at, updated_at
+    `;
+
+    const result = await pool.query(query, [userId, productId, variantId || null, quantity]);
+    return result.rows[0];
+  }
+
+  // Set the quantity of a cart line
+  static async updateQuantity(userId, itemId, quantity) {
+    const query = `
+      UPDATE cart
+      SET quantity = $1, updated_at = NOW()
+      WHERE id = $2 AND user_id = $3
+      RETURNING id, user_id, product_id, variant_id, quantity, created_at, updated_at
+    `;
+
+    const result = await pool.query(query, [quantity, itemId, userId]);
+    return result.rows[0] || null;
+  }
+
+  // Remove a cart line
+  static async removeItem(userId, itemId) {
+    const query = `
+      DELETE FROM cart
+      WHERE id = $1 AND user_id = $2
+      RETURNING id
+    `;
+
+    const result = await pool.query(query, [itemId, userId]);
+    return result.rows[0] || null;
+  }
+
+  // Empty a user's cart, optionally on a transaction client
+  static async clear(userId, client = pool) {
+    const query = `
+      DELETE FROM cart
+      WHERE user_id = $1
+    `;
+
+    const result = await client.query(query, [userId]);
+    return result.rowCount;
+  }
+}
+
+module.exports = Cart;
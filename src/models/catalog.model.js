@@ -1,15 +1,29 @@
 const pool = require('../config/database');
+const Brand = require('./brand.model');
+const Category = require('./category.model');
+const SearchSynonym = require('./search-synonym.model');
+const SpecSchema = require('./spec-schema.model');
+const { validateSpecs } = require('../utils/validators');
+const { parseSpecFilters, appendSpecFilters, buildFacetQueries, groupFacetRows } = require('../utils/spec-filters');
+const { SEARCH_CONFIG, HIGHLIGHT_OPTIONS, applyRewrites, buildTsQuery } = require('../utils/search');
+const { withIdKey, paginateQuery, pageResult } = require('../utils/pagination');
+const { slugify } = require('../utils/slug');
+const { ValidationError } = require('../utils/error');
 
 class Catalog {
   // Create a new catalog item
-  static async create({ name, brand, category, specs, imageUrl }) {
+  static async create({ name, brand, brandId, category, categoryId, specs, imageUrl, serialTracking }) {
+    const brandRow = await Catalog.resolveBrand(brand, brandId);
+    const categoryRow = await Catalog.resolveCategory(category, categoryId);
+    specs = await Catalog.checkSpecs(categoryRow.id, specs);
+    
     const query = `
-      INSERT INTO electronics_catalog (name, brand, category, specs, image_url, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
-      RETURNING id, name, brand, category, specs, image_url, created_at
+      INSERT INTO electronics_catalog (name, brand, brand_id, category, category_id, specs, image_url, serial_tracking, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+      RETURNING id, name, brand, brand_id, category, category_id, specs, image_url, serial_tracking, created_at
     `;
     
-    const values = [name, brand, category, specs || {}, imageUrl];
+    const values = [name, brandRow.name, brandRow.id, categoryRow.name, categoryRow.id, specs, imageUrl, serialTracking || 'none'];
     const result = await pool.query(query, values);
     return result.rows[0];
   }
@@ -17,66 +31,127 @@ class Catalog {
   // Find catalog item by ID
   static async findById(id) {
     const query = `
-      SELECT id, name, brand, category, specs, image_url, created_at, updated_at
-      FROM electronics_catalog
-      WHERE id = $1
+      SELECT ec.id, ec.name, ec.brand, ec.brand_id, ec.category, ec.category_id, ec.specs, ec.image_url,
+      ec.serial_tracking, ec.created_at, ec.updated_at,
+      b.logo_url as brand_logo_url
+      FROM electronics_catalog ec
+      LEFT JOIN brands b ON ec.brand_id = b.id
+      WHERE ec.id = $1
     `;
     
     const result = await pool.query(query, [id]);
     return result.rows[0] || null;
   }
   
-  // Find catalog items by category
-  static async findByCategory(category, page = 1, limit = 10, sort = {}) {
+  // Find a catalog item by name and optional brand (or brand alias), ignoring case
+  static async findByNameAndBrand(name, brand = null) {
+    let query = `
+      SELECT id, name, brand, brand_id, category, category_id, specs, image_url, created_at, updated_at
+      FROM electronics_catalog
+      WHERE LOWER(name) = LOWER($1)
+    `;
+    const values = [name];
+    
+    if (brand) {
+      query += ` AND brand_id IN ${Brand.matchSql('$2')}`;
+      values.push(brand);
+    }
+    
+    query += ' ORDER BY id LIMIT 1';
+    
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  }
+  
+  // Find catalog items by category, by page or after a cursor (see search)
+  static async findByCategory(category, page = 1, limit = 10, sort = {}, cursor = null) {
     const offset = (page - 1) * limit;
     
-    // Build ORDER BY clause
-    let orderClause = ' ORDER BY created_at DESC';
+    // Build sort keys
+    let orderKeys = [{ column: 'created_at', direction: 'DESC' }];
     
     if (sort.field) {
       const direction = sort.order === 'asc' ? 'ASC' : 'DESC';
       const allowedFields = ['name', 'brand', 'created_at'];
       
       if (allowedFields.includes(sort.field)) {
-        orderClause = ` ORDER BY ${sort.field} ${direction}`;
+        orderKeys = [{ column: sort.field, direction }];
       }
     }
     
-    // Count total
-    const countQuery = `
-      SELECT COUNT(*) as total
+    orderKeys = withIdKey(orderKeys);
+    
+    // Get one page of results
+    // Items filed anywhere under the category count as in it
+    const query = `
+      SELECT id, name, brand, brand_id, category, category_id, specs, image_url, created_at, updated_at
       FROM electronics_catalog
-      WHERE category = $1
+      WHERE category_id IN ${Category.subtreeSql('$1')}
     `;
     
-    const countResult = await pool.query(countQuery, [category]);
-    const total = parseInt(countResult.rows[0].total);
+    const paged = paginateQuery(query, [String(category)], orderKeys, { limit, offset, cursor });
+    const result = await pool.query(paged.sql, paged.values);
+    const { items, nextCursor } = pageResult(result.rows, orderKeys, limit);
     
-    // Get paginated results
-    const query = `
-      SELECT id, name, brand, category, specs, image_url, created_at, updated_at
+    if (cursor) {
+      return {
+        items,
+        pagination: { limit, next_cursor: nextCursor }
+      };
+    }
+    
+    // Count total
+    const countQuery = `
+      SELECT COUNT(*) as total
       FROM electronics_catalog
-      WHERE category = $1
-      ${orderClause}
-      LIMIT $2 OFFSET $3
+      WHERE category_id IN ${Category.subtreeSql('$1')}
     `;
     
-    const result = await pool.query(query, [category, limit, offset]);
+    const countResult = await pool.query(countQuery, [String(category)]);
+    const total = parseInt(countResult.rows[0].total);
     
     return {
-      items: result.rows,
+      items,
       pagination: {
         total,
         page,
         limit,
-        pages: Math.ceil(total / limit)
+        pages: Math.ceil(total / limit),
+        next_cursor: nextCursor
       }
     };
   }
   
   // Update catalog item
   static async update(id, itemData) {
-    const { name, brand, category, specs, imageUrl } = itemData;
+    const { name, imageUrl, serialTracking } = itemData;
+    let { brand, brandId, category, categoryId, specs } = itemData;
+    
+    if (brand !== undefined || brandId !== undefined) {
+      const brandRow = await Catalog.resolveBrand(brand, brandId);
+      brand = brandRow.name;
+      brandId = brandRow.id;
+    }
+    
+    // A new category can bring a different schema, so re-check the specs either way
+    if (specs !== undefined || category !== undefined || categoryId !== undefined) {
+      const existing = await Catalog.findById(id);
+      
+      if (!existing) {
+        return null;
+      }
+      
+      if (category !== undefined || categoryId !== undefined) {
+        const categoryRow = await Catalog.resolveCategory(category, categoryId);
+        category = categoryRow.name;
+        categoryId = categoryRow.id;
+      }
+      
+      specs = await Catalog.checkSpecs(
+        categoryId !== undefined ? categoryId : existing.category_id,
+        specs !== undefined ? specs : existing.specs
+      );
+    }
     
     // Build dynamic query
     let updates = [];
@@ -95,12 +170,24 @@ class Catalog {
       counter++;
     }
     
+    if (brandId !== undefined) {
+      updates.push(`brand_id = $${counter}`);
+      values.push(brandId);
+      counter++;
+    }
+    
     if (category !== undefined) {
       updates.push(`category = $${counter}`);
       values.push(category);
       counter++;
     }
     
+    if (categoryId !== undefined) {
+      updates.push(`category_id = $${counter}`);
+      values.push(categoryId);
+      counter++;
+    }
+    
     if (specs !== undefined) {
       updates.push(`specs = $${counter}`);
       values.push(specs);
@@ -113,6 +200,12 @@ class Catalog {
       counter++;
     }
     
+    if (serialTracking !== undefined) {
+      updates.push(`serial_tracking = $${counter}`);
+      values.push(serialTracking);
+      counter++;
+    }
+    
     updates.push(`updated_at = NOW()`);
     
     // If no updates, return null
@@ -124,7 +217,7 @@ class Catalog {
       UPDATE electronics_catalog
       SET ${updates.join(', ')}
       WHERE id = $${counter}
-      RETURNING id, name, brand, category, specs, image_url, created_at, updated_at
+      RETURNING id, name, brand, brand_id, category, category_id, specs, image_url, serial_tracking, created_at, updated_at
     `;
     
     values.push(id);
@@ -132,6 +225,122 @@ class Catalog {
     return result.rows[0] || null;
   }
   
+  // Find the category an item is filed under from its ID, or from a name or slug
+  // An unknown name starts a new top-level category, as free-text categories always have;
+  // a name whose slug is already taken (e.g. "Phones." when "phones" exists) files under that category
+  static async resolveCategory(category, categoryId) {
+    if (categoryId) {
+      const found = await Category.findById(categoryId);
+      
+      if (!found) {
+        throw new ValidationError('Invalid category', { categoryId: `Category ${categoryId} not found` });
+      }
+      
+      return found;
+    }
+    
+    const found = await Category.findByIdentifier(category);
+    
+    if (found) {
+      return found;
+    }
+    
+    const slug = slugify(category);
+    
+    if (!slug) {
+      throw new ValidationError('Invalid category', { category: 'Category name must contain letters or digits' });
+    }
+    
+    // Another request may create the same category between the lookup and the insert
+    const created = await Category.createIfSlugFree({ name: String(category).trim(), slug });
+    return created || Category.findBySlug(slug);
+  }
+  
+  // Find the brand an item is made by from its ID, or from a name, slug or alias
+  // An unknown name registers a new brand so existing clients can keep sending plain strings;
+  // a name whose slug is already taken resolves to that brand
+  static async resolveBrand(brand, brandId) {
+    if (brandId) {
+      const found = await Brand.findById(brandId);
+      
+      if (!found) {
+        throw new ValidationError('Invalid brand', { brandId: `Brand ${brandId} not found` });
+      }
+      
+      return found;
+    }
+    
+    const found = await Brand.findByName(brand);
+    
+    if (found) {
+      return found;
+    }
+    
+    const name = String(brand).trim();
+    const slug = slugify(brand);
+    
+    if (!slug) {
+      throw new ValidationError('Invalid brand', { brand: 'Brand name must contain letters or digits' });
+    }
+    
+    // Another request may create the same brand between the lookup and the insert
+    const created = await Brand.createIfFree({ name, slug });
+    return created || await Brand.findBySlug(slug) || Brand.findByName(name);
+  }
+  
+  // Check specs against the category's spec schema and return them with values coerced
+  static async checkSpecs(categoryId, specs) {
+    const schema = categoryId ? await SpecSchema.findByCategoryId(categoryId) : null;
+    
+    if (!schema) {
+      return specs || {};
+    }
+    
+    const result = validateSpecs(specs || {}, schema.fields);
+    
+    if (!result.valid) {
+      throw new ValidationError(`Specs do not match the ${schema.category} spec schema`, result.errors);
+    }
+    
+    return result.specs;
+  }
+  
+  // Relabel the items of a renamed brand, optionally on a transaction client
+  static async renameBrand(brandId, name, client = pool) {
+    const query = `
+      UPDATE electronics_catalog
+      SET brand = $1, updated_at = NOW()
+      WHERE brand_id = $2
+    `;
+    
+    const result = await client.query(query, [name, brandId]);
+    return result.rowCount;
+  }
+  
+  // Move every item of one brand to another, on a transaction client
+  static async reassignBrand(fromBrandId, toBrand, client) {
+    const query = `
+      UPDATE electronics_catalog
+      SET brand_id = $1, brand = $2, updated_at = NOW()
+      WHERE brand_id = $3
+    `;
+    
+    const result = await client.query(query, [toBrand.id, toBrand.name, fromBrandId]);
+    return result.rowCount;
+  }
+  
+  // Relabel the items filed under a renamed category, optionally on a transaction client
+  static async renameCategory(categoryId, name, client = pool) {
+    const query = `
+      UPDATE electronics_catalog
+      SET category = $1, updated_at = NOW()
+      WHERE category_id = $2
+    `;
+    
+    const result = await client.query(query, [name, categoryId]);
+    return result.rowCount;
+  }
+  
   // Delete catalog item
   static async delete(id) {
     const query = `
@@ -145,7 +354,8 @@ class Catalog {
   }
   
   // Search and filter catalog items
-  static async search(page = 1, limit = 10, filters = {}, sort = {}) {
+  // With a cursor the page after it is returned instead of `page`, skipping the count and facets
+  static async search(page = 1, limit = 10, filters = {}, sort = {}, cursor = null) {
     const offset = (page - 1) * limit;
     
     // Build WHERE clause
@@ -153,39 +363,79 @@ class Catalog {
     let values = [];
     let counter = 1;
     
-    if (filters.search) {
+    // Full-text match over name, brand and specs (see search_vector), or any of the brand's aliases
+    // Admin rewrites run first, then each word also matches its synonyms
+    const rules = filters.search ? await SearchSynonym.getRules() : null;
+    const tsQuery = rules && buildTsQuery(applyRewrites(filters.search, rules.rewrites), rules.synonymGroups);
+    let searchSql = null;
+    
+    if (tsQuery) {
+      searchSql = `to_tsquery('${SEARCH_CONFIG}', $${counter})`;
       whereClause += whereClause ? ' AND ' : ' WHERE ';
-      whereClause += `(name ILIKE $${counter} OR brand ILIKE $${counter})`;
-      values.push(`%${filters.search}%`);
+      whereClause += `(search_vector @@ ${searchSql} OR brand_id IN (
+        SELECT brand_id FROM brand_aliases WHERE to_tsvector('${SEARCH_CONFIG}', alias) @@ ${searchSql}
+      ))`;
+      values.push(tsQuery);
       counter++;
     }
     
+    // A parent category also matches everything below it
     if (filters.category) {
       whereClause += whereClause ? ' AND ' : ' WHERE ';
-      whereClause += `category = $${counter}`;
-      values.push(filters.category);
+      whereClause += `category_id IN ${Category.subtreeSql(`$${counter}`)}`;
+      values.push(String(filters.category));
       counter++;
     }
     
+    // Any spelling the registry knows, e.g. 'SAMSUNG', finds the canonical brand's items
     if (filters.brand) {
       whereClause += whereClause ? ' AND ' : ' WHERE ';
-      whereClause += `brand = $${counter}`;
-      values.push(filters.brand);
+      whereClause += `brand_id IN ${Brand.matchSql(`$${counter}`)}`;
+      values.push(String(filters.brand).trim());
       counter++;
     }
     
-    // Build ORDER BY clause
-    let orderClause = ' ORDER BY created_at DESC';
+    // Spec filters, e.g. { ram_gb: { min: 8 }, os: ['Android'] }
+    const specFilters = parseSpecFilters(filters.specs);
+    const facetBase = { whereClause, values, counter };
+    ({ whereClause, values, counter } = appendSpecFilters(whereClause, values, counter, specFilters, 'specs'));
+    
+    // Build sort keys
+    let orderKeys = searchSql
+      ? [{ column: 'rank', direction: 'DESC' }, { column: 'created_at', direction: 'DESC' }]
+      : [{ column: 'created_at', direction: 'DESC' }];
     
     if (sort.field) {
       const direction = sort.order === 'asc' ? 'ASC' : 'DESC';
       const allowedFields = ['name', 'brand', 'category', 'created_at'];
       
       if (allowedFields.includes(sort.field)) {
-        orderClause = ` ORDER BY ${sort.field} ${direction}`;
+        orderKeys = [{ column: sort.field, direction }];
       }
     }
     
+    orderKeys = withIdKey(orderKeys);
+    
+    // Get one page of results
+    const query = `
+      SELECT id, name, brand, brand_id, category, category_id, specs, image_url, created_at, updated_at,
+      ${searchSql ? `ts_rank(search_vector, ${searchSql})` : 'NULL::real'} as rank,
+      ${searchSql ? `ts_headline('${SEARCH_CONFIG}', name, ${searchSql}, '${HIGHLIGHT_OPTIONS}')` : 'NULL'} as name_highlight
+      FROM electronics_catalog
+      ${whereClause}
+    `;
+    
+    const paged = paginateQuery(query, values, orderKeys, { limit, offset, cursor });
+    const result = await pool.query(paged.sql, paged.values);
+    const { items, nextCursor } = pageResult(result.rows, orderKeys, limit);
+    
+    if (cursor) {
+      return {
+        items,
+        pagination: { limit, next_cursor: nextCursor }
+      };
+    }
+    
     // Count total
     const countQuery = `
       SELECT COUNT(*) as total
@@ -196,29 +446,37 @@ class Catalog {
     const countResult = await pool.query(countQuery, values);
     const total = parseInt(countResult.rows[0].total);
     
-    // Get paginated results
-    const query = `
-      SELECT id, name, brand, category, specs, image_url, created_at, updated_at
-      FROM electronics_catalog
-      ${whereClause}
-      ${orderClause}
-      LIMIT $${counter} OFFSET $${counter+1}
-    `;
-    
-    values.push(limit, offset);
-    const result = await pool.query(query, values);
+    const facets = await Catalog.getSpecFacets('electronics_catalog', facetBase, specFilters, 'specs', filters.category);
     
     return {
-      items: result.rows,
+      items,
       pagination: {
         total,
         page,
         limit,
-        pages: Math.ceil(total / limit)
-      }
+        pages: Math.ceil(total / limit),
+        next_cursor: nextCursor
+      },
+      facets
     };
   }
   
+  // Count spec values across a search's matches so clients can build filter sidebars
+  // `category` is the search's category filter (ID, slug or name); its spec schema labels the facets
+  static async getSpecFacets(fromClause, base, specFilters, column, category = null) {
+    const queries = buildFacetQueries(fromClause, base, specFilters, column);
+    const resultSets = [];
+    
+    for (const facetQuery of queries) {
+      const result = await pool.query(facetQuery.text, facetQuery.values);
+      resultSets.push(result.rows);
+    }
+    
+    const categoryRow = category ? await Category.findByFilter(category) : null;
+    const schema = categoryRow ? await SpecSchema.findByCategoryId(categoryRow.id) : null;
+    return groupFacetRows(resultSets, specFilters, schema ? schema.fields : []);
+  }
+  
   // Get distinct categories
   static async getCategories() {
     const query = `
@@ -231,16 +489,10 @@ class Catalog {
     return result.rows.map(row => row.category);
   }
   
-  // Get distinct brands
+  // Get canonical brand names from the brand registry
   static async getBrands() {
-    const query = `
-      SELECT DISTINCT brand
-      FROM electronics_catalog
-      ORDER BY brand
-    `;
-    
-    const result = await pool.query(query);
-    return result.rows.map(row => row.brand);
+    const brands = await Brand.findAll();
+    return brands.map(brand => brand.name);
   }
 }
 
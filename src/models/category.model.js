@@ -0,0 +1,217 @@
+const pool = require('../config/database');
+
+const CATEGORY_COLUMNS = 'id, name, slug, parent_id, icon, sort_order, created_at, updated_at';
+
+// Subquery selecting the one category a filter value names: its ID, its slug, or a name no other
+// category shares ("Accessories" under both Phones and Laptops names neither)
+const filterMatchSql = (param) => `(
+  SELECT id FROM categories
+  WHERE id::text = ${param} OR LOWER(slug) = LOWER(${param})
+  OR (LOWER(name) = LOWER(${param}) AND NOT EXISTS (
+    SELECT 1 FROM categories other WHERE LOWER(other.name) = LOWER(${param}) AND other.id <> categories.id
+  ))
+  ORDER BY (id::text = ${param}) DESC, (LOWER(slug) = LOWER(${param})) DESC
+  LIMIT 1
+)`;
+
+class Category {
+  // Create a new category
+  static async create({ name, slug, parentId, icon, sortOrder }) {
+    const query = `
+      INSERT INTO categories (name, slug, parent_id, icon, sort_order, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+      RETURNING ${CATEGORY_COLUMNS}
+    `;
+
+    const values = [name, slug, parentId || null, icon || null, sortOrder || 0];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  // Create a top-level category unless its slug is already taken; returns null when it is
+  static async createIfSlugFree({ name, slug }) {
+    const query = `
+      INSERT INTO categories (name, slug, created_at, updated_at)
+      VALUES ($1, $2, NOW(), NOW())
+      ON CONFLICT (slug) DO NOTHING
+      RETURNING ${CATEGORY_COLUMNS}
+    `;
+
+    const result = await pool.query(query, [name, slug]);
+    return result.rows[0] || null;
+  }
+
+  // Find category by ID
+  static async findById(id) {
+    const query = `
+      SELECT ${CATEGORY_COLUMNS}
+      FROM categories
+      WHERE id = $1
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Find a category by slug
+  static async findBySlug(slug) {
+    const query = `
+      SELECT ${CATEGORY_COLUMNS}
+      FROM categories
+      WHERE slug = $1
+    `;
+
+    const result = await pool.query(query, [slug]);
+    return result.rows[0] || null;
+  }
+
+  // Find a category by ID, slug or name, preferring top-level categories on a name clash
+  static async findByIdentifier(identifier) {
+    const query = `
+      SELECT ${CATEGORY_COLUMNS}
+      FROM categories
+      WHERE id::text = $1 OR LOWER(slug) = LOWER($1) OR LOWER(name) = LOWER($1)
+      ORDER BY (id::text = $1) DESC, (LOWER(slug) = LOWER($1)) DESC, parent_id NULLS FIRST, id
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [String(identifier)]);
+    return result.rows[0] || null;
+  }
+
+  // Get every category in display order, for building the tree
+  static async findAll() {
+    const query = `
+      SELECT ${CATEGORY_COLUMNS},
+      (SELECT COUNT(*)::int FROM electronics_catalog ec WHERE ec.category_id = categories.id) as item_count
+      FROM categories
+      ORDER BY sort_order, name
+    `;
+
+    const result = await pool.query(query);
+    return result.rows;
+  }
+
+  // Get the IDs of a category and everything below it
+  static async findSubtreeIds(id) {
+    const query = `
+      WITH RECURSIVE tree AS (
+        SELECT id FROM categories WHERE id = $1
+        UNION
+        SELECT ch.id FROM categories ch JOIN tree t ON ch.parent_id = t.id
+      )
+      SELECT id FROM tree
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows.map(row => row.id);
+  }
+
+  // Find the category a list filter names (see filterMatchSql)
+  static async findByFilter(identifier) {
+    const query = `
+      SELECT ${CATEGORY_COLUMNS}
+      FROM categories
+      WHERE id = ${filterMatchSql('$1')}
+    `;
+
+    const result = await pool.query(query, [String(identifier)]);
+    return result.rows[0] || null;
+  }
+
+  // Subquery selecting every category ID under the category a filter parameter names (see filterMatchSql)
+  static subtreeSql(param) {
+    return `(
+      WITH RECURSIVE tree AS (
+        SELECT id FROM categories WHERE id = ${filterMatchSql(param)}
+        UNION
+        SELECT ch.id FROM categories ch JOIN tree t ON ch.parent_id = t.id
+      )
+      SELECT id FROM tree
+    )`;
+  }
+
+  // Update category
+  static async update(id, categoryData, client = pool) {
+    const { name, slug, parentId, icon, sortOrder } = categoryData;
+
+    // Build dynamic query
+    let updates = [];
+    let values = [];
+    let counter = 1;
+
+    if (name !== undefined) {
+      updates.push(`name = $${counter}`);
+      values.push(name);
+      counter++;
+    }
+
+    if (slug !== undefined) {
+      updates.push(`slug = $${counter}`);
+      values.push(slug);
+      counter++;
+    }
+
+    if (parentId !== undefined) {
+      updates.push(`parent_id = $${counter}`);
+      values.push(parentId);
+      counter++;
+    }
+
+    if (icon !== undefined) {
+      updates.push(`icon = $${counter}`);
+      values.push(icon);
+      counter++;
+    }
+
+    if (sortOrder !== undefined) {
+      updates.push(`sort_order = $${counter}`);
+      values.push(sortOrder);
+      counter++;
+    }
+
+    updates.push(`updated_at = NOW()`);
+
+    // If no updates, return null
+    if (updates.length === 1) {
+      return null;
+    }
+
+    const query = `
+      UPDATE categories
+      SET ${updates.join(', ')}
+      WHERE id = $${counter}
+      RETURNING ${CATEGORY_COLUMNS}
+    `;
+
+    values.push(id);
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  // Count a category's direct children and the catalog items filed under it
+  static async countDependants(id) {
+    const query = `
+      SELECT
+      (SELECT COUNT(*)::int FROM categories WHERE parent_id = $1) as children,
+      (SELECT COUNT(*)::int FROM electronics_catalog WHERE category_id = $1) as items
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0];
+  }
+
+  // Delete category
+  static async delete(id) {
+    const query = `
+      DELETE FROM categories
+      WHERE id = $1
+      RETURNING id
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = Category;
@@ -0,0 +1,36 @@
+const pool = require('../config/database');
+
+const SETTINGS_COLUMNS = `shop_id, fee_tiers, min_order_value::float as min_order_value,
+  max_distance_km::float as max_distance_km, is_active, created_at, updated_at`;
+
+class DeliverySettings {
+  // Find a shop's delivery pricing
+  static async findByShopId(shopId) {
+    const query = `
+      SELECT ${SETTINGS_COLUMNS}
+      FROM shop_delivery_settings
+      WHERE shop_id = $1
+    `;
+
+    const result = await pool.query(query, [shopId]);
+    return result.rows[0] || null;
+  }
+
+  // Create or replace a shop's delivery pricing
+  static async upsert(shopId, { feeTiers, minOrderValue, maxDistanceKm, isActive }) {
+    const query = `
+      INSERT INTO shop_delivery_settings (shop_id, fee_tiers, min_order_value, max_distance_km, is_active, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+      ON CONFLICT (shop_id)
+      DO UPDATE SET fee_tiers = EXCLUDED.fee_tiers, min_order_value = EXCLUDED.min_order_value,
+      max_distance_km = EXCLUDED.max_distance_km, is_active = EXCLUDED.is_active, updated_at = NOW()
+      RETURNING ${SETTINGS_COLUMNS}
+    `;
+
+    const values = [shopId, JSON.stringify(feeTiers), minOrderValue, maxDistanceKm, isActive];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+}
+
+module.exports = DeliverySettings;
@@ -0,0 +1,174 @@
+const pool = require('../config/database');
+const { createBoundsCondition } = require('../utils/geo');
+
+const ZONE_COLUMNS = `id, shop_id, name, ST_AsGeoJSON(area)::json as area,
+  ROUND((ST_Area(area::geography) / 1000000)::numeric, 2)::float as area_km2,
+  is_active, created_at, updated_at`;
+
+class DeliveryZone {
+  // Create a delivery zone from a GeoJSON polygon
+  static async create({ shopId, name, area, isActive }) {
+    const query = `
+      INSERT INTO shop_delivery_zones (shop_id, name, area, is_active, created_at, updated_at)
+      VALUES ($1, $2, ST_SetSRID(ST_GeomFromGeoJSON($3), 4326), $4, NOW(), NOW())
+      RETURNING ${ZONE_COLUMNS}
+    `;
+
+    const values = [shopId, name || null, JSON.stringify(area), isActive !== false];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  // Find zone by ID
+  static async findById(id) {
+    const query = `
+      SELECT ${ZONE_COLUMNS}
+      FROM shop_delivery_zones
+      WHERE id = $1
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Get a shop's delivery zones
+  static async findByShopId(shopId) {
+    const query = `
+      SELECT ${ZONE_COLUMNS}
+      FROM shop_delivery_zones
+      WHERE shop_id = $1
+      ORDER BY id
+    `;
+
+    const result = await pool.query(query, [shopId]);
+    return result.rows;
+  }
+
+  // Check a GeoJSON polygon with PostGIS: validity (e.g. no self-intersections) and size
+  static async checkArea(area) {
+    const query = `
+      SELECT ST_IsValid(geom) as valid, ST_IsValidReason(geom) as reason,
+      ST_Area(geom::geography) / 1000000 as area_km2
+      FROM (SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) as geom) polygon
+    `;
+
+    const result = await pool.query(query, [JSON.stringify(area)]);
+    return result.rows[0];
+  }
+
+  // Count a shop's active zones and find one containing the point, if any
+  static async findCovering(shopId, lat, lng) {
+    const query = `
+      SELECT COUNT(*)::int as zone_count,
+      MIN(id) FILTER (WHERE ST_Contains(area, ST_SetSRID(ST_MakePoint($2, $3), 4326))) as zone_id
+      FROM shop_delivery_zones
+      WHERE shop_id = $1 AND is_active = true
+    `;
+
+    const result = await pool.query(query, [shopId, lng, lat]);
+    return result.rows[0];
+  }
+
+  // Zones with their shop's name and status, for map exports
+  static async findForExport({ statuses, bounds } = {}) {
+    let whereClause = '';
+    let values = [];
+    let counter = 1;
+
+    if (statuses && statuses.length > 0) {
+      whereClause += ' WHERE s.status = ANY($1)';
+      values.push(statuses);
+      counter++;
+    }
+
+    if (bounds) {
+      const within = createBoundsCondition('dz.area', bounds, counter);
+      whereClause += whereClause ? ' AND ' : ' WHERE ';
+      whereClause += within.sql;
+      values.push(...within.values);
+    }
+
+    const query = `
+      SELECT dz.id, dz.shop_id, s.name as shop_name, s.status as shop_status, dz.name,
+      ST_AsGeoJSON(dz.area)::json as area,
+      ROUND((ST_Area(dz.area::geography) / 1000000)::numeric, 2)::float as area_km2,
+      dz.is_active
+      FROM shop_delivery_zones dz
+      JOIN shops s ON dz.shop_id = s.id
+      ${whereClause}
+      ORDER BY dz.shop_id, dz.id
+    `;
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  // Update zone
+  static async update(id, zoneData) {
+    const { name, area, isActive } = zoneData;
+
+    // Build dynamic query
+    let updates = [];
+    let values = [];
+    let counter = 1;
+
+    if (name !== undefined) {
+      updates.push(`name = $${counter}`);
+      values.push(name || null);
+      counter++;
+    }
+
+    if (area !== undefined) {
+      updates.push(`area = ST_SetSRID(ST_GeomFromGeoJSON($${counter}), 4326)`);
+      values.push(JSON.stringify(area));
+      counter++;
+    }
+
+    if (isActive !== undefined) {
+      updates.push(`is_active = $${counter}`);
+      values.push(isActive);
+      counter++;
+    }
+
+    updates.push(`updated_at = NOW()`);
+
+    // If no updates, return null
+    if (updates.length === 1) {
+      return null;
+    }
+
+    const query = `
+      UPDATE shop_delivery_zones
+      SET ${updates.join(', ')}
+      WHERE id = $${counter}
+      RETURNING ${ZONE_COLUMNS}
+    `;
+
+    values.push(id);
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  // Delete zone
+  static async delete(id) {
+    const query = `
+      DELETE FROM shop_delivery_zones
+      WHERE id = $1
+      RETURNING id
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // SQL condition: one of the shop's active zones contains the point
+  // `shopColumn` is the shop ID column and `point` a 4326 geometry expression of the customer's location
+  static containsSql(shopColumn, point) {
+    return `EXISTS (
+      SELECT 1 FROM shop_delivery_zones dz
+      WHERE dz.shop_id = ${shopColumn} AND dz.is_active = true AND ST_Contains(dz.area, ${point})
+    )`;
+  }
+}
+
+module.exports = DeliveryZone;
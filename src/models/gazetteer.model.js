@@ -0,0 +1,112 @@
+const pool = require('../config/database');
+
+const PLACE_COLUMNS = `id, name, place_type, pincode, city, district, state, country,
+  ST_Y(location) as latitude, ST_X(location) as longitude`;
+
+// Most specific place types first, so "Indiranagar, Bengaluru" resolves to the locality, not the city
+const PLACE_TYPE_RANK = `CASE place_type
+  WHEN 'landmark' THEN 1 WHEN 'locality' THEN 2 WHEN 'pincode' THEN 3
+  WHEN 'city' THEN 4 WHEN 'district' THEN 5 WHEN 'state' THEN 6 ELSE 7 END`;
+
+class Gazetteer {
+  // Best place for the parts of an address (e.g. ['12 MG Road', 'Indiranagar', 'Bengaluru']),
+  // optionally narrowed to a pincode
+  static async findBestMatch(parts, pincode = null) {
+    const values = [parts];
+    let whereClause = ' WHERE name % ANY($1::text[])';
+
+    if (pincode) {
+      // Within a pincode any place will do; the name only picks between them
+      whereClause = ' WHERE pincode = $2';
+      values.push(pincode);
+    }
+
+    const query = `
+      SELECT ${PLACE_COLUMNS}
+      FROM gazetteer_places
+      ${whereClause}
+      ORDER BY (SELECT MAX(similarity(name, part)) FROM unnest($1::text[]) part) DESC NULLS LAST,
+      ${PLACE_TYPE_RANK}, id
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  // Closest place to a point within `maxDistance` meters
+  static async findNearest(lat, lng, maxDistance) {
+    const query = `
+      SELECT ${PLACE_COLUMNS},
+      ST_Distance(location::geography, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography) as distance
+      FROM gazetteer_places
+      WHERE ST_DWithin(location::geography, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography, $3)
+      AND place_type NOT IN ('district', 'state')
+      ORDER BY location <-> ST_SetSRID(ST_MakePoint($1, $2), 4326), ${PLACE_TYPE_RANK}
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [lng, lat, maxDistance]);
+    return result.rows[0] || null;
+  }
+
+  // Places within `radius` meters, nearest first
+  static async findNearby(lat, lng, radius, placeType = null, limit = 20) {
+    const values = [lng, lat, radius];
+    let typeClause = '';
+
+    if (placeType) {
+      typeClause = ' AND place_type = $4';
+      values.push(placeType);
+    }
+
+    const query = `
+      SELECT ${PLACE_COLUMNS},
+      ST_Distance(location::geography, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography) as distance
+      FROM gazetteer_places
+      WHERE ST_DWithin(location::geography, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography, $3)
+      ${typeClause}
+      ORDER BY distance
+      LIMIT $${values.length + 1}
+    `;
+
+    values.push(limit);
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  // Insert places, updating those already present (same type, name and pincode)
+  static async upsertMany(places, client = pool) {
+    if (places.length === 0) {
+      return { created: 0, updated: 0 };
+    }
+
+    const values = [];
+    const rows = places.map((place, i) => {
+      const offset = i * 9;
+      values.push(
+        place.name, place.placeType, place.pincode, place.city, place.district,
+        place.state, place.country, place.longitude, place.latitude
+      );
+
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7},
+        ST_SetSRID(ST_MakePoint($${offset + 8}, $${offset + 9}), 4326), NOW(), NOW())`;
+    });
+
+    const query = `
+      INSERT INTO gazetteer_places (name, place_type, pincode, city, district, state, country, location, created_at, updated_at)
+      VALUES ${rows.join(', ')}
+      ON CONFLICT (place_type, LOWER(name), COALESCE(pincode, ''))
+      DO UPDATE SET name = EXCLUDED.name, city = EXCLUDED.city, district = EXCLUDED.district,
+      state = EXCLUDED.state, country = EXCLUDED.country, location = EXCLUDED.location, updated_at = NOW()
+      RETURNING (xmax = 0) as created
+    `;
+
+    const result = await client.query(query, values);
+    const created = result.rows.filter(row => row.created).length;
+
+    return { created, updated: result.rows.length - created };
+  }
+}
+
+module.exports = Gazetteer;
@@ -0,0 +1,35 @@
+const pool = require('../config/database');
+
+class GeocodeCache {
+  // Find an unexpired cached result
+  static async find(provider, lookupType, lookupKey) {
+    const query = `
+      SELECT result
+      FROM geocode_cache
+      WHERE provider = $1 AND lookup_type = $2 AND lookup_key = $3 AND expires_at > NOW()
+    `;
+
+    const result = await pool.query(query, [provider, lookupType, lookupKey]);
+    return result.rows[0] ? result.rows[0].result : null;
+  }
+
+  // Store a result for `ttlDays` days, replacing any earlier one for the same lookup
+  static async save(provider, lookupType, lookupKey, data, ttlDays) {
+    const query = `
+      INSERT INTO geocode_cache (provider, lookup_type, lookup_key, result, created_at, expires_at)
+      VALUES ($1, $2, $3, $4, NOW(), NOW() + make_interval(days => $5))
+      ON CONFLICT (provider, lookup_type, lookup_key)
+      DO UPDATE SET result = EXCLUDED.result, created_at = EXCLUDED.created_at, expires_at = EXCLUDED.expires_at
+    `;
+
+    await pool.query(query, [provider, lookupType, lookupKey, JSON.stringify(data), ttlDays]);
+  }
+
+  // Delete results past their expiry; returns how many were removed
+  static async purgeExpired() {
+    const result = await pool.query('DELETE FROM geocode_cache WHERE expires_at <= NOW()');
+    return result.rowCount;
+  }
+}
+
+module.exports = GeocodeCache;
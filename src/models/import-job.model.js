@@ -0,0 +1,72 @@
+const pool = require('../config/database');
+
+const JOB_COLUMNS = `
+  id, shop_id, user_id, file_name, format, status, total_rows, processed_rows,
+  created_count, updated_count, failed_count, row_errors, error_message,
+  created_at, started_at, finished_at
+`;
+
+class ImportJob {
+  // Create a new pending import job
+  static async create({ shopId, userId, fileName, format, totalRows }) {
+    const query = `
+      INSERT INTO product_import_jobs (shop_id, user_id, file_name, format, status, total_rows, created_at)
+      VALUES ($1, $2, $3, $4, 'pending', $5, NOW())
+      RETURNING ${JOB_COLUMNS}
+    `;
+
+    const values = [shopId, userId, fileName, format, totalRows];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  // Find import job by ID
+  static async findById(id) {
+    const query = `
+      SELECT ${JOB_COLUMNS}
+      FROM product_import_jobs
+      WHERE id = $1
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Mark a job as started
+  static async markProcessing(id) {
+    const query = `
+      UPDATE product_import_jobs
+      SET status = 'processing', started_at = NOW()
+      WHERE id = $1
+    `;
+
+    await pool.query(query, [id]);
+  }
+
+  // Save row counters and the per-row error report so far
+  static async updateProgress(id, { processedRows, createdCount, updatedCount, failedCount, rowErrors }) {
+    const query = `
+      UPDATE product_import_jobs
+      SET processed_rows = $1, created_count = $2, updated_count = $3, failed_count = $4, row_errors = $5
+      WHERE id = $6
+    `;
+
+    const values = [processedRows, createdCount, updatedCount, failedCount, JSON.stringify(rowErrors), id];
+    await pool.query(query, values);
+  }
+
+  // Mark a job as finished, with an error message if it failed outright
+  static async finish(id, status, errorMessage = null) {
+    const query = `
+      UPDATE product_import_jobs
+      SET status = $1, error_message = $2, finished_at = NOW()
+      WHERE id = $3
+      RETURNING ${JOB_COLUMNS}
+    `;
+
+    const result = await pool.query(query, [status, errorMessage, id]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = ImportJob;
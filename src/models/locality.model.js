@@ -0,0 +1,136 @@
+const pool = require('../config/database');
+const { escapeLike } = require('../utils/search');
+
+const LOCALITY_COLUMNS = `id, name, city, state, pincodes,
+  ST_Y(centroid) as latitude, ST_X(centroid) as longitude, radius_m,
+  boundary IS NOT NULL as has_boundary`;
+
+// SQL expression: a GeoJSON Polygon or MultiPolygon parameter as a repaired 4326 MultiPolygon
+const boundarySql = (param) => `ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(${param}::text), 4326)), 3))`;
+
+// SQL condition: a point lies inside a locality's boundary, or within its radius when it has none
+const coversSql = (point) => `CASE WHEN l.boundary IS NOT NULL
+  THEN ST_Contains(l.boundary, ${point})
+  ELSE ST_DWithin(l.centroid::geography, (${point})::geography, l.radius_m) END`;
+
+class Locality {
+  // Find locality by ID, with its boundary as GeoJSON
+  static async findById(id) {
+    const query = `
+      SELECT ${LOCALITY_COLUMNS}, ST_AsGeoJSON(boundary)::json as boundary
+      FROM localities
+      WHERE id = $1
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Autocomplete: pincodes by prefix, names by prefix or close spelling
+  static async autocomplete(text, limit = 10) {
+    const byPincode = /^\d+$/.test(text);
+
+    // $3 is the typed text with % and _ escaped, for prefix matching
+    const whereClause = byPincode
+      ? 'EXISTS (SELECT 1 FROM unnest(pincodes) pincode WHERE pincode LIKE $3 || \'%\')'
+      : '(name ILIKE $3 || \'%\' ESCAPE \'\\\' OR name ILIKE \'% \' || $3 || \'%\' ESCAPE \'\\\' OR name % $1)';
+
+    const orderClause = byPincode
+      ? 'name'
+      : '(name ILIKE $3 || \'%\' ESCAPE \'\\\') DESC, similarity(name, $1) DESC, name';
+
+    const query = `
+      SELECT ${LOCALITY_COLUMNS}
+      FROM localities
+      WHERE ${whereClause}
+      ORDER BY ${orderClause}
+      LIMIT $2
+    `;
+
+    const result = await pool.query(query, [text, limit, escapeLike(text)]);
+    return result.rows;
+  }
+
+  // Locality a point falls in, preferring drawn boundaries over centroid circles, then the nearest centre
+  static async findAt(lat, lng) {
+    const point = 'ST_SetSRID(ST_MakePoint($1, $2), 4326)';
+
+    const query = `
+      SELECT ${LOCALITY_COLUMNS}
+      FROM localities l
+      WHERE ${coversSql(point)}
+      ORDER BY l.boundary IS NOT NULL DESC, l.centroid <-> ${point}
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [lng, lat]);
+    return result.rows[0] || null;
+  }
+
+  // Insert localities, updating those already present (same name and city)
+  // Boundaries are GeoJSON Polygons or MultiPolygons, repaired if invalid; without a
+  // centroid the locality is centred on a point inside its boundary
+  static async upsertMany(localities, client = pool) {
+    if (localities.length === 0) {
+      return { created: 0, updated: 0 };
+    }
+
+    const values = [];
+    const rows = localities.map((locality, i) => {
+      const offset = i * 8;
+      values.push(
+        locality.name, locality.city, locality.state, locality.pincodes,
+        locality.boundary ? JSON.stringify(locality.boundary) : null,
+        locality.longitude, locality.latitude, locality.radiusM
+      );
+
+      const boundary = boundarySql(`$${offset + 5}`);
+
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}::text[], ${boundary},
+        COALESCE(ST_SetSRID(ST_MakePoint($${offset + 6}::float, $${offset + 7}::float), 4326), ST_PointOnSurface(${boundary})),
+        COALESCE($${offset + 8}::int, 1500), NOW(), NOW())`;
+    });
+
+    const query = `
+      INSERT INTO localities (name, city, state, pincodes, boundary, centroid, radius_m, created_at, updated_at)
+      VALUES ${rows.join(', ')}
+      ON CONFLICT (LOWER(name), LOWER(COALESCE(city, '')))
+      DO UPDATE SET name = EXCLUDED.name, state = EXCLUDED.state, pincodes = EXCLUDED.pincodes,
+      boundary = EXCLUDED.boundary, centroid = EXCLUDED.centroid, radius_m = EXCLUDED.radius_m, updated_at = NOW()
+      RETURNING (xmax = 0) as created
+    `;
+
+    const result = await client.query(query, values);
+    const created = result.rows.filter(row => row.created).length;
+
+    return { created, updated: result.rows.length - created };
+  }
+
+  // Positions in the list of GeoJSON boundaries that come out empty once repaired,
+  // e.g. a ring whose corners all lie on one line
+  static async findEmptyBoundaries(boundaries) {
+    if (boundaries.length === 0) {
+      return [];
+    }
+
+    const query = `
+      SELECT (b.position - 1)::int as position
+      FROM unnest($1::text[]) WITH ORDINALITY AS b(geojson, position)
+      WHERE ST_IsEmpty(${boundarySql('b.geojson')})
+    `;
+
+    const result = await pool.query(query, [boundaries.map(boundary => JSON.stringify(boundary))]);
+    return result.rows.map(row => row.position);
+  }
+
+  // SQL condition: the point lies in the locality whose ID is bound to `placeholder`
+  // `point` is a 4326 geometry expression, e.g. a shop's location
+  static containsSql(placeholder, point) {
+    return `EXISTS (
+      SELECT 1 FROM localities l
+      WHERE l.id = ${placeholder} AND ${coversSql(point)}
+    )`;
+  }
+}
+
+module.exports = Locality;
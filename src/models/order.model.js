@@ -0,0 +1,200 @@
+const pool = require('../config/database');
+
+class Order {
+  // Create a new order, optionally on a transaction client
+  static async create({ customerId, shopId, fulfillmentType, deliveryAddress, notes, deliveryFee, total }, client = pool) {
+    const query = `
+      INSERT INTO orders (customer_id, shop_id, status, fulfillment_type, delivery_address, notes, delivery_fee, total, created_at, updated_at)
+      VALUES ($1, $2, 'placed', $3, $4, $5, $6, $7, NOW(), NOW())
+      RETURNING id, customer_id, shop_id, status, fulfillment_type, delivery_address, notes, delivery_fee, total, created_at
+    `;
+
+    const values = [customerId, shopId, fulfillmentType, deliveryAddress, notes, deliveryFee || 0, total];
+    const result = await client.query(query, values);
+    return result.rows[0];
+  }
+
+  // Add a line item to an order, optionally on a transaction client
+  static async addItem({ orderId, productId, variantId, variantOptions, title, unitPrice, quantity }, client = pool) {
+    const query = `
+      INSERT INTO order_items (order_id, product_id, variant_id, variant_options, title, unit_price, quantity, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+      RETURNING id, order_id, product_id, variant_id, variant_options, title, unit_price, quantity
+    `;
+
+    const values = [orderId, productId, variantId || null, variantOptions || null, title, unitPrice, quantity];
+    const result = await client.query(query, values);
+    return result.rows[0];
+  }
+
+  // Find order by ID, including its line items
+  static async findById(id, client = pool) {
+    const query = `
+      SELECT o.id, o.customer_id, o.shop_id, o.status, o.fulfillment_type, o.delivery_address,
+      o.notes, o.delivery_fee, o.total, o.cancel_reason, o.cancelled_by, o.created_at, o.updated_at,
+      o.accepted_at, o.completed_at, o.cancelled_at,
+      s.name as shop_name, s.owner_id as shop_owner_id, s.whatsapp as shop_whatsapp,
+      u.name as customer_name, u.phone as customer_phone
+      FROM orders o
+      LEFT JOIN shops s ON o.shop_id = s.id
+      LEFT JOIN users u ON o.customer_id = u.id
+      WHERE o.id = $1
+    `;
+
+    const result = await client.query(query, [id]);
+    const order = result.rows[0];
+
+    if (!order) {
+      return null;
+    }
+
+    order.items = await Order.findItems(id, client);
+    return order;
+  }
+
+  // Get the line items of an order
+  static async findItems(orderId, client = pool) {
+    const query = `
+      SELECT id, order_id, product_id, variant_id, variant_options, title, unit_price, quantity
+      FROM order_items
+      WHERE order_id = $1
+      ORDER BY id
+    `;
+
+    const result = await client.query(query, [orderId]);
+    return result.rows;
+  }
+
+  // Lock an order row for the rest of the transaction
+  static async lockById(id, client) {
+    const query = `
+      SELECT id, customer_id, shop_id, status, fulfillment_type
+      FROM orders
+      WHERE id = $1
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Lock an order line for the rest of the transaction
+  static async lockItem(id, client) {
+    const query = `
+      SELECT id, order_id, product_id, variant_id, quantity
+      FROM order_items
+      WHERE id = $1
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Move an order to a new status, stamping the matching timestamp column
+  static async updateStatus(id, status, { cancelReason, cancelledBy } = {}, client = pool) {
+    let updates = ['status = $1', 'updated_at = NOW()'];
+    let values = [status];
+    let counter = 2;
+
+    if (status === 'accepted') {
+      updates.push('accepted_at = NOW()');
+    }
+
+    if (status === 'completed') {
+      updates.push('completed_at = NOW()');
+    }
+
+    if (status === 'cancelled') {
+      updates.push('cancelled_at = NOW()');
+      updates.push(`cancel_reason = $${counter}`);
+      values.push(cancelReason || null);
+      counter++;
+      updates.push(`cancelled_by = $${counter}`);
+      values.push(cancelledBy || null);
+      counter++;
+    }
+
+    const query = `
+      UPDATE orders
+      SET ${updates.join(', ')}
+      WHERE id = $${counter}
+      RETURNING id, customer_id, shop_id, status, fulfillment_type, delivery_address, notes, delivery_fee, total,
+      cancel_reason, cancelled_by, created_at, updated_at, accepted_at, completed_at, cancelled_at
+    `;
+
+    values.push(id);
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  // List orders for a customer or a shop with pagination
+  static async list(page = 1, limit = 10, filters = {}) {
+    const offset = (page - 1) * limit;
+
+    // Build WHERE clause
+    let whereClause = '';
+    let values = [];
+    let counter = 1;
+
+    if (filters.customerId) {
+      whereClause += whereClause ? ' AND ' : ' WHERE ';
+      whereClause += `o.customer_id = $${counter}`;
+      values.push(filters.customerId);
+      counter++;
+    }
+
+    if (filters.shopId) {
+      whereClause += whereClause ? ' AND ' : ' WHERE ';
+      whereClause += `o.shop_id = $${counter}`;
+      values.push(filters.shopId);
+      counter++;
+    }
+
+    if (filters.status) {
+      whereClause += whereClause ? ' AND ' : ' WHERE ';
+      whereClause += `o.status = $${counter}`;
+      values.push(filters.status);
+      counter++;
+    }
+
+    // Count total
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM orders o
+      ${whereClause}
+    `;
+
+    const countResult = await pool.query(countQuery, values);
+    const total = parseInt(countResult.rows[0].total);
+
+    // Get paginated results
+    const query = `
+      SELECT o.id, o.customer_id, o.shop_id, o.status, o.fulfillment_type, o.delivery_fee, o.total,
+      o.created_at, o.updated_at,
+      s.name as shop_name, u.name as customer_name,
+      (SELECT COUNT(*) FROM order_items oi WHERE oi.order_id = o.id) as item_count
+      FROM orders o
+      LEFT JOIN shops s ON o.shop_id = s.id
+      LEFT JOIN users u ON o.customer_id = u.id
+      ${whereClause}
+      ORDER BY o.created_at DESC
+      LIMIT $${counter} OFFSET $${counter+1}
+    `;
+
+    values.push(limit, offset);
+    const result = await pool.query(query, values);
+
+    return {
+      orders: result.rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = Order;
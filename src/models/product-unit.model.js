@@ -0,0 +1,188 @@
+const pool = require('../config/database');
+
+const UNIT_COLUMNS = `
+  u.id, u.product_id, u.variant_id, u.serial_number, u.imei, u.status, u.order_id, u.order_item_id,
+  u.sold_to, u.sold_at, u.notes, u.created_at, u.updated_at
+`;
+
+class ProductUnit {
+  // Register a unit, optionally on a transaction client
+  static async create({ productId, variantId, serialNumber, imei, status, notes }, client = pool) {
+    const query = `
+      INSERT INTO product_units AS u (product_id, variant_id, serial_number, imei, status, notes, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+      RETURNING ${UNIT_COLUMNS}
+    `;
+
+    const values = [productId, variantId || null, serialNumber, imei || null, status || 'in_stock', notes || null];
+    const result = await client.query(query, values);
+    return result.rows[0];
+  }
+
+  // Find unit by ID
+  static async findById(id) {
+    const query = `
+      SELECT ${UNIT_COLUMNS}
+      FROM product_units u
+      WHERE u.id = $1
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Find a unit by serial number or IMEI, with its product, catalog item and shop
+  static async findBySerial(serial) {
+    const query = `
+      SELECT ${UNIT_COLUMNS},
+      p.title as product_title, p.shop_id,
+      c.name as catalog_name, c.brand as catalog_brand,
+      s.name as shop_name, s.owner_id as shop_owner_id
+      FROM product_units u
+      JOIN products p ON u.product_id = p.id
+      LEFT JOIN electronics_catalog c ON p.catalog_id = c.id
+      LEFT JOIN shops s ON p.shop_id = s.id
+      WHERE UPPER(u.serial_number) = UPPER($1) OR u.imei = $1
+    `;
+
+    const result = await pool.query(query, [serial]);
+    return result.rows[0] || null;
+  }
+
+  // Lock a product's unit by serial number or IMEI for the rest of the transaction
+  static async lockBySerial(productId, serial, client) {
+    const query = `
+      SELECT ${UNIT_COLUMNS}
+      FROM product_units u
+      WHERE u.product_id = $1 AND (UPPER(u.serial_number) = UPPER($2) OR u.imei = $2)
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [productId, serial]);
+    return result.rows[0] || null;
+  }
+
+  // List a product's units with pagination
+  static async findByProductId(productId, page = 1, limit = 20, filters = {}) {
+    const offset = (page - 1) * limit;
+
+    // Build WHERE clause
+    let whereClause = ' WHERE u.product_id = $1';
+    let values = [productId];
+    let counter = 2;
+
+    if (filters.status) {
+      whereClause += ` AND u.status = $${counter}`;
+      values.push(filters.status);
+      counter++;
+    }
+
+    if (filters.variantId) {
+      whereClause += ` AND u.variant_id = $${counter}`;
+      values.push(filters.variantId);
+      counter++;
+    }
+
+    // Count total
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM product_units u
+      ${whereClause}
+    `;
+
+    const countResult = await pool.query(countQuery, values);
+    const total = parseInt(countResult.rows[0].total);
+
+    // Get paginated results
+    const query = `
+      SELECT ${UNIT_COLUMNS}
+      FROM product_units u
+      ${whereClause}
+      ORDER BY u.created_at DESC, u.id DESC
+      LIMIT $${counter} OFFSET $${counter+1}
+    `;
+
+    values.push(limit, offset);
+    const result = await pool.query(query, values);
+
+    return {
+      units: result.rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Count units per status for a product
+  static async countByStatus(productId) {
+    const query = `
+      SELECT status, COUNT(*)::int as count
+      FROM product_units
+      WHERE product_id = $1
+      GROUP BY status
+    `;
+
+    const result = await pool.query(query, [productId]);
+    const counts = { in_stock: 0, reserved: 0, sold: 0, returned: 0 };
+    result.rows.forEach(row => {
+      counts[row.status] = row.count;
+    });
+    return counts;
+  }
+
+  // Count units already captured against an order line
+  static async countByOrderItem(orderItemId, client = pool) {
+    const query = `
+      SELECT COUNT(*)::int as count
+      FROM product_units
+      WHERE order_item_id = $1
+    `;
+
+    const result = await client.query(query, [orderItemId]);
+    return result.rows[0].count;
+  }
+
+  // Change a unit's status
+  static async updateStatus(id, status, notes) {
+    const query = `
+      UPDATE product_units u
+      SET status = $1, notes = COALESCE($2, u.notes), updated_at = NOW()
+      WHERE u.id = $3
+      RETURNING ${UNIT_COLUMNS}
+    `;
+
+    const result = await pool.query(query, [status, notes || null, id]);
+    return result.rows[0] || null;
+  }
+
+  // Mark a unit as sold against an order line
+  static async markSold(id, { orderId, orderItemId, customerId }, client = pool) {
+    const query = `
+      UPDATE product_units u
+      SET status = 'sold', order_id = $1, order_item_id = $2, sold_to = $3, sold_at = NOW(), updated_at = NOW()
+      WHERE u.id = $4
+      RETURNING ${UNIT_COLUMNS}
+    `;
+
+    const result = await client.query(query, [orderId, orderItemId, customerId, id]);
+    return result.rows[0] || null;
+  }
+
+  // Put the units captured against an order back in stock, e.g. when it is cancelled
+  static async releaseByOrder(orderId, client = pool) {
+    const query = `
+      UPDATE product_units u
+      SET status = 'in_stock', order_id = NULL, order_item_id = NULL, sold_to = NULL, sold_at = NULL, updated_at = NOW()
+      WHERE u.order_id = $1
+      RETURNING ${UNIT_COLUMNS}
+    `;
+
+    const result = await client.query(query, [orderId]);
+    return result.rows;
+  }
+}
+
+module.exports = ProductUnit;
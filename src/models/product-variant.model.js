@@ -0,0 +1,153 @@
+const pool = require('../config/database');
+
+const VARIANT_COLUMNS = 'id, product_id, sku, options, price, stock, image_url, created_at, updated_at';
+
+// Units held by active, unexpired reservations for the variant aliased as v
+const HELD_STOCK_SQL = `(
+  SELECT COALESCE(SUM(r.quantity), 0)::int
+  FROM stock_reservations r
+  WHERE r.variant_id = v.id AND r.status = 'active' AND r.expires_at > NOW()
+)`;
+
+// Stock columns for the variant aliased as v
+const STOCK_COLUMNS = `${HELD_STOCK_SQL} as held_stock, v.stock - ${HELD_STOCK_SQL} as available_stock`;
+
+class ProductVariant {
+  // Create a new variant, optionally on a transaction client
+  static async create({ productId, sku, options, price, stock, imageUrl }, client = pool) {
+    const query = `
+      INSERT INTO product_variants (product_id, sku, options, price, stock, image_url, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+      RETURNING ${VARIANT_COLUMNS}
+    `;
+
+    const values = [productId, sku || null, options || {}, price, stock || 0, imageUrl || null];
+    const result = await client.query(query, values);
+    return result.rows[0];
+  }
+
+  // Find variant by ID
+  static async findById(id, client = pool) {
+    const query = `
+      SELECT ${VARIANT_COLUMNS}, ${STOCK_COLUMNS}
+      FROM product_variants v
+      WHERE id = $1
+    `;
+
+    const result = await client.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Get all variants of a product
+  static async findByProductId(productId) {
+    const query = `
+      SELECT ${VARIANT_COLUMNS}, ${STOCK_COLUMNS}
+      FROM product_variants v
+      WHERE product_id = $1
+      ORDER BY price, id
+    `;
+
+    const result = await pool.query(query, [productId]);
+    return result.rows;
+  }
+
+  // Update variant; stock is changed through adjustStock so it reaches the ledger
+  static async update(id, variantData, client = pool) {
+    const { sku, options, price, imageUrl } = variantData;
+
+    // Build dynamic query
+    let updates = [];
+    let values = [];
+    let counter = 1;
+
+    if (sku !== undefined) {
+      updates.push(`sku = $${counter}`);
+      values.push(sku);
+      counter++;
+    }
+
+    if (options !== undefined) {
+      updates.push(`options = $${counter}`);
+      values.push(options);
+      counter++;
+    }
+
+    if (price !== undefined) {
+      updates.push(`price = $${counter}`);
+      values.push(price);
+      counter++;
+    }
+
+    if (imageUrl !== undefined) {
+      updates.push(`image_url = $${counter}`);
+      values.push(imageUrl);
+      counter++;
+    }
+
+    updates.push(`updated_at = NOW()`);
+
+    // If no updates, return null
+    if (updates.length === 1) {
+      return null;
+    }
+
+    const query = `
+      UPDATE product_variants
+      SET ${updates.join(', ')}
+      WHERE id = $${counter}
+      RETURNING ${VARIANT_COLUMNS}
+    `;
+
+    values.push(id);
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  // Apply a signed change to a variant's stock, returning null if it would go below zero
+  // (or, with respectHolds, below the units customers have on hold)
+  static async adjustStock(id, delta, { respectHolds = false } = {}, client = pool) {
+    const holdsClause = respectHolds ? ` AND v.stock - ${HELD_STOCK_SQL} + $1 >= 0` : '';
+
+    const query = `
+      UPDATE product_variants v
+      SET stock = v.stock + $1, updated_at = NOW()
+      WHERE v.id = $2 AND v.stock + $1 >= 0${holdsClause}
+      RETURNING v.id, v.product_id, v.stock
+    `;
+
+    const result = await client.query(query, [delta, id]);
+    return result.rows[0] || null;
+  }
+
+  // Lock a variant row for the rest of the transaction
+  static async lockById(id, client) {
+    const query = `
+      SELECT ${VARIANT_COLUMNS}, ${STOCK_COLUMNS}
+      FROM product_variants v
+      WHERE id = $1
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Delete variant
+  static async delete(id, client = pool) {
+    const query = `
+      DELETE FROM product_variants
+      WHERE id = $1
+      RETURNING id
+    `;
+
+    const result = await client.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // SQL expression: units of the variant aliased as v not held for customers
+  static availableStockSql() {
+    return `(v.stock - ${HELD_STOCK_SQL})`;
+  }
+}
+
+module.exports = ProductVariant;
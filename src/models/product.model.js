@@ -1,15 +1,77 @@
 const pool = require('../config/database');
+const ProductVariant = require('./product-variant.model');
+const StockMovement = require('./stock-movement.model');
+const Catalog = require('./catalog.model');
+const Category = require('./category.model');
+const DeliveryZone = require('./delivery-zone.model');
+const Locality = require('./locality.model');
+const Search = require('./search.model');
+const SearchSynonym = require('./search-synonym.model');
+const { parseSpecFilters, appendSpecFilters } = require('../utils/spec-filters');
+const { withIdKey, paginateQuery, pageResult } = require('../utils/pagination');
+const { SEARCH_CONFIG, HIGHLIGHT_OPTIONS, SNIPPET_OPTIONS, applyRewrites, buildTsQuery } = require('../utils/search');
+
+// Units held by active, unexpired reservations for the product aliased as p
+// (holds on one of its variants set aside that variant's stock instead)
+const HELD_STOCK_SQL = `(
+  SELECT COALESCE(SUM(r.quantity), 0)::int
+  FROM stock_reservations r
+  WHERE r.product_id = p.id AND r.variant_id IS NULL AND r.status = 'active' AND r.expires_at > NOW()
+)`;
+
+// Units of the variant aliased as v not on hold
+const VARIANT_AVAILABLE_SQL = ProductVariant.availableStockSql();
+
+// In stock for the product aliased as p: its own available stock, or any variant's when it has variants
+const IN_STOCK_SQL = `(
+  CASE WHEN EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+    THEN EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND ${VARIANT_AVAILABLE_SQL} > 0)
+    ELSE p.stock - ${HELD_STOCK_SQL} > 0
+  END
+)`;
+
+// Default radius (meters) for location-aware product search
+const NEARBY_SEARCH_RADIUS = parseInt(process.env.NEARBY_SEARCH_RADIUS) || 5000;
+
+// Share of the location-aware ranking given to distance; the rest goes to price
+const SEARCH_DISTANCE_WEIGHT = process.env.SEARCH_DISTANCE_WEIGHT !== undefined
+  ? parseFloat(process.env.SEARCH_DISTANCE_WEIGHT)
+  : 0.5;
+
+// Collect the distinct values of each variant option, e.g. { color: ['Black', 'Blue'] }
+const summarizeVariantOptions = (variants) => {
+  const summary = {};
+  
+  variants.forEach(variant => {
+    Object.entries(variant.options || {}).forEach(([name, value]) => {
+      summary[name] = summary[name] || [];
+      if (!summary[name].includes(value)) {
+        summary[name].push(value);
+      }
+    });
+  });
+  
+  return summary;
+};
 
 class Product {
-  // Create a new product
-  static async create({ shopId, title, price, description, stock, imageUrl, catalogId }) {
+  // Create a new product, recording any opening stock in the ledger
+  static async create({ shopId, title, price, description, stock, imageUrl, catalogId, actorId }) {
     const query = `
-      INSERT INTO products (shop_id, title, price, description, stock, image_url, catalog_id, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
-      RETURNING id, shop_id, title, price, description, stock, image_url, catalog_id, created_at
+      WITH inserted AS (
+        INSERT INTO products (shop_id, title, price, description, stock, image_url, catalog_id, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+        RETURNING id, shop_id, title, price, description, stock, image_url, catalog_id, created_at
+      ), opening AS (
+        INSERT INTO stock_movements (product_id, movement_type, quantity, stock_after, actor_id, reason, created_at)
+        SELECT id, 'restock', stock, stock, $8, 'Opening stock', NOW()
+        FROM inserted
+        WHERE stock > 0
+      )
+      SELECT * FROM inserted
     `;
     
-    const values = [shopId, title, price, description, stock || 0, imageUrl, catalogId];
+    const values = [shopId, title, price, description, stock || 0, imageUrl, catalogId, actorId || null];
     const result = await pool.query(query, values);
     return result.rows[0];
   }
@@ -19,8 +81,11 @@ class Product {
     const query = `
       SELECT p.id, p.shop_id, p.title, p.price, p.description, p.stock, p.image_url, 
       p.catalog_id, p.created_at, p.updated_at,
+      ${HELD_STOCK_SQL} as held_stock,
+      p.stock - ${HELD_STOCK_SQL} as available_stock,
       s.name as shop_name, s.address as shop_address,
-      c.name as catalog_name, c.brand as catalog_brand, c.specs as catalog_specs
+      c.name as catalog_name, c.brand as catalog_brand, c.specs as catalog_specs,
+      c.serial_tracking as catalog_serial_tracking
       FROM products p
       LEFT JOIN shops s ON p.shop_id = s.id
       LEFT JOIN electronics_catalog c ON p.catalog_id = c.id
@@ -28,36 +93,36 @@ class Product {
     `;
     
     const result = await pool.query(query, [id]);
-    return result.rows[0] || null;
+    const product = result.rows[0];
+    
+    if (!product) {
+      return null;
+    }
+    
+    product.variants = await ProductVariant.findByProductId(id);
+    product.variant_options = summarizeVariantOptions(product.variants);
+    return product;
   }
   
-  // Find products by shop ID
-  static async findByShopId(shopId, page = 1, limit = 10, sort = {}) {
+  // Find products by shop ID, by page or after a cursor (see search)
+  static async findByShopId(shopId, page = 1, limit = 10, sort = {}, cursor = null) {
     const offset = (page - 1) * limit;
     
-    // Build ORDER BY clause
-    let orderClause = ' ORDER BY p.created_at DESC';
+    // Build sort keys
+    let orderKeys = [{ column: 'created_at', direction: 'DESC' }];
     
     if (sort.field) {
       const direction = sort.order === 'asc' ? 'ASC' : 'DESC';
       const allowedFields = ['title', 'price', 'stock', 'created_at'];
       
       if (allowedFields.includes(sort.field)) {
-        orderClause = ` ORDER BY p.${sort.field} ${direction}`;
+        orderKeys = [{ column: sort.field, direction }];
       }
     }
     
-    // Count total
-    const countQuery = `
-      SELECT COUNT(*) as total
-      FROM products p
-      WHERE p.shop_id = $1
-    `;
-    
-    const countResult = await pool.query(countQuery, [shopId]);
-    const total = parseInt(countResult.rows[0].total);
+    orderKeys = withIdKey(orderKeys);
     
-    // Get paginated results
+    // Get one page of results
     const query = `
       SELECT p.id, p.shop_id, p.title, p.price, p.description, p.stock, p.image_url, 
       p.catalog_id, p.created_at, p.updated_at,
@@ -65,26 +130,118 @@ class Product {
       FROM products p
       LEFT JOIN electronics_catalog c ON p.catalog_id = c.id
       WHERE p.shop_id = $1
-      ${orderClause}
-      LIMIT $2 OFFSET $3
     `;
     
-    const result = await pool.query(query, [shopId, limit, offset]);
+    const paged = paginateQuery(query, [shopId], orderKeys, { limit, offset, cursor });
+    const result = await pool.query(paged.sql, paged.values);
+    const { items, nextCursor } = pageResult(result.rows, orderKeys, limit);
+    
+    if (cursor) {
+      return {
+        products: items,
+        pagination: { limit, next_cursor: nextCursor }
+      };
+    }
+    
+    // Count total
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM products p
+      WHERE p.shop_id = $1
+    `;
+    
+    const countResult = await pool.query(countQuery, [shopId]);
+    const total = parseInt(countResult.rows[0].total);
     
     return {
-      products: result.rows,
+      products: items,
       pagination: {
         total,
         page,
         limit,
-        pages: Math.ceil(total / limit)
+        pages: Math.ceil(total / limit),
+        next_cursor: nextCursor
       }
     };
   }
   
-  // Update product
+  // Get every product of a shop with its catalog link, for exports
+  static async findAllByShopId(shopId) {
+    const query = `
+      SELECT p.id, p.title, p.price, p.stock, p.description, p.image_url, p.catalog_id,
+      c.name as catalog_name, c.brand as catalog_brand, c.category as catalog_category
+      FROM products p
+      LEFT JOIN electronics_catalog c ON p.catalog_id = c.id
+      WHERE p.shop_id = $1
+      ORDER BY p.id
+    `;
+    
+    const result = await pool.query(query, [shopId]);
+    return result.rows;
+  }
+  
+  // Get the in-stock offers for a catalog item from approved shops, optionally near a point
+  // offer_price is the cheapest in-stock variant for products sold in variants;
+  // delivers_to_you is set when a point is given
+  static async findOffersByCatalogId(catalogId, { lat, lng, radius } = {}) {
+    const values = [catalogId];
+    let distanceSelect = 'NULL::float';
+    let deliversSelect = 'NULL::boolean';
+    let radiusClause = '';
+    
+    if (lat !== undefined && lng !== undefined) {
+      values.push(lng, lat);
+      distanceSelect = `ST_Distance(
+        s.location::geography,
+        ST_SetSRID(ST_MakePoint($2, $3), 4326)::geography
+      )`;
+      deliversSelect = DeliveryZone.containsSql('s.id', 'ST_SetSRID(ST_MakePoint($2, $3), 4326)');
+      
+      // Shops beyond the radius still count if they deliver to the point
+      if (radius) {
+        values.push(radius);
+        radiusClause = `AND (ST_DWithin(
+          s.location::geography,
+          ST_SetSRID(ST_MakePoint($2, $3), 4326)::geography,
+          $4
+        ) OR ${deliversSelect})`;
+      }
+    }
+    
+    const query = `
+      SELECT * FROM (
+        SELECT p.id, p.shop_id, p.title, p.price, p.image_url,
+        p.stock - ${HELD_STOCK_SQL} as available_stock,
+        vs.variant_count, vs.in_stock_variant_count,
+        CASE WHEN vs.variant_count > 0 THEN vs.min_in_stock_variant_price ELSE p.price END as offer_price,
+        s.name as shop_name, s.address as shop_address, s.whatsapp as shop_whatsapp,
+        ST_X(s.location::geometry) as longitude, ST_Y(s.location::geometry) as latitude,
+        ${distanceSelect} as distance,
+        ${deliversSelect} as delivers_to_you
+        FROM products p
+        JOIN shops s ON p.shop_id = s.id
+        LEFT JOIN LATERAL (
+          SELECT COUNT(*)::int as variant_count,
+          COUNT(*) FILTER (WHERE ${VARIANT_AVAILABLE_SQL} > 0)::int as in_stock_variant_count,
+          MIN(v.price) FILTER (WHERE ${VARIANT_AVAILABLE_SQL} > 0) as min_in_stock_variant_price
+          FROM product_variants v
+          WHERE v.product_id = p.id
+        ) vs ON true
+        WHERE p.catalog_id = $1
+        AND s.is_approved = true AND s.status = 'approved'
+        ${radiusClause}
+      ) offers
+      WHERE (offers.variant_count = 0 AND offers.available_stock > 0) OR offers.in_stock_variant_count > 0
+      ORDER BY offers.offer_price, offers.distance NULLS LAST
+    `;
+    
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+  
+  // Update product; a new stock count is booked as an adjustment in the ledger
   static async update(id, productData) {
-    const { title, price, description, stock, imageUrl } = productData;
+    const { title, price, description, stock, imageUrl, catalogId, actorId } = productData;
     
     // Build dynamic query
     let updates = [];
@@ -109,25 +266,25 @@ class Product {
       counter++;
     }
     
-    if (stock !== undefined) {
-      updates.push(`stock = $${counter}`);
-      values.push(stock);
-      counter++;
-    }
-    
     if (imageUrl !== undefined) {
       updates.push(`image_url = $${counter}`);
       values.push(imageUrl);
       counter++;
     }
     
-    updates.push(`updated_at = NOW()`);
+    if (catalogId !== undefined) {
+      updates.push(`catalog_id = $${counter}`);
+      values.push(catalogId);
+      counter++;
+    }
     
     // If no updates, return null
-    if (updates.length === 1) {
+    if (updates.length === 0 && stock === undefined) {
       return null;
     }
     
+    updates.push(`updated_at = NOW()`);
+    
     const query = `
       UPDATE products
       SET ${updates.join(', ')}
@@ -136,10 +293,67 @@ class Product {
     `;
     
     values.push(id);
-    const result = await pool.query(query, values);
-    return result.rows[0] || null;
+    
+    return pool.transaction(async (client) => {
+      if (stock !== undefined) {
+        const current = await Product.lockStock(id, client);
+        
+        if (!current) {
+          return null;
+        }
+        
+        const delta = Number(stock) - current.stock;
+        
+        if (delta !== 0) {
+          const updated = await Product.adjustStock(id, delta, {}, client);
+          
+          await StockMovement.create({
+            productId: id,
+            type: 'adjustment',
+            quantity: delta,
+            stockAfter: updated.stock,
+            actorId,
+            reason: 'Stock count updated'
+          }, client);
+        }
+      }
+      
+      const result = await client.query(query, values);
+      return result.rows[0] || null;
+    });
   }
   
+  // Lock a product row and report how much of its stock is free to sell or hold
+  static async lockStock(id, client) {
+    const query = `
+      SELECT p.id, p.shop_id, p.title, p.stock,
+      p.stock - ${HELD_STOCK_SQL} as available_stock
+      FROM products p
+      WHERE p.id = $1
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Apply a signed change to stock, returning null if it would take stock below zero
+  // (or, with respectHolds, below the units other customers have on hold).
+  // Callers record the matching stock movement in the same transaction.
+  static async adjustStock(id, delta, { respectHolds = false } = {}, client = pool) {
+    const holdsClause = respectHolds ? ` AND p.stock - ${HELD_STOCK_SQL} + $1 >= 0` : '';
+
+    const query = `
+      UPDATE products p
+      SET stock = p.stock + $1, updated_at = NOW()
+      WHERE p.id = $2 AND p.stock + $1 >= 0${holdsClause}
+      RETURNING p.id, p.stock
+    `;
+
+    const result = await client.query(query, [delta, id]);
+    return result.rows[0] || null;
+  }
+
   // Delete product
   static async delete(id) {
     const query = `
@@ -153,7 +367,9 @@ class Product {
   }
   
   // Search and filter products
-  static async search(page = 1, limit = 10, filters = {}, sort = {}) {
+  // With a cursor the page after it is returned instead of `page`, skipping the count, facets and
+  // spelling suggestion, which the first page already carried
+  static async search(page = 1, limit = 10, filters = {}, sort = {}, cursor = null) {
     const offset = (page - 1) * limit;
     
     // Build WHERE clause
@@ -161,17 +377,25 @@ class Product {
     let values = [];
     let counter = 1;
     
-    if (filters.search) {
+    // Full-text match over title, brand, specs and description (see search_vector)
+    // Admin rewrites run first, then each word also matches its synonyms
+    const rules = filters.search ? await SearchSynonym.getRules() : null;
+    const tsQuery = rules && buildTsQuery(applyRewrites(filters.search, rules.rewrites), rules.synonymGroups);
+    let searchSql = null;
+    
+    if (tsQuery) {
+      searchSql = `to_tsquery('${SEARCH_CONFIG}', $${counter})`;
       whereClause += whereClause ? ' AND ' : ' WHERE ';
-      whereClause += `(p.title ILIKE $${counter} OR p.description ILIKE $${counter})`;
-      values.push(`%${filters.search}%`);
+      whereClause += `p.search_vector @@ ${searchSql}`;
+      values.push(tsQuery);
       counter++;
     }
     
+    // A parent category also matches everything below it
     if (filters.category) {
       whereClause += whereClause ? ' AND ' : ' WHERE ';
-      whereClause += `c.category = $${counter}`;
-      values.push(filters.category);
+      whereClause += `c.category_id IN ${Category.subtreeSql(`$${counter}`)}`;
+      values.push(String(filters.category));
       counter++;
     }
     
@@ -182,68 +406,195 @@ class Product {
       counter++;
     }
     
-    if (filters.priceMin !== undefined) {
+    // Sold by shops inside a locality (see Locality.containsSql)
+    if (filters.localityId) {
       whereClause += whereClause ? ' AND ' : ' WHERE ';
-      whereClause += `p.price >= $${counter}`;
-      values.push(filters.priceMin);
+      whereClause += Locality.containsSql(`$${counter}`, 's.location::geometry');
+      values.push(filters.localityId);
       counter++;
     }
     
-    if (filters.priceMax !== undefined) {
+    // A product matches a price range if its own price or any variant's price does
+    if (filters.priceMin !== undefined || filters.priceMax !== undefined) {
+      const productPrice = [];
+      const variantPrice = [];
+      
+      if (filters.priceMin !== undefined) {
+        productPrice.push(`p.price >= $${counter}`);
+        variantPrice.push(`v.price >= $${counter}`);
+        values.push(filters.priceMin);
+        counter++;
+      }
+      
+      if (filters.priceMax !== undefined) {
+        productPrice.push(`p.price <= $${counter}`);
+        variantPrice.push(`v.price <= $${counter}`);
+        values.push(filters.priceMax);
+        counter++;
+      }
+      
       whereClause += whereClause ? ' AND ' : ' WHERE ';
-      whereClause += `p.price <= $${counter}`;
-      values.push(filters.priceMax);
-      counter++;
+      whereClause += `((${productPrice.join(' AND ')}) OR EXISTS (
+        SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND ${variantPrice.join(' AND ')}
+      ))`;
+    }
+    
+    // Variant options, e.g. { color: ['Black', 'Blue'], storage: '128GB' }, matched by an in-stock variant
+    if (filters.options && Object.keys(filters.options).length > 0) {
+      const optionClauses = [];
+      
+      Object.entries(filters.options).forEach(([name, value]) => {
+        optionClauses.push(`v.options->>$${counter} = ANY($${counter+1})`);
+        values.push(name, Array.isArray(value) ? value : [value]);
+        counter += 2;
+      });
+      
+      whereClause += whereClause ? ' AND ' : ' WHERE ';
+      whereClause += `EXISTS (
+        SELECT 1 FROM product_variants v
+        WHERE v.product_id = p.id AND ${VARIANT_AVAILABLE_SQL} > 0 AND ${optionClauses.join(' AND ')}
+      )`;
     }
     
-    // Build ORDER BY clause
-    let orderClause = ' ORDER BY p.created_at DESC';
+    // Near a point: approved shops that have the product in stock and are within the radius
+    // or deliver to the point; delivers_to_you tells the two apart (pickup only when false)
+    const nearby = filters.lat !== undefined && filters.lng !== undefined;
+    let distanceSql = 'NULL::float';
+    let deliversSql = 'NULL::boolean';
+    let radiusParam = null;
+    
+    if (nearby) {
+      const point = `ST_SetSRID(ST_MakePoint($${counter}, $${counter+1}), 4326)`;
+      distanceSql = `ST_Distance(s.location::geography, ${point}::geography)`;
+      deliversSql = DeliveryZone.containsSql('p.shop_id', point);
+      radiusParam = `$${counter+2}`;
+      values.push(filters.lng, filters.lat, filters.radius || NEARBY_SEARCH_RADIUS);
+      counter += 3;
+      
+      const reachSql = filters.deliveryOnly
+        ? deliversSql
+        : `(ST_DWithin(s.location::geography, ${point}::geography, ${radiusParam}) OR ${deliversSql})`;
+      
+      whereClause += whereClause ? ' AND ' : ' WHERE ';
+      whereClause += `s.is_approved = true AND s.status = 'approved'
+        AND ${reachSql}
+        AND ${IN_STOCK_SQL}`;
+    }
+    
+    // Spec filters on the linked catalog item, e.g. { ram_gb: { min: 8 }, os: ['Android'] }
+    const specFilters = parseSpecFilters(filters.specs);
+    const facetBase = { whereClause, values, counter };
+    ({ whereClause, values, counter } = appendSpecFilters(whereClause, values, counter, specFilters, 'c.specs'));
+    
+    // Build sort keys
+    let orderKeys = searchSql
+      ? [{ column: 'rank', direction: 'DESC' }, { column: 'created_at', direction: 'DESC' }]
+      : [{ column: 'created_at', direction: 'DESC' }];
+    
+    // Location-aware ranking blends distance (as a share of the radius) with price (as a share of the
+    // priciest match); lower scores rank first. The weight is a plain number, so it is inlined.
+    let scoreSql = 'NULL::float';
+    
+    if (nearby) {
+      const distanceWeight = Math.min(Math.max(
+        sort.distanceWeight !== undefined ? Number(sort.distanceWeight) : SEARCH_DISTANCE_WEIGHT, 0), 1) || 0;
+      // A variant product ranks by the cheapest variant the customer can actually buy
+      const effectivePrice = 'COALESCE(vs.min_in_stock_variant_price, p.price)';
+      
+      scoreSql = `(
+        ${distanceWeight} * ${distanceSql} / NULLIF(${radiusParam}::float, 0)
+        + ${1 - distanceWeight} * COALESCE(${effectivePrice} / NULLIF(MAX(${effectivePrice}) OVER (), 0), 0)
+      )`;
+      orderKeys = [{ column: 'score', direction: 'ASC' }, { column: 'distance', direction: 'ASC' }];
+    }
     
     if (sort.field) {
       const direction = sort.order === 'asc' ? 'ASC' : 'DESC';
       const allowedFields = ['title', 'price', 'created_at'];
       
-      if (allowedFields.includes(sort.field)) {
-        orderClause = ` ORDER BY p.${sort.field} ${direction}`;
+      if (allowedFields.includes(sort.field) || (sort.field === 'distance' && nearby)) {
+        orderKeys = [{ column: sort.field, direction }];
       }
     }
     
-    // Count total
-    const countQuery = `
-      SELECT COUNT(*) as total
-      FROM products p
-      LEFT JOIN electronics_catalog c ON p.catalog_id = c.id
-      ${whereClause}
-    `;
+    orderKeys = withIdKey(orderKeys);
     
-    const countResult = await pool.query(countQuery, values);
-    const total = parseInt(countResult.rows[0].total);
+    // Count total, only needed for page-numbered results
+    let total = null;
+    
+    if (!cursor) {
+      const countQuery = `
+        SELECT COUNT(*) as total
+        FROM products p
+        LEFT JOIN shops s ON p.shop_id = s.id
+        LEFT JOIN electronics_catalog c ON p.catalog_id = c.id
+        ${whereClause}
+      `;
+      
+      const countResult = await pool.query(countQuery, values);
+      total = parseInt(countResult.rows[0].total);
+    }
     
-    // Get paginated results
+    // Get one page of results
     const query = `
       SELECT p.id, p.shop_id, p.title, p.price, p.description, p.stock, p.image_url, 
       p.catalog_id, p.created_at, p.updated_at,
+      ${HELD_STOCK_SQL} as held_stock,
+      p.stock - ${HELD_STOCK_SQL} as available_stock,
+      vs.variant_count, vs.min_variant_price, vs.max_variant_price,
       s.name as shop_name, s.address as shop_address,
-      c.name as catalog_name, c.brand as catalog_brand, c.category as catalog_category
+      c.name as catalog_name, c.brand as catalog_brand, c.category as catalog_category,
+      ${distanceSql} as distance,
+      ${deliversSql} as delivers_to_you,
+      ${scoreSql} as score,
+      ${searchSql ? `ts_rank(p.search_vector, ${searchSql})` : 'NULL::real'} as rank,
+      ${searchSql ? `ts_headline('${SEARCH_CONFIG}', p.title, ${searchSql}, '${HIGHLIGHT_OPTIONS}')` : 'NULL'} as title_highlight,
+      ${searchSql ? `ts_headline('${SEARCH_CONFIG}', COALESCE(p.description, ''), ${searchSql}, '${SNIPPET_OPTIONS}')` : 'NULL'} as snippet
       FROM products p
       LEFT JOIN shops s ON p.shop_id = s.id
       LEFT JOIN electronics_catalog c ON p.catalog_id = c.id
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*)::int as variant_count, MIN(v.price) as min_variant_price, MAX(v.price) as max_variant_price,
+        MIN(v.price) FILTER (WHERE ${VARIANT_AVAILABLE_SQL} > 0) as min_in_stock_variant_price
+        FROM product_variants v
+        WHERE v.product_id = p.id
+      ) vs ON true
       ${whereClause}
-      ${orderClause}
-      LIMIT $${counter} OFFSET $${counter+1}
     `;
     
-    values.push(limit, offset);
-    const result = await pool.query(query, values);
+    const paged = paginateQuery(query, values, orderKeys, { limit, offset, cursor });
+    const result = await pool.query(paged.sql, paged.values);
+    const { items, nextCursor } = pageResult(result.rows, orderKeys, limit);
+    
+    if (cursor) {
+      return {
+        products: items,
+        pagination: { limit, next_cursor: nextCursor }
+      };
+    }
+    
+    const facets = await Catalog.getSpecFacets(
+      'products p LEFT JOIN shops s ON p.shop_id = s.id LEFT JOIN electronics_catalog c ON p.catalog_id = c.id',
+      facetBase,
+      specFilters,
+      'c.specs',
+      filters.category
+    );
+    
+    // Offer a corrected spelling when a text search finds nothing
+    const didYouMean = total === 0 && filters.search ? await Search.correct(filters.search) : null;
     
     return {
-      products: result.rows,
+      products: items,
       pagination: {
         total,
         page,
         limit,
-        pages: Math.ceil(total / limit)
-      }
+        pages: Math.ceil(total / limit),
+        next_cursor: nextCursor
+      },
+      facets,
+      didYouMean
     };
   }
 }
@@ -0,0 +1,148 @@
+const pool = require('../config/database');
+
+class Reservation {
+  // Create a new hold, optionally on a transaction client
+  static async create({ productId, variantId, customerId, quantity, expiresAt, note }, client = pool) {
+    const query = `
+      INSERT INTO stock_reservations (product_id, variant_id, customer_id, quantity, status, note, expires_at, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, 'active', $5, $6, NOW(), NOW())
+      RETURNING id, product_id, variant_id, customer_id, quantity, status, note, expires_at, created_at
+    `;
+
+    const values = [productId, variantId || null, customerId, quantity, note, expiresAt];
+    const result = await client.query(query, values);
+    return result.rows[0];
+  }
+
+  // Find reservation by ID
+  static async findById(id, client = pool) {
+    const query = `
+      SELECT r.id, r.product_id, r.variant_id, r.customer_id, r.quantity, r.status, r.note, r.expires_at,
+      r.created_at, r.updated_at, r.closed_at,
+      p.title as product_title, p.shop_id, v.options as variant_options,
+      s.owner_id as shop_owner_id,
+      u.name as customer_name, u.phone as customer_phone
+      FROM stock_reservations r
+      JOIN products p ON r.product_id = p.id
+      LEFT JOIN product_variants v ON r.variant_id = v.id
+      LEFT JOIN shops s ON p.shop_id = s.id
+      LEFT JOIN users u ON r.customer_id = u.id
+      WHERE r.id = $1
+    `;
+
+    const result = await client.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Lock a reservation row for the rest of the transaction
+  static async lockById(id, client) {
+    const query = `
+      SELECT id, product_id, variant_id, customer_id, quantity, status, expires_at
+      FROM stock_reservations
+      WHERE id = $1
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Close an active reservation with a final status
+  static async close(id, status, client = pool) {
+    const query = `
+      UPDATE stock_reservations
+      SET status = $1, closed_at = NOW(), updated_at = NOW()
+      WHERE id = $2 AND status = 'active'
+      RETURNING id, product_id, variant_id, customer_id, quantity, status, note, expires_at, created_at, closed_at
+    `;
+
+    const result = await client.query(query, [status, id]);
+    return result.rows[0] || null;
+  }
+
+  // Mark every active hold past its expiry as expired
+  static async expireOverdue() {
+    const query = `
+      UPDATE stock_reservations
+      SET status = 'expired', closed_at = NOW(), updated_at = NOW()
+      WHERE status = 'active' AND expires_at <= NOW()
+      RETURNING id
+    `;
+
+    const result = await pool.query(query);
+    return result.rowCount;
+  }
+
+  // List reservations for a customer or a shop with pagination
+  static async list(page = 1, limit = 10, filters = {}) {
+    const offset = (page - 1) * limit;
+
+    // Build WHERE clause
+    let whereClause = '';
+    let values = [];
+    let counter = 1;
+
+    if (filters.customerId) {
+      whereClause += whereClause ? ' AND ' : ' WHERE ';
+      whereClause += `r.customer_id = $${counter}`;
+      values.push(filters.customerId);
+      counter++;
+    }
+
+    if (filters.shopId) {
+      whereClause += whereClause ? ' AND ' : ' WHERE ';
+      whereClause += `p.shop_id = $${counter}`;
+      values.push(filters.shopId);
+      counter++;
+    }
+
+    if (filters.status) {
+      whereClause += whereClause ? ' AND ' : ' WHERE ';
+      whereClause += `r.status = $${counter}`;
+      values.push(filters.status);
+      counter++;
+    }
+
+    // Count total
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM stock_reservations r
+      JOIN products p ON r.product_id = p.id
+      ${whereClause}
+    `;
+
+    const countResult = await pool.query(countQuery, values);
+    const total = parseInt(countResult.rows[0].total);
+
+    // Get paginated results
+    const query = `
+      SELECT r.id, r.product_id, r.variant_id, r.customer_id, r.quantity, r.status, r.note, r.expires_at,
+      r.created_at, r.closed_at,
+      p.title as product_title, p.shop_id, s.name as shop_name, v.options as variant_options,
+      u.name as customer_name
+      FROM stock_reservations r
+      JOIN products p ON r.product_id = p.id
+      LEFT JOIN product_variants v ON r.variant_id = v.id
+      LEFT JOIN shops s ON p.shop_id = s.id
+      LEFT JOIN users u ON r.customer_id = u.id
+      ${whereClause}
+      ORDER BY r.created_at DESC
+      LIMIT $${counter} OFFSET $${counter+1}
+    `;
+
+    values.push(limit, offset);
+    const result = await pool.query(query, values);
+
+    return {
+      reservations: result.rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = Reservation;
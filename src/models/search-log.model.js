@@ -0,0 +1,119 @@
+const pool = require('../config/database');
+
+// Trending terms need at least this many recent searches, so one-off queries do not top the list
+const MIN_TRENDING_SEARCHES = parseInt(process.env.SEARCH_TRENDING_MIN_SEARCHES) || 3;
+
+class SearchLog {
+  // Record one search
+  static async create({ scope, query, normalizedQuery, filters, locationCell, resultCount, userId }) {
+    const sql = `
+      INSERT INTO search_logs (scope, query, normalized_query, filters, location_cell, result_count, user_id, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+      RETURNING id
+    `;
+
+    const values = [scope, query || null, normalizedQuery || null, filters || {}, locationCell || null, resultCount, userId || null];
+    const result = await pool.query(sql, values);
+    return result.rows[0];
+  }
+
+  // Most searched terms over the last `days` days
+  static async topQueries({ days = 30, scope, cell, limit = 20 } = {}) {
+    const { whereClause, values, counter } = SearchLog._buildWhere({ days, scope, cell });
+
+    const query = `
+      SELECT normalized_query as query, COUNT(*)::int as searches,
+      COUNT(DISTINCT user_id)::int as users,
+      ROUND(AVG(result_count), 1)::float as avg_results,
+      COUNT(*) FILTER (WHERE result_count = 0)::int as zero_result_searches,
+      MAX(created_at) as last_searched_at
+      FROM search_logs
+      ${whereClause}
+      GROUP BY normalized_query
+      ORDER BY searches DESC, query
+      LIMIT $${counter}
+    `;
+
+    values.push(limit);
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  // Terms that found nothing over the last `days` days, i.e. stock and shops customers want but we lack
+  static async zeroResultQueries({ days = 30, scope, cell, limit = 20 } = {}) {
+    const { whereClause, values, counter } = SearchLog._buildWhere({ days, scope, cell });
+
+    const query = `
+      SELECT normalized_query as query, COUNT(*)::int as searches,
+      COUNT(DISTINCT user_id)::int as users,
+      ARRAY_AGG(DISTINCT scope ORDER BY scope) as scopes,
+      ARRAY_AGG(DISTINCT location_cell ORDER BY location_cell) FILTER (WHERE location_cell IS NOT NULL) as cells,
+      MAX(created_at) as last_searched_at
+      FROM search_logs
+      ${whereClause} AND result_count = 0
+      GROUP BY normalized_query
+      ORDER BY searches DESC, query
+      LIMIT $${counter}
+    `;
+
+    values.push(limit);
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  // Terms growing fastest per area: searches in the last `days` days against the `days` before that
+  // Areas are geohash prefixes of `precision` characters, so a smaller precision groups wider areas
+  static async trendingTerms({ days = 7, scope, cell, precision = 5, limit = 10 } = {}) {
+    const { whereClause, values, counter } = SearchLog._buildWhere({ days: days * 2, scope, cell });
+
+    const query = `
+      SELECT area, query, recent_searches, previous_searches,
+      ROUND(recent_searches::numeric / GREATEST(previous_searches, 1), 2)::float as growth
+      FROM (
+        SELECT area, query, recent_searches, previous_searches,
+        ROW_NUMBER() OVER (
+          PARTITION BY area
+          ORDER BY recent_searches::numeric / GREATEST(previous_searches, 1) DESC, recent_searches DESC, query
+        ) as position
+        FROM (
+          SELECT LEFT(location_cell, $${counter}) as area, normalized_query as query,
+          COUNT(*) FILTER (WHERE created_at >= NOW() - make_interval(days => $${counter + 1}))::int as recent_searches,
+          COUNT(*) FILTER (WHERE created_at < NOW() - make_interval(days => $${counter + 1}))::int as previous_searches
+          FROM search_logs
+          ${whereClause} AND location_cell IS NOT NULL
+          GROUP BY area, normalized_query
+        ) counts
+        WHERE recent_searches >= ${MIN_TRENDING_SEARCHES}
+      ) ranked
+      WHERE position <= $${counter + 2}
+      ORDER BY area, position
+    `;
+
+    values.push(precision, days, limit);
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  // Shared report filter: a time window, text searches only, optional scope and area prefix
+  static _buildWhere({ days, scope, cell }) {
+    let whereClause = ' WHERE normalized_query IS NOT NULL AND created_at >= NOW() - make_interval(days => $1)';
+    let values = [days];
+    let counter = 2;
+
+    if (scope) {
+      whereClause += ` AND scope = $${counter}`;
+      values.push(scope);
+      counter++;
+    }
+
+    if (cell) {
+      whereClause += ` AND location_cell LIKE $${counter}`;
+      values.push(`${cell}%`);
+      counter++;
+    }
+
+    return { whereClause, values, counter };
+  }
+}
+
+module.exports = SearchLog;
@@ -0,0 +1,152 @@
+const pool = require('../config/database');
+
+const SYNONYM_COLUMNS = 'id, rule_type, term, synonyms, replacement, is_active, created_by, created_at, updated_at';
+
+// How long active rules are reused before being reloaded from the database
+const RULES_CACHE_TTL_MS = parseInt(process.env.SEARCH_SYNONYMS_CACHE_MS) || 60 * 1000;
+
+let rulesCache = null;
+let rulesLoadedAt = 0;
+
+class SearchSynonym {
+  // Create a synonym group or rewrite rule
+  static async create({ ruleType, term, synonyms, replacement, isActive, createdBy }) {
+    const query = `
+      INSERT INTO search_synonyms (rule_type, term, synonyms, replacement, is_active, created_by, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+      RETURNING ${SYNONYM_COLUMNS}
+    `;
+
+    const values = [ruleType, term, synonyms || [], replacement || null, isActive !== false, createdBy || null];
+    const result = await pool.query(query, values);
+    SearchSynonym.clearCache();
+    return result.rows[0];
+  }
+
+  // Find rule by ID
+  static async findById(id) {
+    const query = `
+      SELECT ${SYNONYM_COLUMNS}
+      FROM search_synonyms
+      WHERE id = $1
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // List rules, optionally of one type
+  static async findAll(ruleType = null) {
+    const query = `
+      SELECT ${SYNONYM_COLUMNS}
+      FROM search_synonyms
+      ${ruleType ? 'WHERE rule_type = $1' : ''}
+      ORDER BY rule_type, term
+    `;
+
+    const result = await pool.query(query, ruleType ? [ruleType] : []);
+    return result.rows;
+  }
+
+  // Get the active rules in the shape the search helpers expect, cached briefly
+  // Rewrites run longest term first so 'i phone case' wins over 'i phone'
+  static async getRules() {
+    if (rulesCache && Date.now() - rulesLoadedAt < RULES_CACHE_TTL_MS) {
+      return rulesCache;
+    }
+
+    const query = `
+      SELECT rule_type, term, synonyms, replacement
+      FROM search_synonyms
+      WHERE is_active = true
+      ORDER BY LENGTH(term) DESC, id
+    `;
+
+    const result = await pool.query(query);
+
+    rulesCache = {
+      rewrites: result.rows
+        .filter(row => row.rule_type === 'rewrite')
+        .map(row => ({ term: row.term, replacement: row.replacement })),
+      synonymGroups: result.rows
+        .filter(row => row.rule_type === 'synonym')
+        .map(row => [row.term, ...row.synonyms])
+    };
+    rulesLoadedAt = Date.now();
+
+    return rulesCache;
+  }
+
+  // Forget the cached rules so the next search reloads them
+  static clearCache() {
+    rulesCache = null;
+  }
+
+  // Update rule
+  static async update(id, ruleData) {
+    const { term, synonyms, replacement, isActive } = ruleData;
+
+    // Build dynamic query
+    let updates = [];
+    let values = [];
+    let counter = 1;
+
+    if (term !== undefined) {
+      updates.push(`term = $${counter}`);
+      values.push(term);
+      counter++;
+    }
+
+    if (synonyms !== undefined) {
+      updates.push(`synonyms = $${counter}`);
+      values.push(synonyms);
+      counter++;
+    }
+
+    if (replacement !== undefined) {
+      updates.push(`replacement = $${counter}`);
+      values.push(replacement);
+      counter++;
+    }
+
+    if (isActive !== undefined) {
+      updates.push(`is_active = $${counter}`);
+      values.push(isActive);
+      counter++;
+    }
+
+    updates.push(`updated_at = NOW()`);
+
+    // If no updates, return null
+    if (updates.length === 1) {
+      return null;
+    }
+
+    const query = `
+      UPDATE search_synonyms
+      SET ${updates.join(', ')}
+      WHERE id = $${counter}
+      RETURNING ${SYNONYM_COLUMNS}
+    `;
+
+    values.push(id);
+    const result = await pool.query(query, values);
+    SearchSynonym.clearCache();
+    return result.rows[0] || null;
+  }
+
+  // Delete rule
+  static async delete(id) {
+    const query = `
+      DELETE FROM search_synonyms
+      WHERE id = $1
+      RETURNING id
+    `;
+
+    const result = await pool.query(query, [id]);
+    SearchSynonym.clearCache();
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = SearchSynonym;
@@ -0,0 +1,99 @@
+const pool = require('../config/database');
+const { toTerms, escapeLike } = require('../utils/search');
+
+// Minimum trigram word similarity for a suggestion or correction to count
+const MIN_SIMILARITY = parseFloat(process.env.SEARCH_MIN_SIMILARITY) || 0.3;
+
+class Search {
+  // Suggest catalog items, brands, categories and approved shops whose names resemble what was typed
+  // The similarity threshold is set for the transaction so the <% operator can use the trigram indexes
+  static async suggest(term, limit = 5) {
+    return pool.transaction(async (client) => {
+      await client.query(`SET LOCAL pg_trgm.word_similarity_threshold = ${MIN_SIMILARITY}`);
+
+      // Typed % and _ are literal characters, not wildcards
+      const values = [term, `${escapeLike(term)}%`, limit];
+
+      const catalog = await client.query(`
+        SELECT id, name as label, brand, category, image_url, word_similarity($1, name) as score
+        FROM electronics_catalog
+        WHERE $1 <% name OR name ILIKE $2 ESCAPE '\\'
+        ORDER BY score DESC, name
+        LIMIT $3
+      `, values);
+
+      // A brand matches on its name or any alias, but is listed once under its canonical name
+      const brands = await client.query(`
+        SELECT b.id, b.name as label, b.logo_url,
+        MAX(GREATEST(word_similarity($1, b.name), COALESCE(word_similarity($1, ba.alias), 0))) as score
+        FROM brands b
+        LEFT JOIN brand_aliases ba ON ba.brand_id = b.id
+        WHERE $1 <% b.name OR b.name ILIKE $2 ESCAPE '\\' OR $1 <% ba.alias OR ba.alias ILIKE $2 ESCAPE '\\'
+        GROUP BY b.id
+        ORDER BY score DESC, b.name
+        LIMIT $3
+      `, values);
+
+      const categories = await client.query(`
+        SELECT id, name as label, slug, parent_id, icon, word_similarity($1, name) as score
+        FROM categories
+        WHERE $1 <% name OR name ILIKE $2 ESCAPE '\\'
+        ORDER BY score DESC, name
+        LIMIT $3
+      `, values);
+
+      const shops = await client.query(`
+        SELECT id, name as label, address, word_similarity($1, name) as score
+        FROM shops
+        WHERE is_approved = true AND status = 'approved'
+        AND ($1 <% name OR name ILIKE $2 ESCAPE '\\')
+        ORDER BY score DESC, name
+        LIMIT $3
+      `, values);
+
+      return {
+        catalog: catalog.rows,
+        brands: brands.rows,
+        categories: categories.rows,
+        shops: shops.rows
+      };
+    });
+  }
+
+  // Correct each misspelt word of a search, e.g. 'samsng galxy' -> 'samsung galaxy'
+  // Known words stay as they are; others take the closest known word, favouring common words on a tie.
+  // Returns null when every word is already known or nothing close enough exists
+  static async correct(text) {
+    const terms = toTerms(text);
+
+    if (terms.length === 0) {
+      return null;
+    }
+
+    const query = `
+      SELECT t.term, closest.word as replacement
+      FROM unnest($1::text[]) WITH ORDINALITY AS t(term, position)
+      LEFT JOIN LATERAL (
+        SELECT v.word
+        FROM search_vocabulary v
+        WHERE NOT EXISTS (SELECT 1 FROM search_vocabulary known WHERE known.word = t.term)
+        AND v.word % t.term AND similarity(v.word, t.term) >= $2
+        ORDER BY similarity(v.word, t.term) DESC, v.frequency DESC
+        LIMIT 1
+      ) closest ON true
+      ORDER BY t.position
+    `;
+
+    const result = await pool.query(query, [terms, MIN_SIMILARITY]);
+    const corrected = result.rows.map(row => row.replacement || row.term);
+
+    return corrected.some((word, i) => word !== terms[i]) ? corrected.join(' ') : null;
+  }
+
+  // Rebuild the vocabulary from the current catalog, brands, categories and products
+  static async refreshVocabulary() {
+    await pool.query('REFRESH MATERIALIZED VIEW CONCURRENTLY search_vocabulary');
+  }
+}
+
+module.exports = Search;
@@ -1,4 +1,10 @@
 const pool = require('../config/database');
+const DeliveryZone = require('./delivery-zone.model');
+const Locality = require('./locality.model');
+const SearchSynonym = require('./search-synonym.model');
+const { applyRewrites, expandSearchVariants } = require('../utils/search');
+const { withIdKey, paginateQuery, pageResult } = require('../utils/pagination');
+const { createBoundsCondition } = require('../utils/geo');
 
 class Shop {
   // Create a new shop
@@ -133,8 +139,22 @@ class Shop {
     return result.rows[0] || null;
   }
   
-  // Find nearby shops
-  static async findNearby(lat, lng, radius = 5000, limit = 10) {
+  // Find nearby shops: those within the radius, plus any further away whose delivery zones cover the point
+  // delivers_to_you tells shops that deliver to the point from those offering pickup only
+  static async findNearby(lat, lng, radius = 5000, limit = 10, { deliveryOnly = false } = {}) {
+    const deliversSql = DeliveryZone.containsSql('s.id', 'ST_SetSRID(ST_MakePoint($1, $2), 4326)');
+    let values = [lng, lat];
+    let reachSql = deliversSql;
+    
+    if (!deliveryOnly) {
+      reachSql = `(ST_DWithin(
+        s.location::geography,
+        ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography,
+        $3
+      ) OR ${deliversSql})`;
+      values.push(radius);
+    }
+    
     const query = `
       SELECT s.id, s.owner_id, s.name, s.banner_url, s.address, s.whatsapp, 
       ST_X(s.location::geometry) as longitude, ST_Y(s.location::geometry) as latitude,
@@ -142,27 +162,107 @@ class Shop {
         s.location::geography,
         ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography
       ) as distance,
+      ${deliversSql} as delivers_to_you,
       s.created_at, s.is_approved, s.status,
       u.name as owner_name
       FROM shops s
       LEFT JOIN users u ON s.owner_id = u.id
       WHERE s.is_approved = true AND s.status = 'approved'
-      AND ST_DWithin(
-        s.location::geography,
-        ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography,
-        $3
-      )
+      AND ${reachSql}
       ORDER BY distance
-      LIMIT $4
+      LIMIT $${values.length + 1}
+    `;
+    
+    values.push(limit);
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+  
+  // Approved shops inside a bounding box, for the map at street level
+  static async findInBounds(bounds, limit = 500) {
+    const within = createBoundsCondition('s.location', bounds, 1);
+    
+    const query = `
+      SELECT s.id, s.name, s.banner_url, s.address,
+      ST_X(s.location::geometry) as longitude, ST_Y(s.location::geometry) as latitude
+      FROM shops s
+      WHERE s.is_approved = true AND s.status = 'approved'
+      AND ${within.sql}
+      ORDER BY s.id
+      LIMIT $${within.values.length + 1}
+    `;
+    
+    const result = await pool.query(query, [...within.values, limit]);
+    return result.rows;
+  }
+  
+  // Approved shops inside a bounding box counted per grid cell of `cellSize` degrees, for zoomed-out maps
+  // The grid is anchored at 0,0 so cells stay put as the map pans; each cluster sits at the mean
+  // position of its shops, and a cell holding a single shop names it
+  static async clusterInBounds(bounds, cellSize, limit = 500) {
+    const within = createBoundsCondition('s.location', bounds, 2);
+    
+    const query = `
+      SELECT COUNT(*)::int as count,
+      ST_Y(ST_Centroid(ST_Collect(s.location::geometry))) as latitude,
+      ST_X(ST_Centroid(ST_Collect(s.location::geometry))) as longitude,
+      ST_YMin(ST_Extent(s.location::geometry)) as min_lat, ST_XMin(ST_Extent(s.location::geometry)) as min_lng,
+      ST_YMax(ST_Extent(s.location::geometry)) as max_lat, ST_XMax(ST_Extent(s.location::geometry)) as max_lng,
+      CASE WHEN COUNT(*) = 1 THEN MIN(s.id) END as shop_id
+      FROM shops s
+      WHERE s.is_approved = true AND s.status = 'approved'
+      AND ${within.sql}
+      GROUP BY ST_SnapToGrid(s.location::geometry, $1)
+      ORDER BY count DESC
+      LIMIT $${within.values.length + 2}
+    `;
+    
+    const result = await pool.query(query, [cellSize, ...within.values, limit]);
+    return result.rows;
+  }
+  
+  // Shops with their main category and product count, for map exports
+  // The category is the one most of the shop's catalog-linked products belong to
+  static async findForExport({ statuses, bounds } = {}) {
+    let whereClause = '';
+    let values = [];
+    let counter = 1;
+    
+    if (statuses && statuses.length > 0) {
+      whereClause += ' WHERE s.status = ANY($1)';
+      values.push(statuses);
+      counter++;
+    }
+    
+    if (bounds) {
+      const within = createBoundsCondition('s.location', bounds, counter);
+      whereClause += whereClause ? ' AND ' : ' WHERE ';
+      whereClause += within.sql;
+      values.push(...within.values);
+    }
+    
+    const query = `
+      SELECT s.id, s.name, s.address, s.status, s.is_approved,
+      ST_X(s.location::geometry) as longitude, ST_Y(s.location::geometry) as latitude,
+      stats.category, COALESCE(stats.product_count, 0)::int as product_count,
+      s.created_at
+      FROM shops s
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*) as product_count, MODE() WITHIN GROUP (ORDER BY c.category) as category
+        FROM products p
+        LEFT JOIN electronics_catalog c ON p.catalog_id = c.id
+        WHERE p.shop_id = s.id
+      ) stats ON true
+      ${whereClause}
+      ORDER BY s.id
     `;
     
-    const values = [lng, lat, radius, limit];
     const result = await pool.query(query, values);
     return result.rows;
   }
   
-  // List shops with pagination and filters
-  static async list(page = 1, limit = 10, filters = {}, sort = {}) {
+  // List shops with filters, by page or after a cursor (see Product.search)
+  static async list(page = 1, limit = 10, filters = {}, sort = {}, cursor = null) {
     const offset = (page - 1) * limit;
     
     // Build WHERE clause
@@ -170,10 +270,14 @@ class Shop {
     let values = [];
     let counter = 1;
     
+    // The rewritten search or any synonym substitution of it, e.g. 'mobile' also finds 'Smartphone Hub'
     if (filters.search) {
+      const rules = await SearchSynonym.getRules();
+      const variants = expandSearchVariants(applyRewrites(filters.search, rules.rewrites), rules.synonymGroups);
+      
       whereClause += whereClause ? ' AND ' : ' WHERE ';
-      whereClause += `(s.name ILIKE $${counter} OR s.address ILIKE $${counter})`;
-      values.push(`%${filters.search}%`);
+      whereClause += `(s.name ILIKE ANY($${counter}) OR s.address ILIKE ANY($${counter}))`;
+      values.push(variants.map(variant => `%${variant}%`));
       counter++;
     }
     
@@ -191,29 +295,29 @@ class Shop {
       counter++;
     }
     
-    // Build ORDER BY clause
-    let orderClause = ' ORDER BY s.created_at DESC';
+    // Shops inside a locality's boundary, or near its centre when only that is known
+    if (filters.localityId) {
+      whereClause += whereClause ? ' AND ' : ' WHERE ';
+      whereClause += Locality.containsSql(`$${counter}`, 's.location::geometry');
+      values.push(filters.localityId);
+      counter++;
+    }
+    
+    // Build sort keys
+    let orderKeys = [{ column: 'created_at', direction: 'DESC' }];
     
     if (sort.field) {
       const direction = sort.order === 'asc' ? 'ASC' : 'DESC';
       const allowedFields = ['name', 'created_at', 'is_approved', 'status'];
       
       if (allowedFields.includes(sort.field)) {
-        orderClause = ` ORDER BY s.${sort.field} ${direction}`;
+        orderKeys = [{ column: sort.field, direction }];
       }
     }
     
-    // Count total
-    const countQuery = `
-      SELECT COUNT(*) as total
-      FROM shops s
-      ${whereClause}
-    `;
-    
-    const countResult = await pool.query(countQuery, values);
-    const total = parseInt(countResult.rows[0].total);
+    orderKeys = withIdKey(orderKeys);
     
-    // Get paginated results
+    // Get one page of results
     const query = `
       SELECT s.id, s.owner_id, s.name, s.banner_url, s.address, s.whatsapp, 
       ST_X(s.location::geometry) as longitude, ST_Y(s.location::geometry) as latitude, 
@@ -222,20 +326,37 @@ class Shop {
       FROM shops s
       LEFT JOIN users u ON s.owner_id = u.id
       ${whereClause}
-      ${orderClause}
-      LIMIT $${counter} OFFSET $${counter+1}
     `;
     
-    values.push(limit, offset);
-    const result = await pool.query(query, values);
+    const paged = paginateQuery(query, values, orderKeys, { limit, offset, cursor });
+    const result = await pool.query(paged.sql, paged.values);
+    const { items, nextCursor } = pageResult(result.rows, orderKeys, limit);
+    
+    if (cursor) {
+      return {
+        shops: items,
+        pagination: { limit, next_cursor: nextCursor }
+      };
+    }
+    
+    // Count total
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM shops s
+      ${whereClause}
+    `;
+    
+    const countResult = await pool.query(countQuery, values);
+    const total = parseInt(countResult.rows[0].total);
     
     return {
-      shops: result.rows,
+      shops: items,
       pagination: {
         total,
         page,
         limit,
-        pages: Math.ceil(total / limit)
+        pages: Math.ceil(total / limit),
+        next_cursor: nextCursor
       }
     };
   }
@@ -0,0 +1,65 @@
+const pool = require('../config/database');
+
+// The category's name comes from the tree, so a rename shows up without touching the schema
+const SCHEMA_COLUMNS = 's.id, s.category_id, c.name as category, s.fields, s.updated_by, s.created_at, s.updated_at';
+
+class SpecSchema {
+  // Find the spec schema for a category
+  static async findByCategoryId(categoryId) {
+    const query = `
+      SELECT ${SCHEMA_COLUMNS}
+      FROM category_spec_schemas s
+      JOIN categories c ON c.id = s.category_id
+      WHERE s.category_id = $1
+    `;
+
+    const result = await pool.query(query, [categoryId]);
+    return result.rows[0] || null;
+  }
+
+  // Get every category's spec schema
+  static async findAll() {
+    const query = `
+      SELECT ${SCHEMA_COLUMNS}
+      FROM category_spec_schemas s
+      JOIN categories c ON c.id = s.category_id
+      ORDER BY c.name, s.category_id
+    `;
+
+    const result = await pool.query(query);
+    return result.rows;
+  }
+
+  // Create or replace the spec schema for a category
+  static async upsert(categoryId, fields, updatedBy) {
+    const query = `
+      WITH saved AS (
+        INSERT INTO category_spec_schemas (category_id, fields, updated_by, created_at, updated_at)
+        VALUES ($1, $2, $3, NOW(), NOW())
+        ON CONFLICT (category_id)
+        DO UPDATE SET fields = EXCLUDED.fields, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+        RETURNING *
+      )
+      SELECT ${SCHEMA_COLUMNS}
+      FROM saved s
+      JOIN categories c ON c.id = s.category_id
+    `;
+
+    const result = await pool.query(query, [categoryId, JSON.stringify(fields), updatedBy || null]);
+    return result.rows[0];
+  }
+
+  // Delete the spec schema for a category
+  static async delete(categoryId) {
+    const query = `
+      DELETE FROM category_spec_schemas
+      WHERE category_id = $1
+      RETURNING id
+    `;
+
+    const result = await pool.query(query, [categoryId]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = SpecSchema;
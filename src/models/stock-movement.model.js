@@ -0,0 +1,88 @@
+const pool = require('../config/database');
+
+class StockMovement {
+  // Record a movement, optionally on a transaction client
+  static async create({ productId, variantId, type, quantity, stockAfter, actorId, reason, referenceType, referenceId }, client = pool) {
+    const query = `
+      INSERT INTO stock_movements (product_id, variant_id, movement_type, quantity, stock_after, actor_id, reason, reference_type, reference_id, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+      RETURNING id, product_id, variant_id, movement_type, quantity, stock_after, actor_id, reason, reference_type, reference_id, created_at
+    `;
+
+    const values = [productId, variantId || null, type, quantity, stockAfter, actorId || null, reason || null, referenceType || null, referenceId || null];
+    const result = await client.query(query, values);
+    return result.rows[0];
+  }
+
+  // Get a product's movements, newest first
+  static async findByProductId(productId, page = 1, limit = 20, filters = {}) {
+    const offset = (page - 1) * limit;
+
+    // Build WHERE clause
+    let whereClause = ' WHERE m.product_id = $1';
+    let values = [productId];
+    let counter = 2;
+
+    if (filters.type) {
+      whereClause += ` AND m.movement_type = $${counter}`;
+      values.push(filters.type);
+      counter++;
+    }
+
+    if (filters.variantId) {
+      whereClause += ` AND m.variant_id = $${counter}`;
+      values.push(filters.variantId);
+      counter++;
+    }
+
+    // Count total
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM stock_movements m
+      ${whereClause}
+    `;
+
+    const countResult = await pool.query(countQuery, values);
+    const total = parseInt(countResult.rows[0].total);
+
+    // Get paginated results
+    const query = `
+      SELECT m.id, m.product_id, m.variant_id, m.movement_type, m.quantity, m.stock_after, m.actor_id,
+      m.reason, m.reference_type, m.reference_id, m.created_at,
+      u.name as actor_name
+      FROM stock_movements m
+      LEFT JOIN users u ON m.actor_id = u.id
+      ${whereClause}
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT $${counter} OFFSET $${counter+1}
+    `;
+
+    values.push(limit, offset);
+    const result = await pool.query(query, values);
+
+    return {
+      movements: result.rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Sum of the movements for a product (or one of its variants), which should
+  // equal products.stock (or product_variants.stock)
+  static async getLedgerBalance(productId, variantId = null) {
+    const query = `
+      SELECT COALESCE(SUM(quantity), 0)::int as balance
+      FROM stock_movements
+      WHERE product_id = $1 AND variant_id IS NOT DISTINCT FROM $2
+    `;
+
+    const result = await pool.query(query, [productId, variantId]);
+    return result.rows[0].balance;
+  }
+}
+
+module.exports = StockMovement;
@@ -4,6 +4,14 @@ const { authenticateToken, authorizeAdmin } = require('../middleware/auth');
 const shopController = require('../controllers/shop.controller');
 const productController = require('../controllers/product.controller');
 const userController = require('../controllers/user.controller');
+const categoryController = require('../controllers/category.controller');
+const brandController = require('../controllers/brand.controller');
+const searchController = require('../controllers/search.controller');
+const gazetteerController = require('../controllers/gazetteer.controller');
+const geoExportController = require('../controllers/geo-export.controller');
+const localityController = require('../controllers/locality.controller');
+const uploadMiddleware = require('../middlewares/upload.middleware');
+const validation = require('../middlewares/validation.middleware');
 
 // Admin authentication middleware - applies to all admin routes
 router.use(authenticateToken, authorizeAdmin);
@@ -46,4 +54,39 @@ router.post('/catalog', productController.addCatalogItem);
 router.put('/catalog/:id', productController.updateCatalogItem);
 router.delete('/catalog/:id', productController.deleteCatalogItem);
 
+// Category tree management
+router.get('/categories', categoryController.getCategoryTree);
+router.post('/categories', uploadMiddleware.uploadSingle('icon'), validation.createCategoryValidation, categoryController.createCategory);
+router.put('/categories/:id', uploadMiddleware.uploadSingle('icon'), validation.updateCategoryValidation, categoryController.updateCategory);
+router.delete('/categories/:id', categoryController.deleteCategory);
+
+// Brand registry management
+router.get('/brands', brandController.getBrands);
+router.get('/brands/:id', brandController.getBrandById);
+router.post('/brands', uploadMiddleware.uploadSingle('logo'), validation.createBrandValidation, brandController.createBrand);
+router.put('/brands/:id', uploadMiddleware.uploadSingle('logo'), validation.updateBrandValidation, brandController.updateBrand);
+router.delete('/brands/:id', brandController.deleteBrand);
+router.post('/brands/:id/merge', validation.mergeBrandsValidation, brandController.mergeBrands);
+
+// Search synonyms and query rewrites
+router.get('/search-synonyms', validation.listSearchSynonymsValidation, searchController.getSynonyms);
+router.post('/search-synonyms', validation.createSearchSynonymValidation, searchController.createSynonym);
+router.put('/search-synonyms/:id', validation.updateSearchSynonymValidation, searchController.updateSynonym);
+router.delete('/search-synonyms/:id', searchController.deleteSynonym);
+
+// Search analytics reports
+router.get('/search-analytics/top-queries', validation.searchReportValidation, searchController.getTopQueries);
+router.get('/search-analytics/zero-results', validation.searchReportValidation, searchController.getZeroResultQueries);
+router.get('/search-analytics/trending', validation.trendingSearchValidation, searchController.getTrendingTerms);
+
+// Local geocoding gazetteer
+router.post('/gazetteer/import', uploadMiddleware.uploadSpreadsheet('file'), gazetteerController.importPlaces);
+
+// Localities (neighbourhoods) customers browse by
+router.post('/localities/import', uploadMiddleware.uploadGeoData('file'), localityController.importLocalities);
+
+// Map exports (GeoJSON/KML) of shops and their delivery zones
+router.get('/exports/shops', validation.geoExportValidation, geoExportController.exportShops);
+router.get('/exports/service-areas', validation.geoExportValidation, geoExportController.exportServiceAreas);
+
 module.exports = router;
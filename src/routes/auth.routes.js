@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
+const addressController = require('../controllers/address.controller');
 const authMiddleware = require('../middlewares/auth.middleware');
 const validation = require('../middlewares/validation.middleware');
 
@@ -31,6 +32,26 @@ router.get('/me', authMiddleware, authController.getCurrentUser);
 // Update user profile
 router.put('/me', authMiddleware, authController.updateProfile);
 
+// Get current user's saved addresses
+router.get('/me/addresses', authMiddleware.authenticate, addressController.getAddresses);
+
+// Save an address (geocoded from the line, or named from the location)
+router.post('/me/addresses', 
+  authMiddleware.authenticate,
+  validation.createAddressValidation,
+  addressController.createAddress
+);
+
+// Update a saved address
+router.put('/me/addresses/:id', 
+  authMiddleware.authenticate,
+  validation.updateAddressValidation,
+  addressController.updateAddress
+);
+
+// Delete a saved address
+router.delete('/me/addresses/:id', authMiddleware.authenticate, addressController.deleteAddress);
+
 // Change password
 router.put('/change-password', authMiddleware, authController.changePassword);
 
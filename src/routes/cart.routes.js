@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const cartController = require('../controllers/cart.controller');
+const { authenticate } = require('../middlewares/auth.middleware');
+const validation = require('../middlewares/validation.middleware');
+
+// All cart routes belong to the signed-in user
+router.use(authenticate);
+
+// Get current user's cart
+router.get('/', cartController.getCart);
+
+// Add a product to the cart
+router.post('/items', 
+  validation.addCartItemValidation,
+  cartController.addItem
+);
+
+// Change the quantity of a cart line
+router.put('/items/:itemId', 
+  validation.updateCartItemValidation,
+  cartController.updateItem
+);
+
+// Remove a line from the cart
+router.delete('/items/:itemId', cartController.removeItem);
+
+// Empty the cart
+router.delete('/', cartController.clearCart);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const catalogController = require('../controllers/catalog.controller');
+const brandController = require('../controllers/brand.controller');
 const authMiddleware = require('../middlewares/auth.middleware');
 const uploadMiddleware = require('../middlewares/upload.middleware');
 const validation = require('../middlewares/validation.middleware');
@@ -15,11 +16,17 @@ router.post('/',
 );
 
 // Get all catalog items with filters and pagination
-router.get('/', catalogController.getAllCatalogItems);
+router.get('/', authMiddleware.optionalAuthenticate, validation.listPageValidation, catalogController.getAllCatalogItems);
 
 // Get catalog item by ID
 router.get('/:id', catalogController.getCatalogItemById);
 
+// Compare prices across shops selling a catalog item
+router.get('/:id/offers', 
+  validation.catalogOffersValidation,
+  catalogController.getCatalogItemOffers
+);
+
 // Update catalog item (admin only)
 router.put('/:id', 
   authMiddleware,
@@ -37,7 +44,33 @@ router.delete('/:id',
 );
 
 // Get catalog items by category
-router.get('/category/:category', catalogController.getCatalogItemsByCategory);
+router.get('/category/:category', validation.listPageValidation, catalogController.getCatalogItemsByCategory);
 
 // Get all categories
-router.get('/metadata/categories', catalogController.
+router.get('/metadata/categories', catalogController.getCategories);
+
+// Get all registered brands with aliases and logos
+router.get('/metadata/brands', brandController.getBrands);
+
+// Get all category spec schemas
+router.get('/metadata/schemas', catalogController.getSpecSchemas);
+
+// Get the spec schema for a category
+router.get('/metadata/schemas/:category', catalogController.getSpecSchema);
+
+// Define or replace a category's spec schema (admin only)
+router.put('/metadata/schemas/:category', 
+  authMiddleware.authenticate,
+  authMiddleware.authorize(['admin']),
+  validation.saveSpecSchemaValidation,
+  catalogController.saveSpecSchema
+);
+
+// Delete a category's spec schema (admin only)
+router.delete('/metadata/schemas/:category', 
+  authMiddleware.authenticate,
+  authMiddleware.authorize(['admin']),
+  catalogController.deleteSpecSchema
+);
+
+module.exports = router;
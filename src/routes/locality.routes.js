@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const localityController = require('../controllers/locality.controller');
+const validation = require('../middlewares/validation.middleware');
+
+// Autocomplete localities by name or pincode
+router.get('/', 
+  validation.localityAutocompleteValidation,
+  localityController.autocomplete
+);
+
+// Find the locality containing a point
+router.get('/at', 
+  validation.localityAtValidation,
+  localityController.findLocalityAt
+);
+
+// Get a locality with its boundary
+router.get('/:id', localityController.getLocality);
+
+module.exports = router;
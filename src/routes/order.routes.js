@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const orderController = require('../controllers/order.controller');
+const unitController = require('../controllers/unit.controller');
+const { authenticate } = require('../middlewares/auth.middleware');
+const validation = require('../middlewares/validation.middleware');
+
+// All order routes require a signed-in user
+router.use(authenticate);
+
+// Place orders from the cart
+router.post('/checkout', 
+  validation.checkoutValidation,
+  orderController.checkout
+);
+
+// Get current user's orders
+router.get('/', orderController.getMyOrders);
+
+// Get orders received by a shop (shop owner or admin only)
+router.get('/shop/:shopId', orderController.getShopOrders);
+
+// Get order by ID
+router.get('/:id', orderController.getOrderById);
+
+// Update order status (shop owner drives it, customer may cancel)
+router.put('/:id/status', 
+  validation.updateOrderStatusValidation,
+  orderController.updateOrderStatus
+);
+
+// Record serial numbers / IMEIs for an order line (shop owner only)
+router.post('/:id/items/:itemId/serials', 
+  validation.captureSerialsValidation,
+  unitController.captureSaleSerials
+);
+
+module.exports = router;
@@ -5,6 +5,10 @@ const authMiddleware = require('../middlewares/auth.middleware');
 const uploadMiddleware = require('../middlewares/upload.middleware');
 const validation = require('../middlewares/validation.middleware');
 const shopController = require('../controllers/shop.controller');
+const inventoryController = require('../controllers/inventory.controller');
+const productImportController = require('../controllers/product-import.controller');
+const variantController = require('../controllers/variant.controller');
+const unitController = require('../controllers/unit.controller');
 
 // Create a new product
 router.post('/', 
@@ -16,7 +20,32 @@ router.post('/',
 );
 
 // Get all products with filters and pagination
-router.get('/', productController.getAllProducts);
+router.get('/', 
+  authMiddleware.optionalAuthenticate,
+  validation.searchProductsValidation,
+  productController.getAllProducts
+);
+
+// Bulk import products from CSV/XLSX (shop owner only)
+router.post('/import', 
+  authMiddleware.authenticate,
+  uploadMiddleware.uploadSpreadsheet('file'),
+  validation.importProductsValidation,
+  productImportController.importProducts
+);
+
+// Get import job status and row errors
+router.get('/import/:jobId', 
+  authMiddleware.authenticate,
+  productImportController.getImportJob
+);
+
+// Export a shop's products in the import format
+router.get('/export', 
+  authMiddleware.authenticate,
+  validation.exportProductsValidation,
+  productImportController.exportProducts
+);
 
 // Get product by ID
 router.get('/:id', productController.getProductById);
@@ -35,8 +64,73 @@ router.delete('/:id',
   productController.deleteProduct
 );
 
+// Get product variants
+router.get('/:id/variants', variantController.getVariants);
+
+// Add a variant (shop owner only)
+router.post('/:id/variants', 
+  authMiddleware.authenticate,
+  uploadMiddleware.uploadSingle('image'),
+  validation.createVariantValidation,
+  variantController.createVariant
+);
+
+// Create variants for every combination of option values (shop owner only)
+router.post('/:id/variants/generate', 
+  authMiddleware.authenticate,
+  validation.generateVariantsValidation,
+  variantController.generateVariants
+);
+
+// Update a variant (shop owner only)
+router.put('/:id/variants/:variantId', 
+  authMiddleware.authenticate,
+  uploadMiddleware.uploadSingle('image'),
+  validation.updateVariantValidation,
+  variantController.updateVariant
+);
+
+// Delete a variant (shop owner only)
+router.delete('/:id/variants/:variantId', 
+  authMiddleware.authenticate,
+  variantController.deleteVariant
+);
+
+// Post a stock movement (shop owner only)
+router.post('/:id/stock-movements', 
+  authMiddleware.authenticate,
+  validation.createStockMovementValidation,
+  inventoryController.createStockMovement
+);
+
+// Get stock history (shop owner or admin only)
+router.get('/:id/stock-history', 
+  authMiddleware.authenticate,
+  inventoryController.getStockHistory
+);
+
+// Get serialised units (shop owner or admin only)
+router.get('/:id/units', 
+  authMiddleware.authenticate,
+  unitController.getUnits
+);
+
+// Register serialised units (shop owner only)
+router.post('/:id/units', 
+  authMiddleware.authenticate,
+  validation.registerUnitsValidation,
+  unitController.registerUnits
+);
+
+// Change a unit's status (shop owner only)
+router.put('/:id/units/:unitId', 
+  authMiddleware.authenticate,
+  validation.updateUnitStatusValidation,
+  unitController.updateUnitStatus
+);
+
 // Get products by shop ID
-router.get('/shop/:shopId', productController.getProductsByShopId);
+router.get('/shop/:shopId', validation.listPageValidation, productController.getProductsByShopId);
 
 module.exports = router;
 
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const reservationController = require('../controllers/reservation.controller');
+const { authenticate } = require('../middlewares/auth.middleware');
+const validation = require('../middlewares/validation.middleware');
+
+// All reservation routes require a signed-in user
+router.use(authenticate);
+
+// Hold a product for pickup
+router.post('/', 
+  validation.createReservationValidation,
+  reservationController.createReservation
+);
+
+// Get current user's reservations
+router.get('/', reservationController.getMyReservations);
+
+// Get reservations against a shop's products (shop owner or admin only)
+router.get('/shop/:shopId', reservationController.getShopReservations);
+
+// Get reservation by ID
+router.get('/:id', reservationController.getReservationById);
+
+// Cancel a reservation (customer or shop owner)
+router.put('/:id/cancel', reservationController.cancelReservation);
+
+// Fulfill a reservation (shop owner only)
+router.put('/:id/fulfill', reservationController.fulfillReservation);
+
+module.exports = router;
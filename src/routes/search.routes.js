@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/search.controller');
+const validation = require('../middlewares/validation.middleware');
+
+// Typo-tolerant autocomplete suggestions
+router.get('/suggest', 
+  validation.suggestValidation,
+  searchController.suggest
+);
+
+module.exports = router;
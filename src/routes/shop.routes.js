@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const shopController = require('../controllers/shop.controller');
+const deliveryZoneController = require('../controllers/delivery-zone.controller');
+const deliveryController = require('../controllers/delivery.controller');
 const authMiddleware = require('../middlewares/auth.middleware');
 const uploadMiddleware = require('../middlewares/upload.middleware');
 const validation = require('../middlewares/validation.middleware');
@@ -15,14 +17,21 @@ router.post('/',
 );
 
 // Get all shops with filters and pagination
-router.get('/', shopController.getAllShops);
+router.get('/', authMiddleware.optionalAuthenticate, validation.listShopsValidation, shopController.getAllShops);
 
 // Get shops nearby
 router.get('/nearby', 
+  authMiddleware.optionalAuthenticate,
   validation.nearbyShopsValidation,
   shopController.getNearbyShops
 );
 
+// Get shop clusters or shops for a map view
+router.get('/map', 
+  validation.shopMapValidation,
+  shopController.getMapShops
+);
+
 // Get shop by ID
 router.get('/:id', shopController.getShopById);
 
@@ -45,6 +54,45 @@ router.delete('/:id',
 // Get shop products
 router.get('/:shopId/products', shopController.getShopProducts);
 
+// Get a shop's delivery zones
+router.get('/:id/delivery-zones', deliveryZoneController.getZones);
+
+// Draw a delivery zone (shop owner only)
+router.post('/:id/delivery-zones', 
+  authMiddleware.authenticate,
+  validation.createDeliveryZoneValidation,
+  deliveryZoneController.createZone
+);
+
+// Update a delivery zone (shop owner only)
+router.put('/:id/delivery-zones/:zoneId', 
+  authMiddleware.authenticate,
+  validation.updateDeliveryZoneValidation,
+  deliveryZoneController.updateZone
+);
+
+// Delete a delivery zone (shop owner only)
+router.delete('/:id/delivery-zones/:zoneId', 
+  authMiddleware.authenticate,
+  deliveryZoneController.deleteZone
+);
+
+// Get a shop's delivery pricing
+router.get('/:id/delivery-settings', deliveryController.getSettings);
+
+// Set delivery fee tiers, minimum order and maximum distance (shop owner only)
+router.put('/:id/delivery-settings', 
+  authMiddleware.authenticate,
+  validation.deliverySettingsValidation,
+  deliveryController.updateSettings
+);
+
+// Quote delivery fee and eligibility to a location
+router.get('/:id/delivery-quote', 
+  validation.deliveryQuoteValidation,
+  deliveryController.getQuote
+);
+
 // Get current user's shop
 router.get('/my/shop', 
   authMiddleware,
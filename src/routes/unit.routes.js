@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const unitController = require('../controllers/unit.controller');
+const { authenticate } = require('../middlewares/auth.middleware');
+const validation = require('../middlewares/validation.middleware');
+
+// Look up a unit by serial number or IMEI (warranty and theft checks)
+router.get('/lookup', 
+  authenticate,
+  validation.lookupUnitValidation,
+  unitController.lookupSerial
+);
+
+module.exports = router;
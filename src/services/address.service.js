@@ -0,0 +1,195 @@
+const pool = require('../config/database');
+const Address = require('../models/address.model');
+const LocationService = require('./location.service');
+const { AppError, ValidationError } = require('../utils/error');
+
+const MAX_ADDRESSES_PER_USER = parseInt(process.env.USER_ADDRESS_MAX_PER_USER) || 20;
+
+class AddressService {
+  /**
+   * Get the user's saved addresses
+   * @param {Number} userId - ID of the user
+   * @returns {Array} - Addresses, default first
+   */
+  async getAddresses(userId) {
+    return Address.findByUserId(userId);
+  }
+
+  /**
+   * Save an address
+   * Addresses without coordinates are geocoded; a location without an address line is
+   * reverse geocoded to fill it in. The first address saved becomes the default.
+   * @param {Number} userId - ID of the user
+   * @param {Object} addressData - Label, line, landmark, pincode, latitude/longitude and default flag
+   * @returns {Object} - Saved address
+   */
+  async createAddress(userId, { label, line, landmark, pincode, latitude, longitude, isDefault }) {
+    const addresses = await Address.findByUserId(userId);
+
+    if (addresses.length >= MAX_ADDRESSES_PER_USER) {
+      throw new AppError(`You can save at most ${MAX_ADDRESSES_PER_USER} addresses`, 400);
+    }
+
+    const located = await this._locate({ line, landmark, pincode, latitude, longitude });
+    const makeDefault = addresses.length === 0 || Boolean(isDefault);
+
+    return pool.transaction(async (client) => {
+      if (makeDefault) {
+        await Address.clearDefault(userId, client);
+      }
+
+      return Address.create({ userId, label, ...located, isDefault: makeDefault }, client);
+    });
+  }
+
+  /**
+   * Update a saved address
+   * A new line or pincode without new coordinates moves the address to where it geocodes.
+   * @param {Number} userId - ID of the user
+   * @param {Number} addressId - ID of the address
+   * @param {Object} addressData - Fields to change
+   * @returns {Object} - Updated address
+   */
+  async updateAddress(userId, addressId, { label, line, landmark, pincode, latitude, longitude, isDefault }) {
+    const address = await this._getOwnAddress(userId, addressId);
+
+    const moved = latitude !== undefined && longitude !== undefined;
+    const retyped = (line !== undefined && line !== address.line) || (pincode !== undefined && pincode !== address.pincode);
+    let located = { line, landmark, pincode };
+
+    if (moved || retyped) {
+      located = await this._locate({
+        line: line !== undefined ? line : address.line,
+        landmark: landmark !== undefined ? landmark : address.landmark,
+        pincode: pincode !== undefined ? pincode : address.pincode,
+        latitude,
+        longitude
+      });
+    }
+
+    return pool.transaction(async (client) => {
+      if (isDefault) {
+        await Address.clearDefault(userId, client);
+      }
+
+      const updated = await Address.update(addressId, { label, ...located, isDefault }, client);
+      return updated || address;
+    });
+  }
+
+  /**
+   * Delete a saved address; deleting the default makes the most recent other address the default
+   * @param {Number} userId - ID of the user
+   * @param {Number} addressId - ID of the address
+   * @returns {Object} - Deleted address ID
+   */
+  async deleteAddress(userId, addressId) {
+    await this._getOwnAddress(userId, addressId);
+
+    return pool.transaction(async (client) => {
+      const deleted = await Address.delete(addressId, client);
+
+      if (deleted.is_default) {
+        await Address.promoteLatest(userId, client);
+      }
+
+      return { id: deleted.id };
+    });
+  }
+
+  /**
+   * Coordinates of a saved address, for searches and checkouts that take an addressId instead of lat/lng
+   * @param {Object} user - Authenticated user ({ sub, role }), if any
+   * @param {Number} addressId - ID of the address
+   * @returns {Object} - { latitude, longitude, line }
+   */
+  async getAddressLocation(user, addressId) {
+    if (!user) {
+      throw new AppError('Sign in to search from a saved address', 401);
+    }
+
+    const address = await this._getOwnAddress(user.sub, addressId);
+    return { latitude: address.latitude, longitude: address.longitude, line: address.line };
+  }
+
+  /**
+   * Fill in whichever of the address text and coordinates is missing
+   * @param {Object} addressData - Line, landmark, pincode and optional latitude/longitude
+   * @returns {Object} - Line, landmark, pincode, latitude and longitude
+   * @private
+   */
+  async _locate({ line, landmark, pincode, latitude, longitude }) {
+    const hasLocation = latitude !== undefined && longitude !== undefined;
+
+    if (!line && !hasLocation) {
+      throw new ValidationError('Invalid address', { line: 'Give an address line or pick a location' });
+    }
+
+    if (!hasLocation) {
+      const geocoded = await this._lookup(() => LocationService.geocodeAddress([line, landmark, pincode].filter(Boolean).join(', ')), {
+        line: 'We could not find this address; pick the location on the map instead'
+      });
+
+      return {
+        line,
+        landmark,
+        pincode: pincode || geocoded.addressComponents.postal_code,
+        latitude: geocoded.latitude,
+        longitude: geocoded.longitude
+      };
+    }
+
+    if (!line) {
+      const place = await this._lookup(() => LocationService.reverseGeocode(latitude, longitude), {
+        line: 'We could not name this location; type the address line'
+      });
+
+      return {
+        line: place.formattedAddress,
+        landmark,
+        pincode: pincode || place.addressComponents.postal_code,
+        latitude,
+        longitude
+      };
+    }
+
+    return { line, landmark, pincode, latitude, longitude };
+  }
+
+  /**
+   * Run a geocoding lookup, reporting "not found" against the address field
+   * @param {Function} lookup - Geocoding call
+   * @param {Object} errors - Field name to message when nothing is found
+   * @returns {Object} - Lookup result
+   * @private
+   */
+  async _lookup(lookup, errors) {
+    try {
+      return await lookup();
+    } catch (error) {
+      if (error.statusCode === 404) {
+        throw new ValidationError('Invalid address', errors);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load an address and check it belongs to the user
+   * @param {Number} userId - ID of the user
+   * @param {Number} addressId - ID of the address
+   * @returns {Object} - Address
+   * @private
+   */
+  async _getOwnAddress(userId, addressId) {
+    const address = await Address.findById(addressId);
+
+    if (!address || address.user_id !== userId) {
+      throw new AppError('Address not found', 404);
+    }
+
+    return address;
+  }
+}
+
+module.exports = new AddressService();
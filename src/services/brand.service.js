@@ -0,0 +1,224 @@
+const db = require('../config/database');
+const Brand = require('../models/brand.model');
+const Catalog = require('../models/catalog.model');
+const { uploadImage, deleteImage } = require('../config/s3');
+const { slugify } = require('../utils/slug');
+const { AppError } = require('../utils/error');
+const { saveUnique } = require('../utils/db-errors');
+
+class BrandService {
+  /**
+   * List registered brands with their aliases, logos and item counts
+   * @param {String} search - Optional name or alias fragment
+   * @returns {Array} - Brands
+   */
+  async getBrands(search = null) {
+    return Brand.findAll(search);
+  }
+
+  /**
+   * Get a brand with its aliases
+   * @param {Number} id - ID of the brand
+   * @returns {Object} - Brand
+   */
+  async getBrand(id) {
+    const brand = await Brand.findById(id);
+
+    if (!brand) {
+      throw new AppError('Brand not found', 404);
+    }
+
+    return brand;
+  }
+
+  /**
+   * Register a brand
+   * @param {Object} brandData - Name, optional aliases and logo file (multer)
+   * @returns {Object} - Created brand
+   */
+  async createBrand({ name, aliases = [], logo }) {
+    name = name.trim();
+    await this._checkNamesFree([name, ...aliases]);
+
+    const slug = slugify(name);
+    const logoUrl = logo ? await uploadImage(logo.buffer, `brands/${slug}/logo`) : null;
+
+    return this._saveWithLogo(logoUrl, () => saveUnique(() => db.transaction(async (client) => {
+      const brand = await Brand.create({ name, slug, logoUrl }, client);
+      await Brand.setAliases(brand.id, this._cleanAliases(aliases, name), client);
+      return Brand.findById(brand.id, client);
+    }), 'A brand with this name or alias already exists'));
+  }
+
+  /**
+   * Update a brand's name, aliases or logo
+   * Renaming relabels the brand's catalog items; a new logo replaces the old one in S3.
+   * @param {Number} id - ID of the brand
+   * @param {Object} brandData - Fields to change; aliases replace the current list
+   * @returns {Object} - Updated brand
+   */
+  async updateBrand(id, { name, aliases, logo }) {
+    const brand = await this.getBrand(id);
+    const newName = name !== undefined ? name.trim() : brand.name;
+
+    await this._checkNamesFree([newName, ...(aliases || [])], brand.id);
+
+    const logoUrl = logo ? await uploadImage(logo.buffer, `brands/${slugify(newName)}/logo`) : undefined;
+
+    const updated = await this._saveWithLogo(logoUrl, () => saveUnique(() => db.transaction(async (client) => {
+      if (name !== undefined || logoUrl !== undefined) {
+        await Brand.update(brand.id, {
+          name: name !== undefined ? newName : undefined,
+          slug: name !== undefined ? slugify(newName) : undefined,
+          logoUrl
+        }, client);
+      }
+
+      if (newName !== brand.name) {
+        await Catalog.renameBrand(brand.id, newName, client);
+      }
+
+      if (aliases !== undefined) {
+        await Brand.setAliases(brand.id, this._cleanAliases(aliases, newName), client);
+      }
+
+      return Brand.findById(brand.id, client);
+    }), 'A brand with this name or alias already exists'));
+
+    if (logoUrl && brand.logo_url) {
+      await deleteImage(brand.logo_url);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Delete a brand no catalog item refers to
+   * @param {Number} id - ID of the brand
+   */
+  async deleteBrand(id) {
+    const brand = await this.getBrand(id);
+    const itemCount = await Brand.countCatalogItems(brand.id);
+
+    if (itemCount > 0) {
+      throw new AppError(`Brand still has ${itemCount} catalog items; merge it into another brand instead`, 409);
+    }
+
+    await Brand.delete(brand.id);
+
+    if (brand.logo_url) {
+      await deleteImage(brand.logo_url);
+    }
+  }
+
+  /**
+   * Merge duplicate brands into one
+   * Catalog items and aliases move to the target, each source's name becomes an alias of it,
+   * and the target takes a source's logo if it has none.
+   * @param {Number} targetId - ID of the brand to keep
+   * @param {Array} sourceIds - IDs of the brands to fold into it
+   * @returns {Object} - Target brand and the number of catalog items moved
+   */
+  async mergeBrands(targetId, sourceIds) {
+    const target = await this.getBrand(targetId);
+    const ids = [...new Set(sourceIds.map(Number))];
+
+    if (ids.includes(target.id)) {
+      throw new AppError('A brand cannot be merged into itself', 400);
+    }
+
+    const sources = [];
+    for (const sourceId of ids) {
+      sources.push(await this.getBrand(sourceId));
+    }
+
+    // A source's name may already be another brand's alias
+    let logoUrl = target.logo_url;
+    const result = await saveUnique(() => db.transaction(async (client) => {
+      let movedItems = 0;
+
+      for (const source of sources) {
+        movedItems += await Catalog.reassignBrand(source.id, target, client);
+        await Brand.moveAliases(source.id, target.id, client);
+        await Brand.delete(source.id, client);
+        await Brand.addAlias(target.id, source.name, client);
+
+        if (!logoUrl && source.logo_url) {
+          logoUrl = source.logo_url;
+          await Brand.update(target.id, { logoUrl }, client);
+        }
+      }
+
+      return {
+        brand: await Brand.findById(target.id, client),
+        movedItems
+      };
+    }), 'A merged brand name is already an alias of another brand');
+
+    // Drop the logos nobody uses any more
+    for (const source of sources) {
+      if (source.logo_url && source.logo_url !== logoUrl) {
+        await deleteImage(source.logo_url);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Make sure no other brand already uses any of these names as its name or an alias
+   * @param {Array} names - Names and aliases to check
+   * @param {Number} brandId - ID of the brand being saved, if it exists
+   * @private
+   */
+  async _checkNamesFree(names, brandId = null) {
+    for (const name of names) {
+      const owner = await Brand.findByName(name);
+
+      if (owner && owner.id !== brandId) {
+        throw new AppError(`"${name}" already belongs to brand ${owner.name}`, 409);
+      }
+    }
+  }
+
+  /**
+   * Trim aliases and drop blanks, duplicates and the brand's own name
+   * @param {Array} aliases - Raw aliases
+   * @param {String} name - Canonical brand name
+   * @returns {Array} - Clean aliases
+   * @private
+   */
+  _cleanAliases(aliases, name) {
+    const seen = new Set([name.toLowerCase()]);
+
+    return aliases
+      .map(alias => String(alias).trim())
+      .filter(alias => {
+        if (!alias || seen.has(alias.toLowerCase())) {
+          return false;
+        }
+        seen.add(alias.toLowerCase());
+        return true;
+      });
+  }
+
+  /**
+   * Run a brand write, deleting the logo just uploaded for it if the write fails
+   * @param {String} logoUrl - URL of the uploaded logo, if any
+   * @param {Function} save - Function performing the write
+   * @returns {Object} - Result of the write
+   * @private
+   */
+  async _saveWithLogo(logoUrl, save) {
+    try {
+      return await save();
+    } catch (error) {
+      if (logoUrl) {
+        await deleteImage(logoUrl);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new BrandService();
@@ -0,0 +1,141 @@
+const Cart = require('../models/cart.model');
+const Product = require('../models/product.model');
+const ProductVariant = require('../models/product-variant.model');
+const { AppError } = require('../utils/error');
+
+class CartService {
+  /**
+   * Get a user's cart grouped by shop
+   * @param {Number} userId - ID of the customer
+   * @returns {Object} - Cart lines grouped per shop with totals
+   */
+  async getCart(userId) {
+    const items = await Cart.findByUserId(userId);
+
+    const shops = {};
+    let total = 0;
+
+    items.forEach(item => {
+      const lineTotal = Number(item.price) * item.quantity;
+      total += lineTotal;
+
+      if (!shops[item.shop_id]) {
+        shops[item.shop_id] = {
+          shopId: item.shop_id,
+          shopName: item.shop_name,
+          items: [],
+          subtotal: 0
+        };
+      }
+
+      shops[item.shop_id].items.push({ ...item, line_total: lineTotal });
+      shops[item.shop_id].subtotal += lineTotal;
+    });
+
+    return {
+      shops: Object.values(shops),
+      itemCount: items.length,
+      total
+    };
+  }
+
+  /**
+   * Add a product to the cart
+   * Products sold in variants need a variant ID; the line then uses the variant's price and stock.
+   * Adding to a line already in the cart checks the combined quantity against stock.
+   * @param {Number} userId - ID of the customer
+   * @param {Number} productId - ID of the product
+   * @param {Number} quantity - Quantity to add
+   * @param {Number} variantId - ID of the chosen variant, if the product has variants
+   * @returns {Object} - Cart line
+   */
+  async addItem(userId, productId, quantity = 1, variantId = null) {
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      throw new AppError('Product not found', 404);
+    }
+
+    if (!variantId && product.variants.length > 0) {
+      throw new AppError(`Choose a variant of "${product.title}"`, 400);
+    }
+
+    const line = await Cart.findLine(userId, product.id, variantId);
+    await this._checkStock(product, variantId, (line ? line.quantity : 0) + quantity);
+
+    return Cart.addItem(userId, productId, variantId || null, quantity);
+  }
+
+  /**
+   * Change the quantity of a cart line
+   * @param {Number} userId - ID of the customer
+   * @param {Number} itemId - ID of the cart line
+   * @param {Number} quantity - New quantity
+   * @returns {Object|null} - Updated cart line
+   */
+  async updateItem(userId, itemId, quantity) {
+    const line = await Cart.findItem(userId, itemId);
+
+    if (!line) {
+      return null;
+    }
+
+    const product = await Product.findById(line.product_id);
+
+    if (!product) {
+      throw new AppError('Product not found', 404);
+    }
+
+    await this._checkStock(product, line.variant_id, quantity);
+
+    return Cart.updateQuantity(userId, itemId, quantity);
+  }
+
+  /**
+   * Remove a line from the cart
+   * @param {Number} userId - ID of the customer
+   * @param {Number} itemId - ID of the cart line
+   * @returns {Object|null} - Removed line ID
+   */
+  async removeItem(userId, itemId) {
+    return Cart.removeItem(userId, itemId);
+  }
+
+  /**
+   * Empty the cart
+   * @param {Number} userId - ID of the customer
+   * @returns {Number} - Number of lines removed
+   */
+  async clearCart(userId) {
+    return Cart.clear(userId);
+  }
+
+  /**
+   * Check a product, or one of its variants, has stock for a cart quantity
+   * @param {Object} product - Product with its variants and available stock
+   * @param {Number} variantId - ID of the variant, if the line is for one
+   * @param {Number} quantity - Quantity the cart line would hold
+   * @private
+   */
+  async _checkStock(product, variantId, quantity) {
+    if (variantId) {
+      const variant = await ProductVariant.findById(variantId);
+
+      if (!variant || variant.product_id !== product.id) {
+        throw new AppError('Variant not found for this product', 404);
+      }
+
+      if (variant.available_stock < quantity) {
+        throw new AppError(`Only ${Math.max(variant.available_stock, 0)} unit(s) of this "${product.title}" variant available`, 409);
+      }
+
+      return;
+    }
+
+    if (product.available_stock < quantity) {
+      throw new AppError(`Only ${Math.max(product.available_stock, 0)} unit(s) of "${product.title}" available`, 409);
+    }
+  }
+}
+
+module.exports = new CartService();
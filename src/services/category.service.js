@@ -0,0 +1,136 @@
+const db = require('../config/database');
+const Catalog = require('../models/catalog.model');
+const Category = require('../models/category.model');
+const { slugify } = require('../utils/slug');
+const { AppError, ValidationError } = require('../utils/error');
+const { saveUnique } = require('../utils/db-errors');
+
+class CategoryService {
+  /**
+   * Get the category tree, each category carrying its children in display order
+   * @returns {Array} - Top-level categories
+   */
+  async getTree() {
+    const categories = await Category.findAll();
+
+    const byId = new Map();
+    categories.forEach(category => {
+      byId.set(category.id, { ...category, children: [] });
+    });
+
+    const roots = [];
+    byId.forEach(category => {
+      const parent = category.parent_id && byId.get(category.parent_id);
+
+      if (parent) {
+        parent.children.push(category);
+      } else {
+        roots.push(category);
+      }
+    });
+
+    return roots;
+  }
+
+  /**
+   * Create a category, optionally under a parent
+   * @param {Object} categoryData - Name, slug, parent ID, icon and sort order
+   * @returns {Object} - Created category
+   */
+  async createCategory({ name, slug, parentId, icon, sortOrder }) {
+    const categorySlug = slug ? slugify(slug) : slugify(name);
+
+    if (!categorySlug) {
+      throw new ValidationError('Invalid category', slug
+        ? { slug: 'Slug must contain letters or digits' }
+        : { name: 'Category name must contain letters or digits' });
+    }
+
+    if (parentId) {
+      await this._getCategory(parentId);
+    }
+
+    return saveUnique(() => Category.create({
+      name: name.trim(),
+      slug: categorySlug,
+      parentId,
+      icon,
+      sortOrder
+    }), 'A category with this slug or name already exists here');
+  }
+
+  /**
+   * Update a category
+   * Moving a category takes its subtree with it; renaming it relabels its catalog items.
+   * @param {Number} id - ID of the category
+   * @param {Object} categoryData - Fields to change
+   * @returns {Object} - Updated category
+   */
+  async updateCategory(id, { name, slug, parentId, icon, sortOrder }) {
+    const category = await this._getCategory(id);
+
+    if (slug !== undefined && !slugify(slug)) {
+      throw new ValidationError('Invalid category', { slug: 'Slug must contain letters or digits' });
+    }
+
+    if (parentId) {
+      await this._getCategory(parentId);
+
+      const subtreeIds = await Category.findSubtreeIds(category.id);
+      if (subtreeIds.includes(Number(parentId))) {
+        throw new AppError('A category cannot be moved under itself or one of its subcategories', 400);
+      }
+    }
+
+    return saveUnique(() => db.transaction(async (client) => {
+      const updated = await Category.update(id, {
+        name: name !== undefined ? name.trim() : undefined,
+        slug: slug !== undefined ? slugify(slug) : undefined,
+        // null moves the category to the top level
+        parentId: parentId !== undefined ? parentId || null : undefined,
+        icon,
+        sortOrder
+      }, client);
+
+      if (updated && updated.name !== category.name) {
+        await Catalog.renameCategory(updated.id, updated.name, client);
+      }
+
+      return updated || category;
+    }), 'A category with this slug or name already exists here');
+  }
+
+  /**
+   * Delete a category that has no subcategories or catalog items
+   * @param {Number} id - ID of the category
+   */
+  async deleteCategory(id) {
+    await this._getCategory(id);
+
+    const { children, items } = await Category.countDependants(id);
+
+    if (children > 0 || items > 0) {
+      throw new AppError(`Category still has ${children} subcategories and ${items} catalog items`, 409);
+    }
+
+    await Category.delete(id);
+  }
+
+  /**
+   * Load a category or fail with 404
+   * @param {Number} id - ID of the category
+   * @returns {Object} - Category
+   * @private
+   */
+  async _getCategory(id) {
+    const category = await Category.findById(id);
+
+    if (!category) {
+      throw new AppError(`Category ${id} not found`, 404);
+    }
+
+    return category;
+  }
+}
+
+module.exports = new CategoryService();
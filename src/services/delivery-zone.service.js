@@ -0,0 +1,165 @@
+const DeliveryZone = require('../models/delivery-zone.model');
+const Shop = require('../models/shop.model');
+const { pointInPolygon } = require('../utils/geo');
+const { getOwnedShop } = require('../utils/ownership');
+const { AppError, ValidationError } = require('../utils/error');
+
+const MAX_ZONES_PER_SHOP = parseInt(process.env.DELIVERY_ZONE_MAX_PER_SHOP) || 10;
+const MAX_ZONE_VERTICES = parseInt(process.env.DELIVERY_ZONE_MAX_VERTICES) || 1000;
+const MAX_ZONE_AREA_KM2 = parseFloat(process.env.DELIVERY_ZONE_MAX_AREA_KM2) || 2500;
+
+class DeliveryZoneService {
+  /**
+   * Get a shop's delivery zones
+   * @param {Number} shopId - ID of the shop
+   * @returns {Array} - Zones with their polygons as GeoJSON
+   */
+  async getZones(shopId) {
+    const shop = await Shop.findById(shopId);
+
+    if (!shop) {
+      throw new AppError('Shop not found', 404);
+    }
+
+    return DeliveryZone.findByShopId(shopId);
+  }
+
+  /**
+   * Add a delivery zone to a shop
+   * @param {Number} shopId - ID of the shop
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @param {Object} zoneData - Name, GeoJSON Polygon and active flag
+   * @returns {Object} - Created zone
+   */
+  async createZone(shopId, user, { name, area, isActive }) {
+    await getOwnedShop(shopId, user, 'manage delivery zones');
+
+    const zones = await DeliveryZone.findByShopId(shopId);
+    if (zones.length >= MAX_ZONES_PER_SHOP) {
+      throw new AppError(`A shop can have at most ${MAX_ZONES_PER_SHOP} delivery zones`, 400);
+    }
+
+    const polygon = await this._checkArea(area);
+
+    return DeliveryZone.create({ shopId, name, area: polygon, isActive });
+  }
+
+  /**
+   * Rename, redraw or switch a delivery zone on or off
+   * @param {Number} shopId - ID of the shop
+   * @param {Number} zoneId - ID of the zone
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @param {Object} zoneData - Name, GeoJSON Polygon and/or active flag
+   * @returns {Object} - Updated zone
+   */
+  async updateZone(shopId, zoneId, user, { name, area, isActive }) {
+    const zone = await this._getShopZone(shopId, zoneId, user);
+
+    const polygon = area !== undefined ? await this._checkArea(area) : undefined;
+
+    const updated = await DeliveryZone.update(zoneId, { name, area: polygon, isActive });
+    return updated || zone;
+  }
+
+  /**
+   * Delete a delivery zone
+   * @param {Number} shopId - ID of the shop
+   * @param {Number} zoneId - ID of the zone
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @returns {Object} - Deleted zone ID
+   */
+  async deleteZone(shopId, zoneId, user) {
+    await this._getShopZone(shopId, zoneId, user);
+    return DeliveryZone.delete(zoneId);
+  }
+
+  /**
+   * Check a GeoJSON Polygon is well formed, valid and of a sensible size
+   * Unclosed rings are closed for the caller.
+   * @param {Object} area - GeoJSON Polygon ({ type, coordinates: [outerRing, ...holes] })
+   * @returns {Object} - Polygon ready to store
+   * @private
+   */
+  async _checkArea(area) {
+    if (!area || area.type !== 'Polygon' || !Array.isArray(area.coordinates) || area.coordinates.length === 0) {
+      throw new ValidationError('Invalid delivery zone', { area: 'Area must be a GeoJSON Polygon' });
+    }
+
+    let vertexCount = 0;
+
+    const rings = area.coordinates.map((ring, ringIndex) => {
+      if (!Array.isArray(ring) || ring.length === 0) {
+        throw new ValidationError('Invalid delivery zone', { area: `Ring ${ringIndex} must be an array of [longitude, latitude] positions` });
+      }
+
+      ring.forEach((position, i) => {
+        const valid = Array.isArray(position) && position.length >= 2
+          && Number.isFinite(position[0]) && Math.abs(position[0]) <= 180
+          && Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+
+        if (!valid) {
+          throw new ValidationError('Invalid delivery zone', { area: `Position ${i} of ring ${ringIndex} must be [longitude, latitude]` });
+        }
+      });
+
+      const [first, last] = [ring[0], ring[ring.length - 1]];
+      const closed = first[0] === last[0] && first[1] === last[1];
+      const closedRing = (closed ? ring : [...ring, first]).map(position => position.slice(0, 2));
+
+      if (closedRing.length < 4) {
+        throw new ValidationError('Invalid delivery zone', { area: `Ring ${ringIndex} needs at least 3 distinct corners` });
+      }
+
+      vertexCount += closedRing.length;
+      return closedRing;
+    });
+
+    if (vertexCount > MAX_ZONE_VERTICES) {
+      throw new ValidationError('Invalid delivery zone', { area: `Area may have at most ${MAX_ZONE_VERTICES} points` });
+    }
+
+    // Holes must sit inside the outer boundary
+    const [outer, ...holes] = rings;
+    holes.forEach((hole, i) => {
+      if (!hole.every(position => pointInPolygon(position, outer))) {
+        throw new ValidationError('Invalid delivery zone', { area: `Hole ${i + 1} is not inside the outer boundary` });
+      }
+    });
+
+    const polygon = { type: 'Polygon', coordinates: rings };
+    const check = await DeliveryZone.checkArea(polygon);
+
+    // e.g. 'Self-intersection[77.6 12.9]'
+    if (!check.valid) {
+      throw new ValidationError('Invalid delivery zone', { area: `Area is not a valid polygon: ${check.reason}` });
+    }
+
+    if (check.area_km2 > MAX_ZONE_AREA_KM2) {
+      throw new ValidationError('Invalid delivery zone', { area: `Area may cover at most ${MAX_ZONE_AREA_KM2} km²` });
+    }
+
+    return polygon;
+  }
+
+  /**
+   * Load a zone and check it belongs to a shop the user owns
+   * @param {Number} shopId - ID of the shop
+   * @param {Number} zoneId - ID of the zone
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @returns {Object} - Zone
+   * @private
+   */
+  async _getShopZone(shopId, zoneId, user) {
+    await getOwnedShop(shopId, user, 'manage delivery zones');
+
+    const zone = await DeliveryZone.findById(zoneId);
+
+    if (!zone || zone.shop_id !== Number(shopId)) {
+      throw new AppError('Delivery zone not found', 404);
+    }
+
+    return zone;
+  }
+}
+
+module.exports = new DeliveryZoneService();
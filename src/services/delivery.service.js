@@ -0,0 +1,189 @@
+const DeliverySettings = require('../models/delivery-settings.model');
+const DeliveryZone = require('../models/delivery-zone.model');
+const Shop = require('../models/shop.model');
+const { getOwnedShop } = require('../utils/ownership');
+const { haversineDistance } = require('../utils/geo');
+const { AppError, ValidationError } = require('../utils/error');
+
+const MAX_FEE_TIERS = 20;
+
+class DeliveryService {
+  /**
+   * Get a shop's delivery pricing
+   * Shops that never configured delivery pricing get inactive defaults.
+   * @param {Number} shopId - ID of the shop
+   * @returns {Object} - Fee tiers, minimum order value, maximum distance and active flag
+   */
+  async getSettings(shopId) {
+    const shop = await Shop.findById(shopId);
+
+    if (!shop) {
+      throw new AppError('Shop not found', 404);
+    }
+
+    const settings = await DeliverySettings.findByShopId(shopId);
+
+    return settings || {
+      shop_id: shop.id,
+      fee_tiers: [],
+      min_order_value: 0,
+      max_distance_km: null,
+      is_active: false
+    };
+  }
+
+  /**
+   * Set a shop's delivery pricing; fields left out keep their current value
+   * e.g. feeTiers [{ upToKm: 2, fee: 0 }, { upToKm: 5, fee: 30 }] is free under 2 km and 30 under 5 km
+   * @param {Number} shopId - ID of the shop
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @param {Object} settingsData - Fee tiers, minimum order value, maximum distance and active flag
+   * @returns {Object} - Saved settings
+   */
+  async updateSettings(shopId, user, { feeTiers, minOrderValue, maxDistanceKm, isActive }) {
+    await getOwnedShop(shopId, user, 'manage delivery');
+
+    // Saving pricing for the first time switches delivery on
+    const current = await DeliverySettings.findByShopId(shopId);
+
+    return DeliverySettings.upsert(shopId, {
+      feeTiers: feeTiers !== undefined ? this._cleanTiers(feeTiers) : (current ? current.fee_tiers : []),
+      minOrderValue: minOrderValue !== undefined ? Number(minOrderValue) : (current ? current.min_order_value : 0),
+      maxDistanceKm: maxDistanceKm !== undefined ? maxDistanceKm : (current ? current.max_distance_km : null),
+      isActive: isActive !== undefined ? isActive : (current ? current.is_active : true)
+    });
+  }
+
+  /**
+   * Quote delivery from a shop to a customer location
+   * Distance is measured in a straight line from the shop. When the shop has drawn delivery
+   * zones the location must also fall inside one of them.
+   * @param {Number} shopId - ID of the shop
+   * @param {Object} destination - Customer's lat/lng and, optionally, the order subtotal
+   * @returns {Object} - Distance, fee, minimum order and whether delivery is possible (with reasons if not)
+   */
+  async quote(shopId, { lat, lng, subtotal }) {
+    const shop = await Shop.findById(shopId);
+
+    if (!shop || !shop.is_approved) {
+      throw new AppError('Shop not found', 404);
+    }
+
+    const settings = await DeliverySettings.findByShopId(shopId);
+    const coverage = await DeliveryZone.findCovering(shopId, lat, lng);
+    const distanceKm = haversineDistance(shop.latitude, shop.longitude, lat, lng);
+
+    const pricing = settings && settings.is_active ? settings : null;
+    const offersDelivery = Boolean(pricing) || coverage.zone_count > 0;
+    const maxDistanceKm = this._maxDistance(pricing);
+    const minimumOrderValue = pricing ? pricing.min_order_value : 0;
+    const reasons = [];
+
+    if (!offersDelivery) {
+      reasons.push('This shop does not deliver');
+    } else {
+      if (coverage.zone_count > 0 && !coverage.zone_id) {
+        reasons.push('The address is outside the shop\'s delivery zones');
+      }
+
+      if (maxDistanceKm !== null && distanceKm > maxDistanceKm) {
+        reasons.push(`The address is ${distanceKm.toFixed(1)} km away; the shop delivers up to ${maxDistanceKm} km`);
+      }
+    }
+
+    const hasSubtotal = subtotal !== undefined && subtotal !== null;
+
+    if (offersDelivery && hasSubtotal && subtotal < minimumOrderValue) {
+      reasons.push(`Delivery orders from this shop must be at least ${minimumOrderValue.toFixed(2)}`);
+    }
+
+    return {
+      shopId: shop.id,
+      distanceKm: Math.round(distanceKm * 100) / 100,
+      deliverable: reasons.length === 0,
+      fee: offersDelivery ? this._feeFor(distanceKm, pricing) : null,
+      minimumOrderValue,
+      subtotal: hasSubtotal ? subtotal : null,
+      shortfall: hasSubtotal ? Math.max(0, Math.round((minimumOrderValue - subtotal) * 100) / 100) : null,
+      zoneId: coverage.zone_id || null,
+      reasons
+    };
+  }
+
+  /**
+   * Fee for a distance: the first tier reaching that far, free when no tiers are set
+   * @param {Number} distanceKm - Distance from the shop
+   * @param {Object|null} settings - Active delivery settings
+   * @returns {Number|null} - Fee, or null beyond the last tier
+   * @private
+   */
+  _feeFor(distanceKm, settings) {
+    const tiers = settings ? settings.fee_tiers : [];
+
+    if (tiers.length === 0) {
+      return 0;
+    }
+
+    const tier = tiers.find(candidate => distanceKm <= candidate.upToKm);
+    return tier ? tier.fee : null;
+  }
+
+  /**
+   * Furthest a shop delivers: its maximum distance or last fee tier, whichever is nearer
+   * @param {Object|null} settings - Active delivery settings
+   * @returns {Number|null} - Distance in km, or null when unlimited
+   * @private
+   */
+  _maxDistance(settings) {
+    if (!settings) {
+      return null;
+    }
+
+    const limits = [settings.max_distance_km];
+    if (settings.fee_tiers.length > 0) {
+      limits.push(settings.fee_tiers[settings.fee_tiers.length - 1].upToKm);
+    }
+
+    const set = limits.filter(limit => limit !== null && limit !== undefined);
+    return set.length > 0 ? Math.min(...set) : null;
+  }
+
+  /**
+   * Check fee tiers and sort them by distance
+   * @param {Array} tiers - Tiers ({ upToKm, fee })
+   * @returns {Array} - Tiers sorted nearest first
+   * @private
+   */
+  _cleanTiers(tiers) {
+    if (!Array.isArray(tiers) || tiers.length > MAX_FEE_TIERS) {
+      throw new ValidationError('Invalid delivery settings', { feeTiers: `Fee tiers must be a list of at most ${MAX_FEE_TIERS} tiers` });
+    }
+
+    const cleaned = tiers.map((tier, i) => {
+      const upToKm = Number(tier && tier.upToKm);
+      const fee = Number(tier && tier.fee);
+
+      if (!Number.isFinite(upToKm) || upToKm <= 0) {
+        throw new ValidationError('Invalid delivery settings', { feeTiers: `Tier ${i + 1} needs a distance (upToKm) above 0` });
+      }
+
+      if (!Number.isFinite(fee) || fee < 0) {
+        throw new ValidationError('Invalid delivery settings', { feeTiers: `Tier ${i + 1} needs a fee of 0 or more` });
+      }
+
+      return { upToKm, fee: Math.round(fee * 100) / 100 };
+    });
+
+    cleaned.sort((a, b) => a.upToKm - b.upToKm);
+
+    cleaned.forEach((tier, i) => {
+      if (i > 0 && tier.upToKm === cleaned[i - 1].upToKm) {
+        throw new ValidationError('Invalid delivery settings', { feeTiers: `Two tiers end at ${tier.upToKm} km` });
+      }
+    });
+
+    return cleaned;
+  }
+}
+
+module.exports = new DeliveryService();
@@ -0,0 +1,125 @@
+const osrmRouting = require('./routing/osrm.routing');
+const speedRouting = require('./routing/speed.routing');
+
+const ROUTING_BACKENDS = {
+  [osrmRouting.name]: osrmRouting,
+  [speedRouting.name]: speedRouting
+};
+
+// An OSRM server when one is configured, otherwise speed-based estimates
+const ROUTING_PROVIDER = process.env.ROUTING_PROVIDER || (process.env.ROUTING_OSRM_URL ? 'osrm' : 'estimate');
+
+// One deadline for the routing server across both modes; past it the estimate is used
+const ROUTING_TIMEOUT_MS = parseInt(process.env.ROUTING_TIMEOUT_MS) || 2000;
+
+const TRAVEL_MODES = ['walking', 'driving'];
+
+class EtaService {
+  constructor() {
+    // The estimate never fails, so it always closes the chain
+    this.backends = [ROUTING_PROVIDER, speedRouting.name]
+      .filter((name, i, names) => names.indexOf(name) === i)
+      .map(name => {
+        if (!ROUTING_BACKENDS[name]) {
+          throw new Error(`Unknown routing provider "${name}"; use one of: ${Object.keys(ROUTING_BACKENDS).join(', ')}`);
+        }
+
+        return ROUTING_BACKENDS[name];
+      });
+  }
+
+  /**
+   * Add walking and driving times from a point to each place
+   * Each place gains walking_minutes and driving_minutes (null where no route exists) and
+   * eta_estimated, true when the times come from average speeds rather than the road network.
+   * @param {Object} origin - { latitude, longitude }
+   * @param {Array} places - Rows with latitude and longitude, e.g. nearby shops
+   * @returns {Array} - The places with travel times, in the same order
+   */
+  async annotate(origin, places) {
+    if (places.length === 0) {
+      return places;
+    }
+
+    // Both modes are requested at once and share the deadline
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), ROUTING_TIMEOUT_MS);
+
+    let walking;
+    let driving;
+    try {
+      [walking, driving] = await Promise.all(
+        TRAVEL_MODES.map(mode => this._durations(origin, places, mode, controller.signal))
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+
+    return places.map((place, i) => ({
+      ...place,
+      walking_minutes: this._toMinutes(walking.seconds[i]),
+      driving_minutes: this._toMinutes(driving.seconds[i]),
+      eta_estimated: walking.backend === speedRouting.name || driving.backend === speedRouting.name
+    }));
+  }
+
+  /**
+   * Sort annotated places by travel time, quickest first and unreachable last
+   * Equal times keep the nearer place first.
+   * @param {Array} places - Places annotated by annotate()
+   * @param {String} mode - 'walking' or 'driving'
+   * @returns {Array} - Sorted copy of the places
+   */
+  sortByEta(places, mode) {
+    const key = `${mode}_minutes`;
+
+    return [...places].sort((a, b) => {
+      if (a[key] === null || b[key] === null) {
+        return (a[key] === null) - (b[key] === null);
+      }
+
+      return a[key] - b[key] || (a.distance || 0) - (b.distance || 0);
+    });
+  }
+
+  /**
+   * Ask each routing backend in turn for travel times in one mode
+   * @param {Object} origin - { latitude, longitude }
+   * @param {Array} places - Destinations
+   * @param {String} mode - 'walking' or 'driving'
+   * @param {AbortSignal} signal - Aborted when the routing deadline passes
+   * @returns {Object} - Seconds per place and the backend that answered
+   * @private
+   */
+  async _durations(origin, places, mode, signal) {
+    let lastError = null;
+
+    for (const backend of this.backends) {
+      try {
+        const seconds = await backend.durations(origin, places, mode, signal);
+        return { seconds, backend: backend.name };
+      } catch (error) {
+        console.error(`${backend.name} ${mode} routing failed:`, error.message);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Round a travel time up to whole minutes
+   * @param {Number|null} seconds - Travel time
+   * @returns {Number|null} - Minutes, at least 1; null when there is no route
+   * @private
+   */
+  _toMinutes(seconds) {
+    if (seconds === null || seconds === undefined) {
+      return null;
+    }
+
+    return Math.max(1, Math.ceil(seconds / 60));
+  }
+}
+
+module.exports = new EtaService();
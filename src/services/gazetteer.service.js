@@ -0,0 +1,134 @@
+const pool = require('../config/database');
+const Gazetteer = require('../models/gazetteer.model');
+const { getFileFormat, parseSheetRows } = require('../utils/spreadsheet');
+const { AppError } = require('../utils/error');
+
+const PLACE_TYPES = ['landmark', 'locality', 'pincode', 'city', 'district', 'state'];
+
+const MAX_ROWS = parseInt(process.env.GAZETTEER_IMPORT_MAX_ROWS) || 200000;
+
+// Rows written per INSERT while importing
+const INSERT_BATCH_SIZE = 500;
+
+// Row errors returned in the import report; the rest are only counted
+const MAX_REPORTED_ERRORS = 100;
+
+class GazetteerService {
+  /**
+   * Import places into the local gazetteer from a CSV/XLSX file
+   * Columns: name, place_type, pincode, city, district, state, country, latitude, longitude.
+   * Rows matching an existing place (same type, name and pincode) update it, so a
+   * file can be re-imported after corrections. Invalid rows are skipped and reported.
+   * @param {Object} file - Multer file (buffer, originalname)
+   * @returns {Object} - Counts of created, updated and failed rows with the first row errors
+   */
+  async importPlaces(file) {
+    const format = getFileFormat(file.originalname);
+    const rows = parseSheetRows(file.buffer, format, MAX_ROWS);
+
+    if (rows.length === 0) {
+      throw new AppError('The file has no place rows', 400);
+    }
+
+    const rowErrors = [];
+    const places = new Map();
+
+    rows.forEach((row, i) => {
+      // Header is row 1 in the uploaded sheet
+      const rowNumber = i + 2;
+      const { place, errors } = this._parsePlace(row);
+
+      if (!place) {
+        rowErrors.push({ row: rowNumber, errors });
+        return;
+      }
+
+      // A place listed twice keeps its last row
+      places.set(`${place.placeType}|${place.name.toLowerCase()}|${place.pincode || ''}`, place);
+    });
+
+    const batches = [];
+    const validPlaces = [...places.values()];
+    for (let i = 0; i < validPlaces.length; i += INSERT_BATCH_SIZE) {
+      batches.push(validPlaces.slice(i, i + INSERT_BATCH_SIZE));
+    }
+
+    const counts = await pool.transaction(async (client) => {
+      const totals = { created: 0, updated: 0 };
+
+      for (const batch of batches) {
+        const { created, updated } = await Gazetteer.upsertMany(batch, client);
+        totals.created += created;
+        totals.updated += updated;
+      }
+
+      return totals;
+    });
+
+    return {
+      totalRows: rows.length,
+      createdCount: counts.created,
+      updatedCount: counts.updated,
+      duplicateCount: rows.length - rowErrors.length - validPlaces.length,
+      failedCount: rowErrors.length,
+      rowErrors: rowErrors.slice(0, MAX_REPORTED_ERRORS)
+    };
+  }
+
+  /**
+   * Check one row and turn it into a place
+   * @param {Object} row - Parsed row keyed by column name
+   * @returns {Object} - { place } or { errors } (field name to message)
+   * @private
+   */
+  _parsePlace(row) {
+    const errors = {};
+    const placeType = (row.place_type || 'locality').toLowerCase();
+    const latitude = Number(row.latitude);
+    const longitude = Number(row.longitude);
+
+    if (!row.name) {
+      errors.name = 'Name is required';
+    }
+
+    if (!PLACE_TYPES.includes(placeType)) {
+      errors.place_type = `Place type must be one of: ${PLACE_TYPES.join(', ')}`;
+    }
+
+    if (row.pincode && !/^\d{6}$/.test(row.pincode)) {
+      errors.pincode = 'Pincode must be 6 digits';
+    }
+
+    if (placeType === 'pincode' && !row.pincode) {
+      errors.pincode = 'Pincode rows need a pincode';
+    }
+
+    if (row.latitude === '' || !Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+      errors.latitude = 'Latitude must be between -90 and 90';
+    }
+
+    if (row.longitude === '' || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+      errors.longitude = 'Longitude must be between -180 and 180';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return { errors };
+    }
+
+    return {
+      place: {
+        name: row.name,
+        placeType,
+        pincode: row.pincode || null,
+        city: row.city || null,
+        district: row.district || null,
+        state: row.state || null,
+        country: row.country || 'India',
+        latitude,
+        longitude
+      }
+    };
+  }
+}
+
+module.exports = new GazetteerService();
@@ -0,0 +1,87 @@
+const Shop = require('../models/shop.model');
+const DeliveryZone = require('../models/delivery-zone.model');
+const { featureCollectionToKml } = require('../utils/kml');
+
+// Exported unless the request names other statuses
+const DEFAULT_STATUSES = ['approved', 'pending'];
+
+const CONTENT_TYPES = {
+  geojson: 'application/geo+json',
+  kml: 'application/vnd.google-earth.kml+xml'
+};
+
+class GeoExportService {
+  /**
+   * Export shops as map points
+   * @param {Object} options - statuses (defaults to approved and pending), bounds ({ minLat, maxLat, minLon, maxLon }) and format ('geojson' or 'kml')
+   * @returns {Object} - File body, name and content type
+   */
+  async exportShops({ statuses = DEFAULT_STATUSES, bounds, format = 'geojson' } = {}) {
+    const shops = await Shop.findForExport({ statuses, bounds });
+
+    const features = shops.map(shop => ({
+      type: 'Feature',
+      id: shop.id,
+      geometry: { type: 'Point', coordinates: [shop.longitude, shop.latitude] },
+      properties: {
+        id: shop.id,
+        name: shop.name,
+        address: shop.address,
+        status: shop.status,
+        category: shop.category,
+        product_count: shop.product_count,
+        created_at: shop.created_at ? new Date(shop.created_at).toISOString() : null
+      }
+    }));
+
+    return this._file({ type: 'FeatureCollection', features }, 'shops', format);
+  }
+
+  /**
+   * Export shop delivery zones as map polygons
+   * @param {Object} options - statuses of the owning shops (defaults to approved and pending), bounds and format ('geojson' or 'kml')
+   * @returns {Object} - File body, name and content type
+   */
+  async exportServiceAreas({ statuses = DEFAULT_STATUSES, bounds, format = 'geojson' } = {}) {
+    const zones = await DeliveryZone.findForExport({ statuses, bounds });
+
+    const features = zones.map(zone => ({
+      type: 'Feature',
+      id: zone.id,
+      geometry: zone.area,
+      properties: {
+        id: zone.id,
+        name: zone.name || `${zone.shop_name} delivery zone`,
+        shop_id: zone.shop_id,
+        shop_name: zone.shop_name,
+        shop_status: zone.shop_status,
+        is_active: zone.is_active,
+        area_km2: zone.area_km2
+      }
+    }));
+
+    return this._file({ type: 'FeatureCollection', features }, 'service-areas', format);
+  }
+
+  /**
+   * Encode a FeatureCollection in the requested format
+   * @param {Object} collection - GeoJSON FeatureCollection
+   * @param {String} name - Base file name
+   * @param {String} format - 'geojson' or 'kml'
+   * @returns {Object} - File body, name and content type
+   * @private
+   */
+  _file(collection, name, format) {
+    const body = format === 'kml'
+      ? featureCollectionToKml(collection, name)
+      : JSON.stringify(collection);
+
+    return {
+      body,
+      fileName: `${name}.${format}`,
+      contentType: CONTENT_TYPES[format]
+    };
+  }
+}
+
+module.exports = new GeoExportService();
@@ -0,0 +1,134 @@
+const axios = require('axios');
+const { GOOGLE_MAPS_API_KEY } = process.env;
+
+const GEOCODE_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
+const NEARBY_SEARCH_URL = 'https://maps.googleapis.com/maps/api/place/nearbysearch/json';
+
+/**
+ * Geocoding through the Google Maps Geocoding and Places APIs
+ * Every call is billed, so LocationService caches its answers.
+ */
+class GoogleGeocoder {
+  constructor() {
+    this.name = 'google';
+    this.cacheable = true;
+  }
+
+  /**
+   * Geocode an address to coordinates
+   * @param {String} address - Address to geocode
+   * @returns {Object|null} - Coordinates and address components, or null when nothing matches
+   */
+  async geocode(address) {
+    const data = await this._get(GEOCODE_URL, { address });
+
+    if (data.status === 'ZERO_RESULTS') {
+      return null;
+    }
+
+    const result = data.results[0];
+    const { lat, lng } = result.geometry.location;
+
+    return {
+      latitude: lat,
+      longitude: lng,
+      formattedAddress: result.formatted_address,
+      addressComponents: this._addressComponents(result)
+    };
+  }
+
+  /**
+   * Reverse geocode coordinates to address
+   * @param {Number} latitude - Latitude
+   * @param {Number} longitude - Longitude
+   * @returns {Object|null} - Address and address components, or null when nothing matches
+   */
+  async reverse(latitude, longitude) {
+    const data = await this._get(GEOCODE_URL, { latlng: `${latitude},${longitude}` });
+
+    if (data.status === 'ZERO_RESULTS') {
+      return null;
+    }
+
+    const result = data.results[0];
+
+    return {
+      formattedAddress: result.formatted_address,
+      addressComponents: this._addressComponents(result)
+    };
+  }
+
+  /**
+   * Get places nearby a location
+   * @param {Number} latitude - Latitude
+   * @param {Number} longitude - Longitude
+   * @param {Number} radius - Radius in meters
+   * @param {String} type - Place type
+   * @returns {Array} - Array of nearby places
+   */
+  async nearbyPlaces(latitude, longitude, radius, type) {
+    const params = {
+      location: `${latitude},${longitude}`,
+      radius
+    };
+
+    if (type) {
+      params.type = type;
+    }
+
+    const data = await this._get(NEARBY_SEARCH_URL, params);
+
+    return data.results.map(place => ({
+      id: place.place_id,
+      name: place.name,
+      address: place.vicinity,
+      latitude: place.geometry.location.lat,
+      longitude: place.geometry.location.lng,
+      types: place.types,
+      rating: place.rating,
+      userRatingsTotal: place.user_ratings_total
+    }));
+  }
+
+  /**
+   * Call a Maps API endpoint, failing on anything but a result or an empty answer
+   * @param {String} url - Endpoint
+   * @param {Object} params - Query parameters, without the key
+   * @returns {Object} - Response body
+   * @private
+   */
+  async _get(url, params) {
+    if (!GOOGLE_MAPS_API_KEY) {
+      throw new Error('GOOGLE_MAPS_API_KEY is not set');
+    }
+
+    const response = await axios.get(url, {
+      params: { ...params, key: GOOGLE_MAPS_API_KEY }
+    });
+
+    if (response.data.status !== 'OK' && response.data.status !== 'ZERO_RESULTS') {
+      throw new Error(`Google Maps request failed: ${response.data.status}`);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Collapse a result's address components into { type: long name }
+   * @param {Object} result - Geocoding result
+   * @returns {Object} - e.g. { locality: 'Bengaluru', postal_code: '560038' }
+   * @private
+   */
+  _addressComponents(result) {
+    const addressComponents = {};
+    result.address_components.forEach(component => {
+      component.types.forEach(type => {
+        addressComponents[type] = component.long_name;
+      });
+    });
+
+    return addressComponents;
+  }
+}
+
+module.exports = new GoogleGeocoder();
@@ -0,0 +1,130 @@
+const Gazetteer = require('../../models/gazetteer.model');
+
+// How far from the nearest gazetteer place a point may be and still be named after it
+const REVERSE_MAX_DISTANCE_M = parseInt(process.env.GEOCODER_LOCAL_REVERSE_MAX_DISTANCE_M) || 5000;
+
+const PINCODE_PATTERN = /\b(\d{6})\b/;
+
+/**
+ * Geocoding against the imported gazetteer of localities, pincodes and cities
+ * Works offline and costs nothing, at the precision of the gazetteer: a locality's
+ * centre rather than the building.
+ */
+class LocalGeocoder {
+  constructor() {
+    this.name = 'local';
+    this.cacheable = false;
+  }
+
+  /**
+   * Geocode an address to the gazetteer place it names, preferring its pincode
+   * @param {String} address - Address to geocode
+   * @returns {Object|null} - Coordinates and address components, or null when nothing matches
+   */
+  async geocode(address) {
+    const pincodeMatch = address.match(PINCODE_PATTERN);
+
+    // Address lines without their numbers, e.g. '12 MG Road' stays but '560038' goes
+    const parts = address
+      .split(/[,\n;]+/)
+      .map(part => part.replace(PINCODE_PATTERN, '').trim())
+      .filter(part => part && !/^[\d\s/-]+$/.test(part));
+
+    const place = await Gazetteer.findBestMatch(parts, pincodeMatch ? pincodeMatch[1] : null);
+
+    if (!place) {
+      return null;
+    }
+
+    return {
+      latitude: place.latitude,
+      longitude: place.longitude,
+      formattedAddress: this._formatAddress(place),
+      addressComponents: this._addressComponents(place)
+    };
+  }
+
+  /**
+   * Reverse geocode coordinates to the nearest gazetteer place
+   * @param {Number} latitude - Latitude
+   * @param {Number} longitude - Longitude
+   * @returns {Object|null} - Address and address components, or null when no place is close enough
+   */
+  async reverse(latitude, longitude) {
+    const place = await Gazetteer.findNearest(latitude, longitude, REVERSE_MAX_DISTANCE_M);
+
+    if (!place) {
+      return null;
+    }
+
+    return {
+      formattedAddress: this._formatAddress(place),
+      addressComponents: this._addressComponents(place)
+    };
+  }
+
+  /**
+   * Get gazetteer places nearby a location
+   * @param {Number} latitude - Latitude
+   * @param {Number} longitude - Longitude
+   * @param {Number} radius - Radius in meters
+   * @param {String} type - Gazetteer place type, e.g. 'landmark'
+   * @returns {Array} - Array of nearby places
+   */
+  async nearbyPlaces(latitude, longitude, radius, type) {
+    const places = await Gazetteer.findNearby(latitude, longitude, radius, type);
+
+    return places.map(place => ({
+      id: `gazetteer:${place.id}`,
+      name: place.name,
+      address: this._formatAddress(place),
+      latitude: place.latitude,
+      longitude: place.longitude,
+      types: [place.place_type],
+      rating: null,
+      userRatingsTotal: null
+    }));
+  }
+
+  /**
+   * Join a place's name and region into one line
+   * @param {Object} place - Gazetteer place
+   * @returns {String} - e.g. 'Indiranagar, Bengaluru, Karnataka 560038, India'
+   * @private
+   */
+  _formatAddress(place) {
+    const region = [place.state, place.pincode].filter(Boolean).join(' ');
+    const parts = [place.name, place.city, region, place.country].filter(Boolean);
+
+    // Drop repeats such as a city row whose name is its city
+    return parts.filter((part, i) => parts.indexOf(part) === i).join(', ');
+  }
+
+  /**
+   * Name a place's fields after Google's address component types, so callers see one shape
+   * @param {Object} place - Gazetteer place
+   * @returns {Object} - e.g. { sublocality: 'Indiranagar', locality: 'Bengaluru', postal_code: '560038' }
+   * @private
+   */
+  _addressComponents(place) {
+    const addressComponents = {};
+    const nameType = {
+      landmark: 'point_of_interest',
+      locality: 'sublocality',
+      city: 'locality',
+      district: 'administrative_area_level_2',
+      state: 'administrative_area_level_1'
+    }[place.place_type];
+
+    if (nameType) addressComponents[nameType] = place.name;
+    if (place.city) addressComponents.locality = place.city;
+    if (place.district) addressComponents.administrative_area_level_2 = place.district;
+    if (place.state) addressComponents.administrative_area_level_1 = place.state;
+    if (place.pincode) addressComponents.postal_code = place.pincode;
+    if (place.country) addressComponents.country = place.country;
+
+    return addressComponents;
+  }
+}
+
+module.exports = new LocalGeocoder();
@@ -0,0 +1,125 @@
+const db = require('../config/database');
+const Product = require('../models/product.model');
+const ProductVariant = require('../models/product-variant.model');
+const StockMovement = require('../models/stock-movement.model');
+const { getOwnedProduct } = require('../utils/ownership');
+const { AppError } = require('../utils/error');
+
+// Movement types that take stock out; restock and return put it back,
+// adjustment carries its own sign
+const OUTBOUND_TYPES = ['sale', 'reservation'];
+const INBOUND_TYPES = ['restock', 'return'];
+
+class InventoryService {
+  /**
+   * Change a product's (or variant's) stock and record the movement on a transaction client
+   * Sales and reservation pickups may not dip into units other customers have on hold.
+   * @param {Object} movement - Product ID, optional variant ID, type, signed quantity, actor, reason and reference
+   * @param {Object} client - Transaction client
+   * @returns {Object} - Recorded movement
+   */
+  async applyMovement({ productId, variantId, type, quantity, actorId, reason, referenceType, referenceId }, client) {
+    const respectHolds = OUTBOUND_TYPES.includes(type);
+    const updated = variantId
+      ? await ProductVariant.adjustStock(variantId, quantity, { respectHolds }, client)
+      : await Product.adjustStock(productId, quantity, { respectHolds }, client);
+
+    if (!updated) {
+      throw new AppError('Not enough stock for this movement', 409);
+    }
+
+    return StockMovement.create({
+      productId,
+      variantId,
+      type,
+      quantity,
+      stockAfter: updated.stock,
+      actorId,
+      reason,
+      referenceType,
+      referenceId
+    }, client);
+  }
+
+  /**
+   * Post a manual stock movement for a product the user's shop owns
+   * @param {Number} productId - ID of the product
+   * @param {Object} movementData - Type, quantity, reason and optional variant ID
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @returns {Object} - Recorded movement
+   */
+  async recordMovement(productId, { type, quantity, reason, variantId }, user) {
+    await getOwnedProduct(productId, user, 'manage stock');
+
+    if (variantId) {
+      const variant = await ProductVariant.findById(variantId);
+
+      if (!variant || variant.product_id !== Number(productId)) {
+        throw new AppError('Variant not found for this product', 404);
+      }
+    }
+
+    let delta = parseInt(quantity);
+
+    if (OUTBOUND_TYPES.includes(type)) {
+      delta = -Math.abs(delta);
+    } else if (INBOUND_TYPES.includes(type)) {
+      delta = Math.abs(delta);
+    }
+
+    if (!delta) {
+      throw new AppError('Quantity must not be zero', 400);
+    }
+
+    return db.transaction(async (client) => {
+      return this.applyMovement({
+        productId,
+        variantId,
+        type,
+        quantity: delta,
+        actorId: user.sub,
+        reason
+      }, client);
+    });
+  }
+
+  /**
+   * Get a product's stock history with the ledger balance
+   * @param {Number} productId - ID of the product
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @param {Number} page - Page number
+   * @param {Number} limit - Page size
+   * @param {String} type - Optional movement type filter
+   * @param {Number} variantId - Optional variant to show history for
+   * @returns {Object} - Current stock, ledger balance, movements and pagination
+   */
+  async getStockHistory(productId, user, page, limit, type, variantId = null) {
+    const product = await getOwnedProduct(productId, user, 'manage stock');
+
+    let stock = product.stock;
+
+    if (variantId) {
+      const variant = product.variants.find(v => v.id === Number(variantId));
+
+      if (!variant) {
+        throw new AppError('Variant not found for this product', 404);
+      }
+
+      stock = variant.stock;
+    }
+
+    const ledgerBalance = await StockMovement.getLedgerBalance(productId, variantId);
+    const history = await StockMovement.findByProductId(productId, page, limit, { type, variantId });
+
+    return {
+      productId: product.id,
+      variantId,
+      stock,
+      ledgerBalance,
+      inSync: ledgerBalance === stock,
+      ...history
+    };
+  }
+}
+
+module.exports = new InventoryService();
@@ -0,0 +1,307 @@
+const pool = require('../config/database');
+const Locality = require('../models/locality.model');
+const { getFileFormat, parseSheetRows } = require('../utils/spreadsheet');
+const { AppError } = require('../utils/error');
+
+const MAX_ROWS = parseInt(process.env.LOCALITY_IMPORT_MAX_ROWS) || 50000;
+
+// Localities written per INSERT while importing; boundaries can be large
+const INSERT_BATCH_SIZE = 100;
+
+// Row errors returned in the import report; the rest are only counted
+const MAX_REPORTED_ERRORS = 100;
+
+class LocalityService {
+  /**
+   * Suggest localities as the user types a name or pincode
+   * @param {String} text - Typed text, e.g. 'lajpat' or '5600'
+   * @param {Number} limit - Maximum number of suggestions
+   * @returns {Array} - Matching localities, best first
+   */
+  async autocomplete(text, limit = 10) {
+    const trimmed = (text || '').trim();
+
+    if (trimmed.length < 2) {
+      return [];
+    }
+
+    return Locality.autocomplete(trimmed, limit);
+  }
+
+  /**
+   * Get a locality with its boundary
+   * @param {Number} localityId - ID of the locality
+   * @returns {Object} - Locality, boundary as GeoJSON (null when only a centroid is known)
+   */
+  async getLocality(localityId) {
+    const locality = await Locality.findById(localityId);
+
+    if (!locality) {
+      throw new AppError('Locality not found', 404);
+    }
+
+    return locality;
+  }
+
+  /**
+   * Find the locality a point falls in
+   * @param {Number} latitude - Latitude
+   * @param {Number} longitude - Longitude
+   * @returns {Object} - Locality
+   */
+  async findLocalityAt(latitude, longitude) {
+    const locality = await Locality.findAt(latitude, longitude);
+
+    if (!locality) {
+      throw new AppError('No locality found at this location', 404);
+    }
+
+    return locality;
+  }
+
+  /**
+   * Import localities from a CSV/XLSX sheet of centroids or a GeoJSON FeatureCollection
+   * Sheet columns: name, city, state, pincodes (separated by ; or |), latitude, longitude, radius_m.
+   * GeoJSON features carry a Polygon, MultiPolygon or Point geometry and the same properties.
+   * Localities matching an existing one (same name and city) update it.
+   * @param {Object} file - Multer file (buffer, originalname)
+   * @returns {Object} - Counts of created, updated and failed rows with the first row errors
+   */
+  async importLocalities(file) {
+    const format = getFileFormat(file.originalname, ['csv', 'xlsx', 'geojson', 'json']);
+    const rows = ['geojson', 'json'].includes(format)
+      ? this._parseFeatures(file.buffer)
+      : parseSheetRows(file.buffer, format, MAX_ROWS);
+
+    if (rows.length === 0) {
+      throw new AppError('The file has no localities', 400);
+    }
+
+    if (rows.length > MAX_ROWS) {
+      throw new AppError(`Imports are limited to ${MAX_ROWS} localities per file`, 400);
+    }
+
+    const rowErrors = [];
+    const parsed = new Map();
+
+    rows.forEach((row, i) => {
+      // Sheet rows are numbered from 2 under the header; features from 1
+      const rowNumber = row.geometry !== undefined ? i + 1 : i + 2;
+      const { locality, errors } = this._parseLocality(row);
+
+      if (!locality) {
+        rowErrors.push({ row: rowNumber, errors });
+        return;
+      }
+
+      // A locality listed twice keeps its last row
+      parsed.set(`${locality.name.toLowerCase()}|${(locality.city || '').toLowerCase()}`, { locality, rowNumber });
+    });
+
+    // A boundary can be well formed yet enclose nothing, e.g. a ring folded onto a line
+    const bounded = [...parsed.entries()].filter(([, entry]) => entry.locality.boundary);
+    for (let i = 0; i < bounded.length; i += INSERT_BATCH_SIZE) {
+      const chunk = bounded.slice(i, i + INSERT_BATCH_SIZE);
+      const empty = await Locality.findEmptyBoundaries(chunk.map(([, entry]) => entry.locality.boundary));
+
+      empty.forEach(position => {
+        const [key, entry] = chunk[position];
+        rowErrors.push({ row: entry.rowNumber, errors: { geometry: 'Boundary must enclose an area' } });
+        parsed.delete(key);
+      });
+    }
+
+    rowErrors.sort((a, b) => a.row - b.row);
+
+    const batches = [];
+    const validLocalities = [...parsed.values()].map(entry => entry.locality);
+    for (let i = 0; i < validLocalities.length; i += INSERT_BATCH_SIZE) {
+      batches.push(validLocalities.slice(i, i + INSERT_BATCH_SIZE));
+    }
+
+    const counts = await pool.transaction(async (client) => {
+      const totals = { created: 0, updated: 0 };
+
+      for (const batch of batches) {
+        const { created, updated } = await Locality.upsertMany(batch, client);
+        totals.created += created;
+        totals.updated += updated;
+      }
+
+      return totals;
+    });
+
+    return {
+      totalRows: rows.length,
+      createdCount: counts.created,
+      updatedCount: counts.updated,
+      duplicateCount: rows.length - rowErrors.length - validLocalities.length,
+      failedCount: rowErrors.length,
+      rowErrors: rowErrors.slice(0, MAX_REPORTED_ERRORS)
+    };
+  }
+
+  /**
+   * Read a GeoJSON FeatureCollection into rows shaped like sheet rows, plus the geometry
+   * @param {Buffer} buffer - File contents
+   * @returns {Array} - One row per feature
+   * @private
+   */
+  _parseFeatures(buffer) {
+    let collection;
+
+    try {
+      collection = JSON.parse(buffer.toString('utf8'));
+    } catch (error) {
+      throw new AppError(`Could not read GeoJSON file: ${error.message}`, 400);
+    }
+
+    if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+      throw new AppError('GeoJSON file must be a FeatureCollection', 400);
+    }
+
+    return collection.features.map(feature => {
+      const row = { geometry: (feature && feature.geometry) || null };
+      const properties = (feature && feature.properties) || {};
+
+      Object.keys(properties).forEach(key => {
+        const value = properties[key];
+        row[key.trim().toLowerCase().replace(/\s+/g, '_')] = Array.isArray(value)
+          ? value.join(';')
+          : (value === null || value === undefined ? '' : String(value).trim());
+      });
+
+      return row;
+    });
+  }
+
+  /**
+   * Check a Polygon or MultiPolygon boundary is well formed
+   * Each ring needs at least 3 distinct corners as [longitude, latitude]; unclosed rings are closed.
+   * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+   * @returns {Object} - { geometry } ready to store, or { error }
+   * @private
+   */
+  _checkBoundary(geometry) {
+    const polygons = geometry.type === 'Polygon' && Array.isArray(geometry.coordinates)
+      ? [geometry.coordinates]
+      : geometry.coordinates;
+
+    if (!Array.isArray(polygons) || polygons.length === 0) {
+      return { error: `${geometry.type} has no coordinates` };
+    }
+
+    const closedPolygons = [];
+
+    for (const [polygonIndex, rings] of polygons.entries()) {
+      if (!Array.isArray(rings) || rings.length === 0) {
+        return { error: `Polygon ${polygonIndex} must be an array of rings` };
+      }
+
+      const closedRings = [];
+
+      for (const [ringIndex, ring] of rings.entries()) {
+        const label = geometry.type === 'Polygon' ? `Ring ${ringIndex}` : `Ring ${ringIndex} of polygon ${polygonIndex}`;
+
+        const valid = Array.isArray(ring) && ring.length > 0
+          && ring.every(position => Array.isArray(position) && position.length >= 2
+            && Number.isFinite(position[0]) && Math.abs(position[0]) <= 180
+            && Number.isFinite(position[1]) && Math.abs(position[1]) <= 90);
+
+        if (!valid) {
+          return { error: `${label} must be an array of [longitude, latitude] positions` };
+        }
+
+        const [first, last] = [ring[0], ring[ring.length - 1]];
+        const closed = first[0] === last[0] && first[1] === last[1];
+        const closedRing = (closed ? ring : [...ring, first]).map(position => position.slice(0, 2));
+
+        if (closedRing.length < 4) {
+          return { error: `${label} needs at least 3 distinct corners` };
+        }
+
+        closedRings.push(closedRing);
+      }
+
+      closedPolygons.push(closedRings);
+    }
+
+    return {
+      geometry: geometry.type === 'Polygon'
+        ? { type: 'Polygon', coordinates: closedPolygons[0] }
+        : { type: 'MultiPolygon', coordinates: closedPolygons }
+    };
+  }
+
+  /**
+   * Check one row or feature and turn it into a locality
+   * @param {Object} row - Parsed row keyed by column name, with a geometry for GeoJSON features
+   * @returns {Object} - { locality } or { errors } (field name to message)
+   * @private
+   */
+  _parseLocality(row) {
+    const errors = {};
+    const geometry = row.geometry || null;
+    const isArea = geometry && ['Polygon', 'MultiPolygon'].includes(geometry.type);
+    const point = geometry && geometry.type === 'Point' ? geometry.coordinates : null;
+
+    const name = row.name || row.locality;
+    const latitude = point ? Number(point[1]) : (row.latitude !== undefined && row.latitude !== '' ? Number(row.latitude) : null);
+    const longitude = point ? Number(point[0]) : (row.longitude !== undefined && row.longitude !== '' ? Number(row.longitude) : null);
+    const pincodes = String(row.pincodes || row.pincode || '')
+      .split(/[;|,\s]+/)
+      .filter(Boolean);
+    const radiusM = row.radius_m ? Number(row.radius_m) : null;
+
+    if (!name) {
+      errors.name = 'Name is required';
+    }
+
+    if (geometry && !isArea && !point) {
+      errors.geometry = 'Geometry must be a Polygon, MultiPolygon or Point';
+    }
+
+    const boundary = isArea ? this._checkBoundary(geometry) : null;
+
+    if (boundary && boundary.error) {
+      errors.geometry = boundary.error;
+    }
+
+    if (!isArea) {
+      if (latitude === null || !Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+        errors.latitude = 'Latitude must be between -90 and 90';
+      }
+
+      if (longitude === null || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+        errors.longitude = 'Longitude must be between -180 and 180';
+      }
+    }
+
+    if (pincodes.some(pincode => !/^\d{6}$/.test(pincode))) {
+      errors.pincodes = 'Pincodes must be 6 digits';
+    }
+
+    if (radiusM !== null && (!Number.isInteger(radiusM) || radiusM <= 0)) {
+      errors.radius_m = 'Radius must be a whole number of meters above 0';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return { errors };
+    }
+
+    return {
+      locality: {
+        name,
+        city: row.city || null,
+        state: row.state || null,
+        pincodes: [...new Set(pincodes)],
+        boundary: boundary ? boundary.geometry : null,
+        latitude: Number.isFinite(latitude) ? latitude : null,
+        longitude: Number.isFinite(longitude) ? longitude : null,
+        radiusM
+      }
+    };
+  }
+}
+
+module.exports = new LocalityService();
@@ -1,9 +1,39 @@
 const geolib = require('geolib');
-const axios = require('axios');
-const { GOOGLE_MAPS_API_KEY } = process.env;
+const GeocodeCache = require('../models/geocode-cache.model');
+const googleGeocoder = require('./geocoders/google.geocoder');
+const localGeocoder = require('./geocoders/local.geocoder');
 const { calculateBoundingBox } = require('../utils/geo');
+const { AppError } = require('../utils/error');
+
+const GEOCODERS = {
+  [googleGeocoder.name]: googleGeocoder,
+  [localGeocoder.name]: localGeocoder
+};
+
+// Google when a key is configured, otherwise the local gazetteer
+const GEOCODER_PROVIDER = process.env.GEOCODER_PROVIDER || (process.env.GOOGLE_MAPS_API_KEY ? 'google' : 'local');
+
+// Tried when the provider fails or finds nothing; set GEOCODER_FALLBACK=none to disable
+const GEOCODER_FALLBACK = process.env.GEOCODER_FALLBACK || 'local';
+
+const GEOCODE_CACHE_TTL_DAYS = parseInt(process.env.GEOCODE_CACHE_TTL_DAYS) || 30;
+
+// No match, or an empty place list: worth asking the next geocoder, not worth caching
+const isEmptyAnswer = result => result === null || (Array.isArray(result) && result.length === 0);
 
 class LocationService {
+  constructor() {
+    this.geocoders = [GEOCODER_PROVIDER, GEOCODER_FALLBACK]
+      .filter((name, i, names) => name !== 'none' && names.indexOf(name) === i)
+      .map(name => {
+        if (!GEOCODERS[name]) {
+          throw new Error(`Unknown geocoding provider "${name}"; use one of: ${Object.keys(GEOCODERS).join(', ')}`);
+        }
+
+        return GEOCODERS[name];
+      });
+  }
+
   /**
    * Calculate distance between two coordinates in meters
    * @param {Number} lat1 - Latitude of first point
@@ -38,79 +68,38 @@ class LocationService {
   /**
    * Geocode an address to coordinates
    * @param {String} address - Address to geocode
-   * @returns {Object} - Coordinates and address components
+   * @returns {Object} - Coordinates, address components and the provider that answered
    */
   async geocodeAddress(address) {
-    try {
-      const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
-        params: {
-          address,
-          key: GOOGLE_MAPS_API_KEY
-        }
-      });
-
-      if (response.data.status !== 'OK') {
-        throw new Error(`Geocoding failed: ${response.data.status}`);
-      }
-
-      const result = response.data.results[0];
-      const { lat, lng } = result.geometry.location;
+    const key = String(address).trim().toLowerCase().replace(/\s+/g, ' ');
 
-      // Extract address components
-      const addressComponents = {};
-      result.address_components.forEach(component => {
-        component.types.forEach(type => {
-          addressComponents[type] = component.long_name;
-        });
-      });
+    const result = await this._lookup('geocode', key, geocoder => geocoder.geocode(address));
 
-      return {
-        latitude: lat,
-        longitude: lng,
-        formattedAddress: result.formatted_address,
-        addressComponents
-      };
-    } catch (error) {
-      throw new Error(`Geocoding failed: ${error.message}`);
+    if (!result) {
+      throw new AppError('Address could not be found', 404);
     }
+
+    return result;
   }
 
   /**
    * Reverse geocode coordinates to address
+   * Coordinates are rounded to about a metre so nearby lookups share a cache entry.
    * @param {Number} latitude - Latitude
    * @param {Number} longitude - Longitude
-   * @returns {Object} - Address and address components
+   * @returns {Object} - Address, address components and the provider that answered
    */
   async reverseGeocode(latitude, longitude) {
-    try {
-      const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
-        params: {
-          latlng: `${latitude},${longitude}`,
-          key: GOOGLE_MAPS_API_KEY
-        }
-      });
-
-      if (response.data.status !== 'OK') {
-        throw new Error(`Reverse geocoding failed: ${response.data.status}`);
-      }
-
-      const result = response.data.results[0];
+    const lat = Number(Number(latitude).toFixed(5));
+    const lng = Number(Number(longitude).toFixed(5));
 
-      // Extract address components
-      const addressComponents = {};
-      result.address_components.forEach(component => {
-        component.types.forEach(type => {
-          addressComponents[type] = component.long_name;
-        });
-      });
+    const result = await this._lookup('reverse', `${lat},${lng}`, geocoder => geocoder.reverse(lat, lng));
 
-      return {
-        formattedAddress: result.formatted_address,
-        addressComponents
-      };
-    } catch (error) {
-      throw new Error(`Reverse geocoding failed: ${error.message}`);
+    if (!result) {
+      throw new AppError('No address found for this location', 404);
     }
+
+    return result;
   }
 
   /**
@@ -122,38 +111,12 @@ class LocationService {
    * @returns {Array} - Array of nearby places
    */
   async getNearbyPlaces(latitude, longitude, radius = 1000, type = null) {
-    try {
-      const params = {
-        location: `${latitude},${longitude}`,
-        radius,
-        key: GOOGLE_MAPS_API_KEY
-      };
-
-      if (type) {
-        params.type = type;
-      }
+    const lat = Number(Number(latitude).toFixed(4));
+    const lng = Number(Number(longitude).toFixed(4));
+    const key = `${lat},${lng}|${radius}|${type || ''}`;
 
-      const response = await axios.get('https://maps.googleapis.com/maps/api/place/nearbysearch/json', {
-        params
-      });
-
-      if (response.data.status !== 'OK' && response.data.status !== 'ZERO_RESULTS') {
-        throw new Error(`Nearby places search failed: ${response.data.status}`);
-      }
-
-      return response.data.results.map(place => ({
-        id: place.place_id,
-        name: place.name,
-        address: place.vicinity,
-        latitude: place.geometry.location.lat,
-        longitude: place.geometry.location.lng,
-        types: place.types,
-        rating: place.rating,
-        userRatingsTotal: place.user_ratings_total
-      }));
-    } catch (error) {
-      throw new Error(`Nearby places search failed: ${error.message}`);
-    }
+    const places = await this._lookup('nearby', key, geocoder => geocoder.nearbyPlaces(lat, lng, radius, type));
+    return places || [];
   }
 
   /**
@@ -174,7 +137,67 @@ class LocationService {
       return false;
     }
   }
+
+  /**
+   * Ask each configured geocoder in turn, reading and filling the cache for paid ones
+   * A geocoder that fails or finds nothing (null or an empty list) passes the lookup to the next.
+   * @param {String} lookupType - 'geocode', 'reverse' or 'nearby'
+   * @param {String} lookupKey - Normalised request, the cache key
+   * @param {Function} lookup - Runs the request against one geocoder
+   * @returns {Object|Array|null} - First answer, or null when no geocoder found anything
+   * @private
+   */
+  async _lookup(lookupType, lookupKey, lookup) {
+    let lastError = null;
+    let answered = false;
+
+    for (const geocoder of this.geocoders) {
+      if (geocoder.cacheable) {
+        const cached = await GeocodeCache.find(geocoder.name, lookupType, lookupKey).catch(error => {
+          console.error('Error reading geocode cache:', error);
+          return null;
+        });
+
+        if (cached && !isEmptyAnswer(cached)) {
+          return cached;
+        }
+      }
+
+      let result;
+
+      try {
+        result = await lookup(geocoder);
+      } catch (error) {
+        console.error(`${geocoder.name} ${lookupType} lookup failed:`, error.message);
+        lastError = error;
+        continue;
+      }
+
+      answered = true;
+
+      if (isEmptyAnswer(result)) {
+        continue;
+      }
+
+      if (!Array.isArray(result)) {
+        result.provider = geocoder.name;
+      }
+
+      if (geocoder.cacheable) {
+        await GeocodeCache.save(geocoder.name, lookupType, lookupKey, result, GEOCODE_CACHE_TTL_DAYS).catch(error => {
+          console.error('Error writing geocode cache:', error);
+        });
+      }
+
+      return result;
+    }
+
+    if (!answered && lastError) {
+      throw new AppError(`Geocoding failed: ${lastError.message}`, 502);
+    }
+
+    return null;
+  }
 }
 
 module.exports = new LocationService();
-
@@ -0,0 +1,60 @@
+const Catalog = require('../models/catalog.model');
+const Product = require('../models/product.model');
+const { AppError } = require('../utils/error');
+
+class OfferService {
+  /**
+   * Compare the shops selling a catalog item
+   * With a location, each offer carries its distance in meters and a radius limits the shops.
+   * @param {Number} catalogId - ID of the catalog item
+   * @param {Object} options - lat, lng, radius (meters) and sort ('price' or 'distance')
+   * @returns {Object} - Catalog item, offers and min/median/max price stats
+   */
+  async getOffers(catalogId, { lat, lng, radius, sort = 'price' } = {}) {
+    const catalogItem = await Catalog.findById(catalogId);
+
+    if (!catalogItem) {
+      throw new AppError('Catalog item not found', 404);
+    }
+
+    if (sort === 'distance' && (lat === undefined || lng === undefined)) {
+      throw new AppError('Sorting by distance needs lat and lng', 400);
+    }
+
+    const offers = await Product.findOffersByCatalogId(catalogId, { lat, lng, radius });
+
+    if (sort === 'distance') {
+      offers.sort((a, b) => a.distance - b.distance || Number(a.offer_price) - Number(b.offer_price));
+    }
+
+    return {
+      catalogItem,
+      offers,
+      stats: this._priceStats(offers.map(offer => Number(offer.offer_price)))
+    };
+  }
+
+  /**
+   * Summarise offer prices
+   * @param {Array} prices - Offer prices
+   * @returns {Object} - count, min, median and max (null when there are no offers)
+   * @private
+   */
+  _priceStats(prices) {
+    if (prices.length === 0) {
+      return { count: 0, min: null, median: null, max: null };
+    }
+
+    const sorted = [...prices].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+
+    return {
+      count: sorted.length,
+      min: sorted[0],
+      median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+      max: sorted[sorted.length - 1]
+    };
+  }
+}
+
+module.exports = new OfferService();
@@ -0,0 +1,250 @@
+const db = require('../config/database');
+const Cart = require('../models/cart.model');
+const Order = require('../models/order.model');
+const ProductUnit = require('../models/product-unit.model');
+const Shop = require('../models/shop.model');
+const inventoryService = require('./inventory.service');
+const deliveryService = require('./delivery.service');
+const { getOwnedShop } = require('../utils/ownership');
+const { AppError } = require('../utils/error');
+
+// Allowed status changes; completed and cancelled are final
+const ORDER_TRANSITIONS = {
+  placed: ['accepted', 'cancelled'],
+  accepted: ['ready_for_pickup', 'out_for_delivery', 'cancelled'],
+  ready_for_pickup: ['completed', 'cancelled'],
+  out_for_delivery: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+class OrderService {
+  /**
+   * Turn the customer's cart into one order per shop
+   * Stock is taken in the same transaction, so the whole checkout fails if any line is short.
+   * Delivery orders are quoted like the delivery quote endpoint: each shop must deliver to the
+   * location and its minimum order value must be met, and the quoted fee is added to the total.
+   * @param {Number} customerId - ID of the customer
+   * @param {Object} checkoutData - Fulfillment type, delivery address and location ({ lat, lng }), and notes
+   * @returns {Array} - Created orders with their items
+   */
+  async checkout(customerId, { fulfillmentType = 'pickup', deliveryAddress = null, deliveryLocation = null, notes = null } = {}) {
+    if (fulfillmentType === 'delivery' && !deliveryAddress) {
+      throw new AppError('Delivery address is required for delivery orders', 400);
+    }
+
+    if (fulfillmentType === 'delivery' && !deliveryLocation) {
+      throw new AppError('A delivery location (saved address or lat/lng) is required for delivery orders', 400);
+    }
+
+    return db.transaction(async (client) => {
+      const items = await Cart.findByUserId(customerId, client);
+
+      if (items.length === 0) {
+        throw new AppError('Cart is empty', 400);
+      }
+
+      // Group cart lines by shop
+      const itemsByShop = new Map();
+      items.forEach(item => {
+        if (!itemsByShop.has(item.shop_id)) {
+          itemsByShop.set(item.shop_id, []);
+        }
+        itemsByShop.get(item.shop_id).push(item);
+      });
+
+      const orders = [];
+
+      for (const [shopId, shopItems] of itemsByShop) {
+        if (!shopItems[0].shop_is_approved) {
+          throw new AppError(`Shop "${shopItems[0].shop_name}" is not accepting orders`, 400);
+        }
+
+        const subtotal = shopItems.reduce((sum, item) => sum + Number(item.price) * item.quantity, 0);
+        let deliveryFee = 0;
+
+        if (fulfillmentType === 'delivery') {
+          const quote = await deliveryService.quote(shopId, { ...deliveryLocation, subtotal });
+
+          if (!quote.deliverable) {
+            throw new AppError(`"${shopItems[0].shop_name}" cannot take this delivery order: ${quote.reasons.join('; ')}`, 400);
+          }
+
+          deliveryFee = quote.fee;
+        }
+
+        const order = await Order.create({
+          customerId,
+          shopId,
+          fulfillmentType,
+          deliveryAddress: fulfillmentType === 'delivery' ? deliveryAddress : null,
+          notes,
+          deliveryFee,
+          total: subtotal + deliveryFee
+        }, client);
+
+        for (const item of shopItems) {
+          try {
+            await inventoryService.applyMovement({
+              productId: item.product_id,
+              variantId: item.variant_id,
+              type: 'sale',
+              quantity: -item.quantity,
+              actorId: customerId,
+              referenceType: 'order',
+              referenceId: order.id
+            }, client);
+          } catch (error) {
+            if (error.statusCode === 409) {
+              throw new AppError(`Not enough stock for "${item.title}"`, 409);
+            }
+            throw error;
+          }
+
+          await Order.addItem({
+            orderId: order.id,
+            productId: item.product_id,
+            variantId: item.variant_id,
+            variantOptions: item.variant_options,
+            title: item.title,
+            unitPrice: item.price,
+            quantity: item.quantity
+          }, client);
+        }
+
+        orders.push(await Order.findById(order.id, client));
+      }
+
+      await Cart.clear(customerId, client);
+
+      return orders;
+    });
+  }
+
+  /**
+   * Get an order visible to the requesting user
+   * @param {Number} orderId - ID of the order
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @returns {Object} - Order with items
+   */
+  async getOrder(orderId, user) {
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const isCustomer = order.customer_id === user.sub;
+    const isShopOwner = order.shop_owner_id === user.sub;
+
+    if (!isCustomer && !isShopOwner && user.role !== 'admin') {
+      throw new AppError('Not authorized to view this order', 403);
+    }
+
+    return order;
+  }
+
+  /**
+   * List the customer's own orders
+   * @param {Number} customerId - ID of the customer
+   * @param {Number} page - Page number
+   * @param {Number} limit - Page size
+   * @param {String} status - Optional status filter
+   * @returns {Object} - Orders and pagination
+   */
+  async getCustomerOrders(customerId, page, limit, status) {
+    return Order.list(page, limit, { customerId, status });
+  }
+
+  /**
+   * List orders received by a shop
+   * @param {Number} shopId - ID of the shop
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @param {Number} page - Page number
+   * @param {Number} limit - Page size
+   * @param {String} status - Optional status filter
+   * @returns {Object} - Orders and pagination
+   */
+  async getShopOrders(shopId, user, page, limit, status) {
+    await getOwnedShop(shopId, user, 'view orders');
+
+    return Order.list(page, limit, { shopId, status });
+  }
+
+  /**
+   * Move an order through its lifecycle
+   * Shop owners drive every step; customers may only cancel an order the shop has not accepted yet.
+   * Cancelling puts the ordered units back into stock.
+   * @param {Number} orderId - ID of the order
+   * @param {String} status - Target status
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @param {String} reason - Optional cancellation reason
+   * @returns {Object} - Updated order with items
+   */
+  async updateStatus(orderId, status, user, reason = null) {
+    return db.transaction(async (client) => {
+      const order = await Order.lockById(orderId, client);
+
+      if (!order) {
+        throw new AppError('Order not found', 404);
+      }
+
+      const shop = await Shop.findById(order.shop_id);
+      const isShopOwner = shop && shop.owner_id === user.sub;
+      const isCustomer = order.customer_id === user.sub;
+
+      if (!isShopOwner && user.role !== 'admin') {
+        if (!isCustomer) {
+          throw new AppError('Not authorized to update this order', 403);
+        }
+
+        if (status !== 'cancelled' || order.status !== 'placed') {
+          throw new AppError('Customers can only cancel orders that have not been accepted', 403);
+        }
+      }
+
+      if (!ORDER_TRANSITIONS[order.status].includes(status)) {
+        throw new AppError(`Cannot move order from ${order.status} to ${status}`, 409);
+      }
+
+      if (status === 'ready_for_pickup' && order.fulfillment_type !== 'pickup') {
+        throw new AppError('Only pickup orders can be marked ready for pickup', 409);
+      }
+
+      if (status === 'out_for_delivery' && order.fulfillment_type !== 'delivery') {
+        throw new AppError('Only delivery orders can be sent out for delivery', 409);
+      }
+
+      if (status === 'cancelled') {
+        const items = await Order.findItems(orderId, client);
+
+        for (const item of items) {
+          if (item.product_id) {
+            await inventoryService.applyMovement({
+              productId: item.product_id,
+              variantId: item.variant_id,
+              type: 'return',
+              quantity: item.quantity,
+              actorId: user.sub,
+              reason: reason || 'Order cancelled',
+              referenceType: 'order',
+              referenceId: order.id
+            }, client);
+          }
+        }
+
+        // Serials captured once the order was accepted go back on the shelf
+        await ProductUnit.releaseByOrder(orderId, client);
+      }
+
+      await Order.updateStatus(orderId, status, {
+        cancelReason: reason,
+        cancelledBy: status === 'cancelled' ? user.sub : null
+      }, client);
+
+      return Order.findById(orderId, client);
+    });
+  }
+}
+
+module.exports = new OrderService();
@@ -0,0 +1,281 @@
+const XLSX = require('xlsx');
+const Catalog = require('../models/catalog.model');
+const ImportJob = require('../models/import-job.model');
+const Product = require('../models/product.model');
+const { validateProductData } = require('../utils/validators');
+const { getOwnedShop } = require('../utils/ownership');
+const { getFileFormat, parseSheetRows } = require('../utils/spreadsheet');
+const { AppError } = require('../utils/error');
+
+// Column order shared by imports and exports so a shop can round-trip its file
+const COLUMNS = ['id', 'title', 'price', 'stock', 'description', 'category', 'catalog_id', 'catalog_name', 'brand', 'image_url'];
+
+const MAX_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 5000;
+
+// Save progress every this many rows while a job runs
+const PROGRESS_BATCH_SIZE = 50;
+
+class ProductImportService {
+  /**
+   * Parse an uploaded file and queue an import job for it
+   * The rows are processed after the response is sent; poll the job for progress.
+   * @param {Number} shopId - ID of the shop receiving the products
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @param {Object} file - Multer file (buffer, originalname)
+   * @returns {Object} - Created import job
+   */
+  async startImport(shopId, user, file) {
+    await getOwnedShop(shopId, user, 'manage products');
+
+    const format = getFileFormat(file.originalname);
+    const rows = parseSheetRows(file.buffer, format, MAX_ROWS);
+
+    if (rows.length === 0) {
+      throw new AppError('The file has no product rows', 400);
+    }
+
+    const job = await ImportJob.create({
+      shopId,
+      userId: user.sub,
+      fileName: file.originalname,
+      format,
+      totalRows: rows.length
+    });
+
+    setImmediate(() => {
+      this._processImport(job.id, shopId, user.sub, rows).catch(error => {
+        console.error(`Product import job ${job.id} failed:`, error);
+      });
+    });
+
+    return job;
+  }
+
+  /**
+   * Get an import job with its per-row error report
+   * @param {Number} jobId - ID of the import job
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @returns {Object} - Import job
+   */
+  async getImportJob(jobId, user) {
+    const job = await ImportJob.findById(jobId);
+
+    if (!job) {
+      throw new AppError('Import job not found', 404);
+    }
+
+    await getOwnedShop(job.shop_id, user, 'manage products');
+
+    return job;
+  }
+
+  /**
+   * Dump a shop's products in the import format
+   * @param {Number} shopId - ID of the shop
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @param {String} format - 'csv' or 'xlsx'
+   * @returns {Object} - File buffer, name and content type
+   */
+  async exportProducts(shopId, user, format = 'csv') {
+    await getOwnedShop(shopId, user, 'manage products');
+
+    const products = await Product.findAllByShopId(shopId);
+
+    const rows = products.map(product => ({
+      id: product.id,
+      title: product.title,
+      price: product.price,
+      stock: product.stock,
+      description: product.description,
+      category: product.catalog_category,
+      catalog_id: product.catalog_id,
+      catalog_name: product.catalog_name,
+      brand: product.catalog_brand,
+      image_url: product.image_url
+    }));
+
+    const workbook = XLSX.utils.book_new();
+    const sheet = XLSX.utils.json_to_sheet(rows, { header: COLUMNS });
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Products');
+
+    return {
+      buffer: XLSX.write(workbook, { type: 'buffer', bookType: format }),
+      fileName: `shop-${shopId}-products.${format}`,
+      contentType: format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv'
+    };
+  }
+
+  /**
+   * Run an import job row by row, recording failures instead of stopping
+   * @param {Number} jobId - ID of the import job
+   * @param {Number} shopId - ID of the shop
+   * @param {Number} userId - ID of the user who uploaded the file
+   * @param {Array} rows - Parsed rows
+   * @private
+   */
+  async _processImport(jobId, shopId, userId, rows) {
+    await ImportJob.markProcessing(jobId);
+
+    const progress = {
+      processedRows: 0,
+      createdCount: 0,
+      updatedCount: 0,
+      failedCount: 0,
+      rowErrors: []
+    };
+
+    try {
+      for (let i = 0; i < rows.length; i++) {
+        // Header is row 1 in the uploaded sheet
+        const rowNumber = i + 2;
+
+        try {
+          const outcome = await this._importRow(rows[i], shopId, userId);
+          progress[outcome === 'created' ? 'createdCount' : 'updatedCount']++;
+        } catch (error) {
+          progress.failedCount++;
+          progress.rowErrors.push({
+            row: rowNumber,
+            errors: error.rowErrors || { row: error.message }
+          });
+        }
+
+        progress.processedRows++;
+
+        if (progress.processedRows % PROGRESS_BATCH_SIZE === 0) {
+          await ImportJob.updateProgress(jobId, progress);
+        }
+      }
+
+      await ImportJob.updateProgress(jobId, progress);
+      return ImportJob.finish(jobId, 'completed');
+    } catch (error) {
+      await ImportJob.updateProgress(jobId, progress);
+      return ImportJob.finish(jobId, 'failed', error.message);
+    }
+  }
+
+  /**
+   * Create or update the product described by one row
+   * Rows with an id update that product; other rows create a new one.
+   * @param {Object} row - Parsed row keyed by column name
+   * @param {Number} shopId - ID of the shop
+   * @param {Number} userId - ID of the importing user
+   * @returns {String} - 'created' or 'updated'
+   * @private
+   */
+  async _importRow(row, shopId, userId) {
+    const catalogItem = await this._matchCatalogItem(row);
+
+    const title = row.title || (catalogItem && catalogItem.name);
+    const productData = {
+      name: title,
+      price: row.price,
+      category: row.category || (catalogItem && catalogItem.category),
+      description: row.description || undefined,
+      stock: row.stock === '' ? undefined : row.stock
+    };
+
+    const { valid, errors } = validateProductData(productData);
+    if (!valid) {
+      throw this._rowError(errors);
+    }
+
+    if (row.id) {
+      const existing = await Product.findById(row.id);
+
+      if (!existing || existing.shop_id !== Number(shopId)) {
+        throw this._rowError({ id: `Product ${row.id} does not belong to this shop` });
+      }
+
+      await Product.update(row.id, {
+        title,
+        price: Number(row.price),
+        description: productData.description,
+        stock: productData.stock !== undefined ? parseInt(productData.stock) : undefined,
+        // Blank catalog and image columns unlink the catalog item and remove the image
+        imageUrl: row.image_url || null,
+        catalogId: catalogItem ? catalogItem.id : null,
+        actorId: userId
+      });
+
+      return 'updated';
+    }
+
+    await Product.create({
+      shopId,
+      title,
+      price: Number(row.price),
+      description: productData.description || null,
+      stock: productData.stock !== undefined ? parseInt(productData.stock) : 0,
+      imageUrl: row.image_url || null,
+      catalogId: catalogItem ? catalogItem.id : null,
+      actorId: userId
+    });
+
+    return 'created';
+  }
+
+  /**
+   * Find the catalog item a row refers to by catalog id, or by name and brand
+   * With a catalog id, a catalog name or brand that names another item is an error rather than
+   * being ignored, so an edited export does not silently keep the old item.
+   * @param {Object} row - Parsed row
+   * @returns {Object|null} - Catalog item, or null when the row names none
+   * @private
+   */
+  async _matchCatalogItem(row) {
+    if (row.catalog_id) {
+      const item = await Catalog.findById(row.catalog_id);
+
+      if (!item) {
+        throw this._rowError({ catalog_id: `Catalog item ${row.catalog_id} not found` });
+      }
+
+      const errors = {};
+      const hint = 'clear catalog_id to pick a different catalog item';
+
+      if (row.catalog_name && row.catalog_name.toLowerCase() !== String(item.name).toLowerCase()) {
+        errors.catalog_name = `Catalog item ${item.id} is "${item.name}"; ${hint}`;
+      }
+
+      if (row.brand && row.brand.toLowerCase() !== String(item.brand || '').toLowerCase()) {
+        errors.brand = `Catalog item ${item.id} is from ${item.brand || 'no brand'}; ${hint}`;
+      }
+
+      if (Object.keys(errors).length > 0) {
+        throw this._rowError(errors);
+      }
+
+      return item;
+    }
+
+    if (row.catalog_name) {
+      const item = await Catalog.findByNameAndBrand(row.catalog_name, row.brand || null);
+
+      if (!item) {
+        throw this._rowError({ catalog_name: `No catalog item named "${row.catalog_name}"${row.brand ? ` from ${row.brand}` : ''}` });
+      }
+
+      return item;
+    }
+
+    return null;
+  }
+
+  /**
+   * Build an error carrying field-level messages for the job report
+   * @param {Object} errors - Field name to message
+   * @returns {Error} - Error with rowErrors attached
+   * @private
+   */
+  _rowError(errors) {
+    const error = new Error('Invalid row');
+    error.rowErrors = errors;
+    return error;
+  }
+}
+
+module.exports = new ProductImportService();
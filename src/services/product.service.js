@@ -1,6 +1,8 @@
+const db = require('../config/database');
 const Product = require('../models/product.model');
 const CatalogItem = require('../models/catalog.model');
 const S3Service = require('./s3.service');
+const inventoryService = require('./inventory.service');
 const { validateProductData } = require('../utils/validators');
 
 class ProductService {
@@ -298,9 +300,37 @@ class ProductService {
 
   /**
    * Update product stock
+   * The change is posted to the stock ledger instead of being added to the count directly
    * @param {String} productId - ID of product
    * @param {Number} stockChange - Amount to change stock by
    * @param {String} shopId - ID of the shop
-   * @returns {Object} - Updated product
+   * @param {String} reason - Optional reason recorded with the movement
+   * @returns {Object} - Recorded stock movement
    */
-  async updateStock(productI
+  async updateStock(productId, stockChange, shopId, reason = null) {
+    try {
+      const product = await Product.findById(productId);
+      
+      if (!product) {
+        throw new Error('Product not found');
+      }
+      
+      if (product.shop_id.toString() !== shopId.toString()) {
+        throw new Error('Unauthorized: This product does not belong to your shop');
+      }
+      
+      return await db.transaction(async (client) => {
+        return inventoryService.applyMovement({
+          productId,
+          type: stockChange > 0 ? 'restock' : 'adjustment',
+          quantity: stockChange,
+          reason
+        }, client);
+      });
+    } catch (error) {
+      throw new Error(`Failed to update stock: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ProductService();
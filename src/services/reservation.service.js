@@ -0,0 +1,174 @@
+const db = require('../config/database');
+const Product = require('../models/product.model');
+const ProductVariant = require('../models/product-variant.model');
+const Reservation = require('../models/reservation.model');
+const inventoryService = require('./inventory.service');
+const { getOwnedShop } = require('../utils/ownership');
+const { AppError } = require('../utils/error');
+
+const DEFAULT_HOLD_HOURS = parseFloat(process.env.RESERVATION_DEFAULT_HOLD_HOURS) || 4;
+const MAX_HOLD_HOURS = parseFloat(process.env.RESERVATION_MAX_HOLD_HOURS) || 24;
+
+class ReservationService {
+  /**
+   * Hold units of a product, or of one of its variants, for a customer until they come to the shop
+   * The product (or variant) row is locked while the hold is placed, so two customers can never
+   * both be promised the last unit.
+   * @param {Number} customerId - ID of the customer
+   * @param {Object} reservationData - Product ID, variant ID (required for products with variants), quantity, hold duration in hours and note
+   * @returns {Object} - Created reservation
+   */
+  async createReservation(customerId, { productId, variantId = null, quantity = 1, holdHours = DEFAULT_HOLD_HOURS, note = null }) {
+    if (holdHours > MAX_HOLD_HOURS) {
+      throw new AppError(`Items can be held for at most ${MAX_HOLD_HOURS} hours`, 400);
+    }
+
+    return db.transaction(async (client) => {
+      const product = await Product.lockStock(productId, client);
+
+      if (!product) {
+        throw new AppError('Product not found', 404);
+      }
+
+      const variants = await ProductVariant.findByProductId(productId);
+
+      if (variants.length > 0 && !variantId) {
+        throw new AppError(`Choose which variant of "${product.title}" to hold`, 400);
+      }
+
+      if (variantId) {
+        const variant = await ProductVariant.lockById(variantId, client);
+
+        if (!variant || variant.product_id !== product.id) {
+          throw new AppError('Variant not found for this product', 404);
+        }
+
+        if (variant.available_stock < quantity) {
+          throw new AppError(`Only ${Math.max(variant.available_stock, 0)} unit(s) of this "${product.title}" variant available to hold`, 409);
+        }
+      } else if (product.available_stock < quantity) {
+        throw new AppError(`Only ${Math.max(product.available_stock, 0)} unit(s) of "${product.title}" available to hold`, 409);
+      }
+
+      const expiresAt = new Date(Date.now() + holdHours * 60 * 60 * 1000);
+
+      return Reservation.create({ productId, variantId, customerId, quantity, expiresAt, note }, client);
+    });
+  }
+
+  /**
+   * Get a reservation visible to the requesting user
+   * @param {Number} reservationId - ID of the reservation
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @returns {Object} - Reservation
+   */
+  async getReservation(reservationId, user) {
+    const reservation = await Reservation.findById(reservationId);
+
+    if (!reservation) {
+      throw new AppError('Reservation not found', 404);
+    }
+
+    const isCustomer = reservation.customer_id === user.sub;
+    const isShopOwner = reservation.shop_owner_id === user.sub;
+
+    if (!isCustomer && !isShopOwner && user.role !== 'admin') {
+      throw new AppError('Not authorized to view this reservation', 403);
+    }
+
+    return reservation;
+  }
+
+  /**
+   * List the customer's own reservations
+   * @param {Number} customerId - ID of the customer
+   * @param {Number} page - Page number
+   * @param {Number} limit - Page size
+   * @param {String} status - Optional status filter
+   * @returns {Object} - Reservations and pagination
+   */
+  async getCustomerReservations(customerId, page, limit, status) {
+    return Reservation.list(page, limit, { customerId, status });
+  }
+
+  /**
+   * List reservations against a shop's products
+   * @param {Number} shopId - ID of the shop
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @param {Number} page - Page number
+   * @param {Number} limit - Page size
+   * @param {String} status - Optional status filter
+   * @returns {Object} - Reservations and pagination
+   */
+  async getShopReservations(shopId, user, page, limit, status) {
+    await getOwnedShop(shopId, user, 'view reservations');
+
+    return Reservation.list(page, limit, { shopId, status });
+  }
+
+  /**
+   * Release a hold early (customer changed their mind or shop cannot honour it)
+   * @param {Number} reservationId - ID of the reservation
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @returns {Object} - Cancelled reservation
+   */
+  async cancelReservation(reservationId, user) {
+    await this.getReservation(reservationId, user);
+
+    const cancelled = await Reservation.close(reservationId, 'cancelled');
+
+    if (!cancelled) {
+      throw new AppError('Only active reservations can be cancelled', 409);
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Hand the held units over to the customer and take them out of stock
+   * @param {Number} reservationId - ID of the reservation
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @returns {Object} - Fulfilled reservation
+   */
+  async fulfillReservation(reservationId, user) {
+    const reservation = await this.getReservation(reservationId, user);
+
+    if (reservation.shop_owner_id !== user.sub && user.role !== 'admin') {
+      throw new AppError('Only the shop can fulfill a reservation', 403);
+    }
+
+    return db.transaction(async (client) => {
+      const locked = await Reservation.lockById(reservationId, client);
+
+      if (locked.status !== 'active' || new Date(locked.expires_at) <= new Date()) {
+        throw new AppError('Only active, unexpired reservations can be fulfilled', 409);
+      }
+
+      // Close the hold first so its own units count as available again
+      const fulfilled = await Reservation.close(reservationId, 'fulfilled', client);
+
+      await inventoryService.applyMovement({
+        productId: locked.product_id,
+        variantId: locked.variant_id,
+        type: 'reservation',
+        quantity: -locked.quantity,
+        actorId: user.sub,
+        reason: 'Reserved units picked up',
+        referenceType: 'reservation',
+        referenceId: locked.id
+      }, client);
+
+      return fulfilled;
+    });
+  }
+
+  /**
+   * Expire holds that have run past their deadline
+   * @returns {Number} - Number of reservations expired
+   */
+  async expireReservations() {
+    return Reservation.expireOverdue();
+  }
+}
+
+module.exports = new ReservationService();
@@ -0,0 +1,53 @@
+const axios = require('axios');
+
+const OSRM_URL = process.env.ROUTING_OSRM_URL;
+
+// One OSRM server usually serves one profile, so each mode may point at its own server
+const PROFILES = {
+  walking: { url: process.env.ROUTING_OSRM_WALKING_URL || OSRM_URL, profile: 'foot' },
+  driving: { url: process.env.ROUTING_OSRM_DRIVING_URL || OSRM_URL, profile: 'driving' }
+};
+
+/**
+ * Travel times from an OSRM-compatible routing server's table service
+ * In development this can be a local OSRM container or any stand-in answering /table/v1.
+ */
+class OsrmRouting {
+  constructor() {
+    this.name = 'osrm';
+  }
+
+  /**
+   * Travel time from one point to many, in a single table request
+   * @param {Object} origin - { latitude, longitude }
+   * @param {Array} destinations - Points ({ latitude, longitude })
+   * @param {String} mode - 'walking' or 'driving'
+   * @param {AbortSignal} signal - Aborts the request once the caller's deadline passes
+   * @returns {Array} - Seconds to each destination, null where there is no route
+   */
+  async durations(origin, destinations, mode, signal) {
+    const { url, profile } = PROFILES[mode];
+
+    if (!url) {
+      throw new Error(`No OSRM server is configured for ${mode}`);
+    }
+
+    const coordinates = [origin, ...destinations]
+      .map(point => `${point.longitude},${point.latitude}`)
+      .join(';');
+
+    const response = await axios.get(`${url.replace(/\/$/, '')}/table/v1/${profile}/${coordinates}`, {
+      params: { sources: 0, annotations: 'duration' },
+      signal
+    });
+
+    if (response.data.code !== 'Ok') {
+      throw new Error(`OSRM table request failed: ${response.data.code}`);
+    }
+
+    // The first destination is the origin itself
+    return response.data.durations[0].slice(1);
+  }
+}
+
+module.exports = new OsrmRouting();
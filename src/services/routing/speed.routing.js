@@ -0,0 +1,36 @@
+const { haversineDistance } = require('../../utils/geo');
+
+// Typical city speeds in km/h
+const SPEEDS_KMH = {
+  walking: parseFloat(process.env.ETA_WALKING_SPEED_KMH) || 4.5,
+  driving: parseFloat(process.env.ETA_DRIVING_SPEED_KMH) || 20
+};
+
+// Roads are longer than the straight line; 1.4 is typical of Indian city grids
+const DETOUR_FACTOR = parseFloat(process.env.ETA_DETOUR_FACTOR) || 1.4;
+
+/**
+ * Travel times estimated from straight-line distance and an average speed
+ * Needs no routing server, so it is the fallback when one is not configured or fails.
+ */
+class SpeedRouting {
+  constructor() {
+    this.name = 'estimate';
+  }
+
+  /**
+   * Estimated travel time from one point to many
+   * @param {Object} origin - { latitude, longitude }
+   * @param {Array} destinations - Points ({ latitude, longitude })
+   * @param {String} mode - 'walking' or 'driving'
+   * @returns {Array} - Seconds to each destination
+   */
+  async durations(origin, destinations, mode) {
+    return destinations.map(point => {
+      const km = haversineDistance(origin.latitude, origin.longitude, point.latitude, point.longitude) * DETOUR_FACTOR;
+      return (km / SPEEDS_KMH[mode]) * 3600;
+    });
+  }
+}
+
+module.exports = new SpeedRouting();
@@ -0,0 +1,222 @@
+const Search = require('../models/search.model');
+const SearchLog = require('../models/search-log.model');
+const SearchSynonym = require('../models/search-synonym.model');
+const { toTerms } = require('../utils/search');
+const { encodeGeohash } = require('../utils/geo');
+const { AppError } = require('../utils/error');
+const { saveUnique } = require('../utils/db-errors');
+
+// Shortest input worth suggesting for
+const MIN_SUGGEST_LENGTH = 2;
+
+// Geohash length stored with each search; 5 is a cell of roughly 5 x 5 km
+const SEARCH_LOG_CELL_PRECISION = parseInt(process.env.SEARCH_LOG_CELL_PRECISION) || 5;
+
+class SearchService {
+  /**
+   * Suggest what the user may be typing, grouped by kind
+   * Matching is typo tolerant, so 'samsng' still suggests Samsung.
+   * @param {String} q - Text typed so far
+   * @param {Number} limit - Suggestions per group
+   * @returns {Object} - Query, grouped suggestions and a corrected spelling if one exists
+   */
+  async suggest(q, limit = 5) {
+    const term = (q || '').trim();
+
+    if (term.length < MIN_SUGGEST_LENGTH) {
+      return { query: term, suggestions: { catalog: [], brands: [], categories: [], shops: [] }, didYouMean: null };
+    }
+
+    const suggestions = await Search.suggest(term, limit);
+    const found = Object.values(suggestions).some(group => group.length > 0);
+
+    return {
+      query: term,
+      suggestions,
+      didYouMean: found ? null : await Search.correct(term)
+    };
+  }
+
+  /**
+   * Record a search for the admin reports
+   * Only the first page counts, so paging through results is not logged as repeat searches,
+   * and plain listings with no search text or filters are skipped.
+   * Logging never fails the search itself; errors are only reported to the console.
+   * @param {String} scope - 'product', 'catalog' or 'shop'
+   * @param {Object} entry - Search text, other filters, searcher's lat/lng, result count, page and user ID
+   * @returns {Promise} - Resolves once the row is written (or the write failed)
+   */
+  async logSearch(scope, { query, filters = {}, lat, lng, resultCount, page = 1, userId }) {
+    if (parseInt(page) > 1 || (!query && Object.keys(filters).length === 0)) {
+      return;
+    }
+
+    try {
+      const terms = query ? toTerms(query) : [];
+      const hasLocation = lat !== undefined && lng !== undefined && !isNaN(lat) && !isNaN(lng);
+
+      // Keep what narrowed the search, but not the exact location
+      const loggedFilters = {};
+      Object.keys(filters).forEach(key => {
+        if (!['search', 'lat', 'lng'].includes(key) && filters[key] !== undefined) {
+          loggedFilters[key] = filters[key];
+        }
+      });
+
+      await SearchLog.create({
+        scope,
+        query: query ? String(query).trim() : null,
+        normalizedQuery: terms.length > 0 ? terms.join(' ') : null,
+        filters: loggedFilters,
+        locationCell: hasLocation ? encodeGeohash(lat, lng, SEARCH_LOG_CELL_PRECISION) : null,
+        resultCount: parseInt(resultCount) || 0,
+        userId
+      });
+    } catch (error) {
+      console.error(`Failed to log ${scope} search:`, error);
+    }
+  }
+
+  /**
+   * Most searched terms
+   * @param {Object} options - Days to look back, scope, area (geohash prefix) and limit
+   * @returns {Array} - Terms with search, user and zero-result counts
+   */
+  async getTopQueries(options) {
+    return SearchLog.topQueries(options);
+  }
+
+  /**
+   * Terms that returned nothing, most searched first
+   * These are the catalog items and shops customers look for but cannot find.
+   * @param {Object} options - Days to look back, scope, area (geohash prefix) and limit
+   * @returns {Array} - Terms with search counts and the areas they came from
+   */
+  async getZeroResultQueries(options) {
+    return SearchLog.zeroResultQueries(options);
+  }
+
+  /**
+   * Terms searched increasingly often, per area
+   * @param {Object} options - Window in days, scope, area as a geohash prefix or lat/lng, area precision and limit per area
+   * @returns {Array} - Area, term, recent and previous counts and growth factor
+   */
+  async getTrendingTerms({ lat, lng, cell, precision = SEARCH_LOG_CELL_PRECISION, ...options }) {
+    const areaPrecision = Math.min(precision, SEARCH_LOG_CELL_PRECISION);
+    const area = lat !== undefined && lng !== undefined
+      ? encodeGeohash(lat, lng, areaPrecision)
+      : cell;
+
+    return SearchLog.trendingTerms({ ...options, cell: area, precision: areaPrecision });
+  }
+
+  /**
+   * List synonym groups and rewrite rules
+   * @param {String} ruleType - Optional 'synonym' or 'rewrite' filter
+   * @returns {Array} - Rules
+   */
+  async getSynonyms(ruleType = null) {
+    return SearchSynonym.findAll(ruleType);
+  }
+
+  /**
+   * Add a synonym group or rewrite rule
+   * Synonym groups match both ways ('mobile' finds 'smartphone' and back);
+   * rewrites replace the term before searching ('lappy' becomes 'laptop').
+   * @param {Object} ruleData - Rule type, term, synonyms or replacement, active flag
+   * @param {Number} userId - ID of the admin creating the rule
+   * @returns {Object} - Created rule
+   */
+  async createSynonym({ ruleType, term, synonyms, replacement, isActive }, userId) {
+    const rule = this._checkRule({ ruleType, term: term.trim(), synonyms, replacement });
+
+    return saveUnique(() => SearchSynonym.create({ ...rule, isActive, createdBy: userId }), 'A rule of this type already exists for this term');
+  }
+
+  /**
+   * Update a synonym group or rewrite rule; its type cannot change
+   * @param {Number} id - ID of the rule
+   * @param {Object} ruleData - Term, synonyms, replacement and/or active flag
+   * @returns {Object} - Updated rule
+   */
+  async updateSynonym(id, { term, synonyms, replacement, isActive }) {
+    const existing = await SearchSynonym.findById(id);
+
+    if (!existing) {
+      throw new AppError('Search rule not found', 404);
+    }
+
+    const rule = this._checkRule({
+      ruleType: existing.rule_type,
+      term: term !== undefined ? term.trim() : existing.term,
+      synonyms: synonyms !== undefined ? synonyms : existing.synonyms,
+      replacement: replacement !== undefined ? replacement : existing.replacement
+    });
+
+    const updated = await saveUnique(() => SearchSynonym.update(id, {
+      term: term !== undefined ? rule.term : undefined,
+      synonyms: synonyms !== undefined ? rule.synonyms : undefined,
+      replacement: replacement !== undefined ? rule.replacement : undefined,
+      isActive
+    }), 'A rule of this type already exists for this term');
+
+    return updated || existing;
+  }
+
+  /**
+   * Delete a synonym group or rewrite rule
+   * @param {Number} id - ID of the rule
+   * @returns {Object} - Deleted rule ID
+   */
+  async deleteSynonym(id) {
+    const deleted = await SearchSynonym.delete(id);
+
+    if (!deleted) {
+      throw new AppError('Search rule not found', 404);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Check a rule is complete for its type and tidy its synonym list
+   * @param {Object} rule - Rule type, term, synonyms and replacement
+   * @returns {Object} - Rule with cleaned synonyms, and the replacement only for rewrites
+   * @private
+   */
+  _checkRule({ ruleType, term, synonyms, replacement }) {
+    if (ruleType === 'rewrite') {
+      const cleanReplacement = (replacement || '').trim();
+
+      if (!cleanReplacement) {
+        throw new AppError('A rewrite rule needs a replacement', 400);
+      }
+
+      if (cleanReplacement.toLowerCase() === term.toLowerCase()) {
+        throw new AppError('A rewrite rule cannot replace a term with itself', 400);
+      }
+
+      return { ruleType, term, synonyms: [], replacement: cleanReplacement };
+    }
+
+    const seen = new Set([term.toLowerCase()]);
+    const cleanSynonyms = (synonyms || [])
+      .map(synonym => String(synonym).trim())
+      .filter(synonym => {
+        const key = synonym.toLowerCase();
+        if (!synonym || seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      });
+
+    if (cleanSynonyms.length === 0) {
+      throw new AppError('A synonym group needs at least one synonym besides the term', 400);
+    }
+
+    return { ruleType, term, synonyms: cleanSynonyms, replacement: null };
+  }
+}
+
+module.exports = new SearchService();
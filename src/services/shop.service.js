@@ -1,8 +1,24 @@
 const Shop = require('../models/shop.model');
 const Product = require('../models/product.model');
 const LocationService = require('./location.service');
+const EtaService = require('./eta.service');
 const S3Service = require('./s3.service');
 const { validateShopData } = require('../utils/validators');
+const { calculateBoundingBox } = require('../utils/geo');
+
+// From this zoom level in, the map shows individual shops instead of clusters
+const MAP_CLUSTER_MAX_ZOOM = parseInt(process.env.SHOP_MAP_CLUSTER_MAX_ZOOM) || 15;
+
+// Most shops or clusters returned for one map view
+const MAP_MAX_ITEMS = parseInt(process.env.SHOP_MAP_MAX_ITEMS) || 500;
+
+// Grid cells per 256px map tile width, i.e. clusters roughly 64px apart on screen
+const MAP_CELLS_PER_TILE = 4;
+
+// Sorting by travel time ranks this many times the requested shops, nearest first, since the
+// closest shop in a straight line is not always the quickest to reach
+const ETA_CANDIDATE_FACTOR = 3;
+const ETA_MAX_CANDIDATES = 100;
 
 class ShopService {
   /**
@@ -156,59 +172,46 @@ class ShopService {
   }
 
   /**
-   * Find nearby shops
+   * Find approved shops near the user, and any further away that deliver to them
+   * Each shop carries delivers_to_you: true when one of its delivery zones covers the user,
+   * false when it is within reach for pickup only, and walking/driving minutes from the user.
    * @param {Number} latitude - User's latitude
    * @param {Number} longitude - User's longitude
-   * @param {Number} maxDistance - Maximum distance in meters
-   * @param {String} category - Optional shop category filter
-   * @returns {Array} - Array of nearby shops with distance
+   * @param {Number} radiusKm - Pickup search radius in kilometers
+   * @param {Number} limit - Maximum number of shops
+   * @param {Object} options - deliveryOnly: only shops that deliver to the user;
+   *   sortBy: 'distance' (default), 'walking' or 'driving' time
+   * @returns {Array} - Nearby shops with distance in meters and travel times
    */
-  async findNearbyShops(latitude, longitude, maxDistance = 5000, category = null) {
-    try {
-      // Build query with geospatial filter
-      const query = {
-        location: {
-          $near: {
-            $geometry: {
-              type: 'Point',
-              coordinates: [longitude, latitude]
-            },
-            $maxDistance: maxDistance
-          }
-        },
-        status: 'approved'  // Only show approved shops
-      };
-      
-      // Add category filter if provided
-      if (category) {
-        query.category = category;
-      }
-      
-      // Find shops matching criteria
-      const shops = await Shop.find(query).populate('owner', 'name');
-      
-      // Calculate and add distance to each shop
-      const shopsWithDistance = shops.map(shop => {
-        const distance = LocationService.calculateDistance(
-          latitude, 
-          longitude,
-          shop.location.coordinates[1],
-          shop.location.coordinates[0]
-        );
-        
-        return {
-          ...shop.toObject(),
-          distance: {
-            meters: Math.round(distance),
-            kilometers: (distance / 1000).toFixed(1)
-          }
-        };
-      });
-      
-      return shopsWithDistance;
-    } catch (error) {
-      throw new Error(`Failed to find nearby shops: ${error.message}`);
+  async findNearbyShops(latitude, longitude, radiusKm = 5, limit = 20, { deliveryOnly = false, sortBy = 'distance' } = {}) {
+    const byEta = sortBy === 'walking' || sortBy === 'driving';
+    const candidates = byEta ? Math.min(limit * ETA_CANDIDATE_FACTOR, ETA_MAX_CANDIDATES) : limit;
+
+    const shops = await Shop.findNearby(latitude, longitude, radiusKm * 1000, candidates, { deliveryOnly });
+    const timed = await EtaService.annotate({ latitude, longitude }, shops);
+
+    return byEta ? EtaService.sortByEta(timed, sortBy).slice(0, limit) : timed;
+  }
+
+  /**
+   * Approved shops for a map view: grid clusters when zoomed out, the shops themselves when zoomed in
+   * The view is a bounding box, or a radius around a point turned into one.
+   * @param {Object} view - zoom plus bounds ({ minLat, maxLat, minLon, maxLon }) or latitude, longitude and radiusKm
+   * @returns {Object} - type 'clusters' (count, mean position and extent per cell) or 'shops', and whether items were cut off
+   */
+  async getMapShops({ zoom, bounds, latitude, longitude, radiusKm = 5 }) {
+    const box = bounds || calculateBoundingBox(latitude, longitude, radiusKm);
+
+    if (zoom >= MAP_CLUSTER_MAX_ZOOM) {
+      const shops = await Shop.findInBounds(box, MAP_MAX_ITEMS);
+      return { type: 'shops', zoom, bounds: box, cellSize: null, items: shops, truncated: shops.length === MAP_MAX_ITEMS };
     }
+
+    // A 256px tile spans 360 / 2^zoom degrees of longitude
+    const cellSize = 360 / Math.pow(2, zoom) / MAP_CELLS_PER_TILE;
+    const clusters = await Shop.clusterInBounds(box, cellSize, MAP_MAX_ITEMS);
+
+    return { type: 'clusters', zoom, bounds: box, cellSize, items: clusters, truncated: clusters.length === MAP_MAX_ITEMS };
   }
 
   /**
@@ -262,6 +265,19 @@ class ShopService {
     }
   }
 
+  /**
+   * List shops with page or cursor pagination, search and filters
+   * @param {Number} page - Page number
+   * @param {Number} limit - Page size
+   * @param {Object} filters - Search text, status and approval filters
+   * @param {Object} sort - Sort field and order
+   * @param {String} cursor - next_cursor of the previous page; replaces the page number when given
+   * @returns {Object} - Shops and pagination
+   */
+  async getShops(page, limit, filters = {}, sort = {}, cursor = null) {
+    return Shop.list(parseInt(page), parseInt(limit), filters, sort, cursor);
+  }
+
   /**
    * Get all shops (for admin)
    * @returns {Array} - Array of all shops
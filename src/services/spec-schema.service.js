@@ -0,0 +1,92 @@
+const Category = require('../models/category.model');
+const SpecSchema = require('../models/spec-schema.model');
+const { validateSpecSchemaFields } = require('../utils/validators');
+const { AppError, ValidationError } = require('../utils/error');
+
+class SpecSchemaService {
+  /**
+   * Get every category's spec schema, for clients rendering catalog forms
+   * @returns {Array} - Spec schemas
+   */
+  async getSchemas() {
+    return SpecSchema.findAll();
+  }
+
+  /**
+   * Get the spec schema for one category
+   * @param {String} category - Category ID, slug or name
+   * @returns {Object} - Spec schema
+   */
+  async getSchema(category) {
+    const categoryRow = await this._getCategory(category);
+    const schema = await SpecSchema.findByCategoryId(categoryRow.id);
+
+    if (!schema) {
+      throw new AppError(`No spec schema defined for ${categoryRow.name}`, 404);
+    }
+
+    return schema;
+  }
+
+  /**
+   * Define or replace the spec schema for a category
+   * Catalog items saved afterwards must match it; existing items are checked on their next update.
+   * @param {String} category - Category ID, slug or name
+   * @param {Array} fields - Field definitions
+   * @param {Object} user - Authenticated admin ({ sub, role })
+   * @returns {Object} - Saved spec schema
+   */
+  async saveSchema(category, fields, user) {
+    const categoryRow = await this._getCategory(category);
+    const fieldErrors = validateSpecSchemaFields(fields);
+
+    if (fieldErrors) {
+      throw new ValidationError('Invalid spec schema', { fields: fieldErrors });
+    }
+
+    const normalized = fields.map(field => ({
+      key: field.key,
+      label: field.label || field.key,
+      type: field.type,
+      unit: field.unit || null,
+      required: Boolean(field.required),
+      ...(field.allowedValues && { allowedValues: field.allowedValues }),
+      ...(field.min !== undefined && { min: field.min }),
+      ...(field.max !== undefined && { max: field.max })
+    }));
+
+    return SpecSchema.upsert(categoryRow.id, normalized, user.sub);
+  }
+
+  /**
+   * Remove a category's spec schema, making its specs free-form again
+   * @param {String} category - Category ID, slug or name
+   */
+  async deleteSchema(category) {
+    const categoryRow = await this._getCategory(category);
+    const deleted = await SpecSchema.delete(categoryRow.id);
+
+    if (!deleted) {
+      throw new AppError(`No spec schema defined for ${categoryRow.name}`, 404);
+    }
+  }
+
+  /**
+   * Find the category a schema route names, or fail with 404
+   * A name shared by categories under different parents names neither; use the ID or slug.
+   * @param {String} category - Category ID, slug or name
+   * @returns {Object} - Category
+   * @private
+   */
+  async _getCategory(category) {
+    const categoryRow = await Category.findByFilter(category);
+
+    if (!categoryRow) {
+      throw new AppError(`Category ${category} not found`, 404);
+    }
+
+    return categoryRow;
+  }
+}
+
+module.exports = new SpecSchemaService();
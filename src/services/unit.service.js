@@ -0,0 +1,239 @@
+const db = require('../config/database');
+const Order = require('../models/order.model');
+const Product = require('../models/product.model');
+const ProductUnit = require('../models/product-unit.model');
+const { isValidImei } = require('../utils/validators');
+const { getOwnedProduct } = require('../utils/ownership');
+const { saveUnique } = require('../utils/db-errors');
+const { AppError } = require('../utils/error');
+
+// Allowed manual status changes for a unit
+const UNIT_TRANSITIONS = {
+  in_stock: ['reserved', 'sold'],
+  reserved: ['in_stock', 'sold'],
+  sold: ['returned'],
+  returned: ['in_stock']
+};
+
+// Orders whose units may have serials captured against them
+const CAPTURABLE_ORDER_STATUSES = ['accepted', 'ready_for_pickup', 'out_for_delivery', 'completed'];
+
+class UnitService {
+  /**
+   * Register serialised units under a product
+   * Products whose catalog item tracks IMEIs need a valid IMEI on every unit.
+   * @param {Number} productId - ID of the product
+   * @param {Array} units - [{ serialNumber, imei, variantId, notes }]
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @returns {Array} - Registered units
+   */
+  async registerUnits(productId, units, user) {
+    const product = await getOwnedProduct(productId, user, 'manage units');
+
+    const prepared = units.map((unit, index) => {
+      const identifiers = this._normalizeIdentifiers(product, unit.serialNumber, unit.imei, `Unit ${index + 1}`);
+
+      if (unit.variantId && !product.variants.some(v => v.id === Number(unit.variantId))) {
+        throw new AppError(`Unit ${index + 1}: variant not found for this product`, 400);
+      }
+
+      return { ...unit, ...identifiers };
+    });
+
+    return saveUnique(() => db.transaction(async (client) => {
+      const created = [];
+
+      for (const unit of prepared) {
+        created.push(await ProductUnit.create({
+          productId: product.id,
+          variantId: unit.variantId,
+          serialNumber: unit.serialNumber,
+          imei: unit.imei,
+          notes: unit.notes
+        }, client));
+      }
+
+      return created;
+    }), 'One of these serial numbers or IMEIs is already registered');
+  }
+
+  /**
+   * List a product's units with counts per status
+   * @param {Number} productId - ID of the product
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @param {Number} page - Page number
+   * @param {Number} limit - Page size
+   * @param {Object} filters - Optional status and variant ID
+   * @returns {Object} - Units, status counts and pagination
+   */
+  async getUnits(productId, user, page, limit, filters = {}) {
+    await getOwnedProduct(productId, user, 'manage units');
+
+    const counts = await ProductUnit.countByStatus(productId);
+    const units = await ProductUnit.findByProductId(productId, page, limit, filters);
+
+    return { counts, ...units };
+  }
+
+  /**
+   * Move a unit to a new status, e.g. mark a returned phone as back in stock
+   * @param {Number} productId - ID of the product
+   * @param {Number} unitId - ID of the unit
+   * @param {String} status - Target status
+   * @param {String} notes - Optional note
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @returns {Object} - Updated unit
+   */
+  async updateUnitStatus(productId, unitId, status, notes, user) {
+    await getOwnedProduct(productId, user, 'manage units');
+
+    const unit = await ProductUnit.findById(unitId);
+
+    if (!unit || unit.product_id !== Number(productId)) {
+      throw new AppError('Unit not found for this product', 404);
+    }
+
+    if (!UNIT_TRANSITIONS[unit.status].includes(status)) {
+      throw new AppError(`Cannot move unit from ${unit.status} to ${status}`, 409);
+    }
+
+    return ProductUnit.updateStatus(unitId, status, notes);
+  }
+
+  /**
+   * Record which serialised units were handed over for an order line
+   * Units not registered beforehand are created as sold on the spot.
+   * @param {Number} orderId - ID of the order
+   * @param {Number} orderItemId - ID of the order line
+   * @param {Array} serials - Serial numbers or IMEIs of the units sold
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @returns {Array} - Units marked as sold
+   */
+  async captureSaleSerials(orderId, orderItemId, serials, user) {
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    if (order.shop_owner_id !== user.sub && user.role !== 'admin') {
+      throw new AppError('Only the shop can record serial numbers for this order', 403);
+    }
+
+    if (!CAPTURABLE_ORDER_STATUSES.includes(order.status)) {
+      throw new AppError(`Serial numbers cannot be recorded for a ${order.status} order`, 409);
+    }
+
+    const item = order.items.find(i => i.id === Number(orderItemId));
+
+    if (!item || !item.product_id) {
+      throw new AppError('Order item not found', 404);
+    }
+
+    const product = await Product.findById(item.product_id);
+
+    return db.transaction(async (client) => {
+      // Concurrent captures for the same line wait here, so the count below stays accurate
+      await Order.lockItem(item.id, client);
+      const captured = await ProductUnit.countByOrderItem(item.id, client);
+
+      if (captured + serials.length > item.quantity) {
+        throw new AppError(`Only ${item.quantity - captured} more serial number(s) can be recorded for this item`, 400);
+      }
+
+      const sold = [];
+
+      for (const serial of serials) {
+        let unit = await ProductUnit.lockBySerial(item.product_id, serial, client);
+
+        if (!unit) {
+          const identifiers = this._normalizeIdentifiers(product, serial, null, serial);
+          // Serial numbers and IMEIs are unique across all products, not just this one
+          unit = await saveUnique(() => ProductUnit.create({
+            productId: item.product_id,
+            variantId: item.variant_id,
+            serialNumber: identifiers.serialNumber,
+            imei: identifiers.imei
+          }, client), `${serial} is already registered to another product`);
+        } else if (!['in_stock', 'reserved'].includes(unit.status)) {
+          throw new AppError(`Unit ${serial} is ${unit.status} and cannot be sold`, 409);
+        }
+
+        sold.push(await ProductUnit.markSold(unit.id, {
+          orderId: order.id,
+          orderItemId: item.id,
+          customerId: order.customer_id
+        }, client));
+      }
+
+      return sold;
+    });
+  }
+
+  /**
+   * Look up a unit by serial number or IMEI for warranty or theft checks
+   * The shop, its buyer and admins see the full record; anyone else gets status only.
+   * @param {String} serial - Serial number or IMEI
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @returns {Object} - Unit details
+   */
+  async lookupSerial(serial, user) {
+    const unit = await ProductUnit.findBySerial(serial);
+
+    if (!unit) {
+      throw new AppError('No unit registered with this serial number or IMEI', 404);
+    }
+
+    const isShopOwner = unit.shop_owner_id === user.sub;
+    const isBuyer = unit.sold_to === user.sub;
+
+    if (isShopOwner || isBuyer || user.role === 'admin') {
+      return unit;
+    }
+
+    return {
+      serial_number: unit.serial_number,
+      imei: unit.imei,
+      status: unit.status,
+      product_title: unit.product_title,
+      catalog_name: unit.catalog_name,
+      catalog_brand: unit.catalog_brand,
+      shop_name: unit.shop_name,
+      sold_at: unit.sold_at
+    };
+  }
+
+  /**
+   * Check a unit's identifiers against its catalog item's tracking rules
+   * @param {Object} product - Product with catalog_serial_tracking
+   * @param {String} serialNumber - Serial number (may itself be the IMEI)
+   * @param {String} imei - IMEI, if given separately
+   * @param {String} label - Unit label for error messages
+   * @returns {Object} - { serialNumber, imei }
+   * @private
+   */
+  _normalizeIdentifiers(product, serialNumber, imei, label) {
+    const serial = serialNumber ? String(serialNumber).trim() : '';
+    let normalizedImei = imei ? String(imei).trim() : null;
+
+    if (!serial && !normalizedImei) {
+      throw new AppError(`${label}: serial number is required`, 400);
+    }
+
+    if (product.catalog_serial_tracking === 'imei' && !normalizedImei) {
+      // Phones are often registered by IMEI alone
+      normalizedImei = serial;
+    }
+
+    if (normalizedImei && !isValidImei(normalizedImei)) {
+      throw new AppError(`${label}: ${normalizedImei} is not a valid IMEI`, 400);
+    }
+
+    return {
+      serialNumber: serial || normalizedImei,
+      imei: normalizedImei
+    };
+  }
+}
+
+module.exports = new UnitService();
@@ -0,0 +1,198 @@
+const db = require('../config/database');
+const Product = require('../models/product.model');
+const ProductVariant = require('../models/product-variant.model');
+const inventoryService = require('./inventory.service');
+const { validateVariantOptions } = require('../utils/validators');
+const { getOwnedProduct } = require('../utils/ownership');
+const { saveUnique } = require('../utils/db-errors');
+const { AppError } = require('../utils/error');
+
+// Stable key for an options object so { a, b } and { b, a } compare equal
+const optionsKey = (options) => JSON.stringify(Object.keys(options).sort().map(name => [name, options[name]]));
+
+class VariantService {
+  /**
+   * Get all variants of a product
+   * @param {Number} productId - ID of the product
+   * @returns {Array} - Variants
+   */
+  async getVariants(productId) {
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      throw new AppError('Product not found', 404);
+    }
+
+    return product.variants;
+  }
+
+  /**
+   * Add a variant to a product; opening stock is booked in the stock ledger
+   * @param {Number} productId - ID of the product
+   * @param {Object} variantData - Options, SKU, price, stock and image URL
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @returns {Object} - Created variant
+   */
+  async createVariant(productId, { options, sku, price, stock = 0, imageUrl }, user) {
+    const product = await getOwnedProduct(productId, user, 'manage variants');
+
+    return saveUnique(() => db.transaction(async (client) => {
+      return this._createWithStock(client, product, { options, sku, price, stock, imageUrl }, user.sub);
+    }), 'A variant with these options already exists');
+  }
+
+  /**
+   * Create one variant per combination of option values, skipping combinations that exist
+   * e.g. Color [Black, Blue] x Storage [128GB, 256GB] gives four variants
+   * @param {Number} productId - ID of the product
+   * @param {Array} axes - Option definitions as accepted by validateProductData
+   * @param {Object} defaults - Price and stock for each new variant
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @returns {Array} - Created variants
+   */
+  async generateVariants(productId, axes, { price, stock = 0 }, user) {
+    const axesErrors = validateVariantOptions(axes);
+    if (axesErrors) {
+      throw new AppError(`Invalid variants: ${JSON.stringify(axesErrors)}`, 400);
+    }
+
+    const product = await getOwnedProduct(productId, user, 'manage variants');
+
+    const combinations = axes.reduce((acc, axis) => {
+      const next = [];
+      acc.forEach(combination => {
+        axis.options.forEach(value => {
+          next.push({ ...combination, [axis.name]: value });
+        });
+      });
+      return next;
+    }, [{}]);
+
+    const existing = new Set(product.variants.map(variant => optionsKey(variant.options)));
+    const missing = combinations.filter(options => !existing.has(optionsKey(options)));
+
+    return db.transaction(async (client) => {
+      const created = [];
+
+      for (const options of missing) {
+        created.push(await this._createWithStock(client, product, {
+          options,
+          price: price !== undefined ? price : product.price,
+          stock
+        }, user.sub));
+      }
+
+      return created;
+    });
+  }
+
+  /**
+   * Update a variant; a new stock count is booked as an adjustment in the ledger
+   * The stock adjustment and the other changes are saved together or not at all.
+   * @param {Number} productId - ID of the product
+   * @param {Number} variantId - ID of the variant
+   * @param {Object} variantData - Fields to change
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @returns {Object} - Updated variant
+   */
+  async updateVariant(productId, variantId, { options, sku, price, stock, imageUrl }, user) {
+    const product = await getOwnedProduct(productId, user, 'manage variants');
+    const variant = product.variants.find(v => v.id === Number(variantId));
+
+    if (!variant) {
+      throw new AppError('Variant not found for this product', 404);
+    }
+
+    return saveUnique(() => db.transaction(async (client) => {
+      if (stock !== undefined) {
+        const current = await ProductVariant.lockById(variantId, client);
+        const delta = Number(stock) - current.stock;
+
+        if (delta !== 0) {
+          await inventoryService.applyMovement({
+            productId: product.id,
+            variantId: current.id,
+            type: 'adjustment',
+            quantity: delta,
+            actorId: user.sub,
+            reason: 'Stock count updated'
+          }, client);
+        }
+      }
+
+      const updated = await ProductVariant.update(variantId, { options, sku, price, imageUrl }, client);
+      return updated || ProductVariant.findById(variantId, client);
+    }), 'A variant with these options already exists');
+  }
+
+  /**
+   * Remove a variant from a product
+   * @param {Number} productId - ID of the product
+   * @param {Number} variantId - ID of the variant
+   * @param {Object} user - Authenticated user ({ sub, role })
+   * @returns {Object} - Deleted variant
+   */
+  async deleteVariant(productId, variantId, user) {
+    const product = await getOwnedProduct(productId, user, 'manage variants');
+    const variant = product.variants.find(v => v.id === Number(variantId));
+
+    if (!variant) {
+      throw new AppError('Variant not found for this product', 404);
+    }
+
+    await db.transaction(async (client) => {
+      // Write off the remaining stock so the movements kept in the ledger still balance
+      if (variant.stock > 0) {
+        await inventoryService.applyMovement({
+          productId: product.id,
+          variantId: variant.id,
+          type: 'adjustment',
+          quantity: -variant.stock,
+          actorId: user.sub,
+          reason: 'Variant deleted'
+        }, client);
+      }
+
+      await ProductVariant.delete(variant.id, client);
+    });
+
+    return variant;
+  }
+
+  /**
+   * Insert a variant with zero stock, then book its opening stock
+   * @param {Object} client - Transaction client
+   * @param {Object} product - Parent product
+   * @param {Object} variantData - Options, SKU, price, stock and image URL
+   * @param {Number} actorId - ID of the user creating the variant
+   * @returns {Object} - Created variant
+   * @private
+   */
+  async _createWithStock(client, product, { options, sku, price, stock, imageUrl }, actorId) {
+    const variant = await ProductVariant.create({
+      productId: product.id,
+      sku,
+      options,
+      price,
+      stock: 0,
+      imageUrl
+    }, client);
+
+    if (stock > 0) {
+      const movement = await inventoryService.applyMovement({
+        productId: product.id,
+        variantId: variant.id,
+        type: 'restock',
+        quantity: stock,
+        actorId,
+        reason: 'Opening stock'
+      }, client);
+
+      variant.stock = movement.stock_after;
+    }
+
+    return variant;
+  }
+}
+
+module.exports = new VariantService();
@@ -0,0 +1,37 @@
+/**
+ * Turning database constraint errors into client errors
+ */
+
+const { AppError } = require('./error');
+
+// Postgres error code for a unique or exclusion constraint clash
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Check whether a database error is a unique constraint clash
+ * @param {Error} error - Error thrown by a query
+ * @returns {Boolean} - True for a unique_violation
+ */
+const isUniqueViolation = (error) => Boolean(error) && error.code === UNIQUE_VIOLATION;
+
+/**
+ * Run a write, turning a unique constraint clash into a 409
+ * @param {Function} save - Function performing the insert or update
+ * @param {String|Function} message - 409 message, or a function building it from the database error
+ * @returns {*} - Result of the write
+ */
+const saveUnique = async (save, message) => {
+  try {
+    return await save();
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      throw new AppError(typeof message === 'function' ? message(error) : message, 409);
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  isUniqueViolation,
+  saveUnique
+};
@@ -0,0 +1,50 @@
+/**
+ * Error utilities shared by controllers and services
+ */
+
+/**
+ * Error carrying an HTTP status code for the error middleware
+ */
+class AppError extends Error {
+  /**
+   * @param {String} message - Error message returned to the client
+   * @param {Number} statusCode - HTTP status code
+   */
+  constructor(message, statusCode = 500) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Error carrying field-level messages; the error middleware returns them with a 400
+ */
+class ValidationError extends AppError {
+  /**
+   * @param {String} message - Error message returned to the client
+   * @param {Object} errors - Field name to message
+   */
+  constructor(message, errors = {}) {
+    super(message, 400);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Wrap an async route handler so rejected promises reach the error middleware
+ * @param {Function} fn - Async route handler
+ * @returns {Function} - Express middleware
+ */
+const catchAsync = (fn) => {
+  return (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  catchAsync
+};
@@ -215,6 +215,76 @@ const createGeoWithinQuery = (latitude, longitude, radiusInMeters) => {
   };
 };
 
+/**
+ * Create a PostGIS condition for geometries intersecting a bounding box
+ * A box crossing the antimeridian (minLon > maxLon) is split in two.
+ * @param {String} column - Geometry or geography column, e.g. 's.location'
+ * @param {Object} bounds - Bounding box ({ minLat, maxLat, minLon, maxLon }) as from calculateBoundingBox
+ * @param {Number} counter - Number of the first placeholder to use
+ * @returns {Object} - SQL condition and its parameters
+ */
+const createBoundsCondition = (column, { minLat, maxLat, minLon, maxLon }, counter) => {
+  const envelope = (west, east) => `ST_MakeEnvelope($${west}, $${counter + 1}, $${east}, $${counter + 3}, 4326)`;
+  const values = [minLon, minLat, maxLon, maxLat];
+
+  if (minLon <= maxLon) {
+    return { sql: `${column}::geometry && ${envelope(counter, counter + 2)}`, values };
+  }
+
+  values.push(180, -180);
+  return {
+    sql: `(${column}::geometry && ${envelope(counter, counter + 4)} OR ${column}::geometry && ${envelope(counter + 5, counter + 2)})`,
+    values
+  };
+};
+
+// Base32 alphabet used by geohashes
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Encode a point as a geohash, a string naming the grid cell it falls in
+ * Nearby points share a prefix; precision 5 is a cell of roughly 5 x 5 km.
+ * @param {Number} latitude - Latitude
+ * @param {Number} longitude - Longitude
+ * @param {Number} precision - Number of characters
+ * @returns {String} - Geohash
+ */
+const encodeGeohash = (latitude, longitude, precision = 5) => {
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+  
+  while (hash.length < precision) {
+    // Bits alternate between longitude and latitude, starting with longitude
+    const range = evenBit ? lonRange : latRange;
+    const coordinate = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+    
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    
+    evenBit = !evenBit;
+    bits++;
+    
+    if (bits === 5) {
+      hash += GEOHASH_BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  
+  return hash;
+};
+
 /**
  * Format coordinate for display
  * @param {Number} coordinate - Latitude or longitude
@@ -243,3 +313,7 @@ module.exports = {
   calculateBearing,
   pointInPolygon,
   createGeoWithinQuery,
+  createBoundsCondition,
+  encodeGeohash,
+  formatCoordinate
+};
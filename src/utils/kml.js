@@ -0,0 +1,86 @@
+/**
+ * KML encoding of GeoJSON, for Google Earth, Google My Maps and QGIS
+ */
+
+/**
+ * Escape text for an XML element
+ * @param {*} value - Value to write
+ * @returns {String} - Escaped text
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Write GeoJSON positions as a KML coordinate list
+ * @param {Array} positions - [longitude, latitude] pairs
+ * @returns {String} - e.g. '77.64,12.97 77.65,12.98'
+ */
+const coordinatesKml = (positions) => positions.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+
+/**
+ * Write a polygon's rings as a KML Polygon
+ * @param {Array} rings - Outer ring followed by any holes
+ * @returns {String} - KML Polygon element
+ */
+const polygonKml = ([outer, ...holes]) => {
+  const boundary = (tag, ring) => `<${tag}><LinearRing><coordinates>${coordinatesKml(ring)}</coordinates></LinearRing></${tag}>`;
+
+  return `<Polygon>${boundary('outerBoundaryIs', outer)}${holes.map(hole => boundary('innerBoundaryIs', hole)).join('')}</Polygon>`;
+};
+
+/**
+ * Write a GeoJSON geometry as KML
+ * @param {Object} geometry - Point, Polygon or MultiPolygon
+ * @returns {String} - KML geometry element
+ */
+const geometryKml = (geometry) => {
+  switch (geometry.type) {
+    case 'Point':
+      return `<Point><coordinates>${coordinatesKml([geometry.coordinates])}</coordinates></Point>`;
+    case 'Polygon':
+      return polygonKml(geometry.coordinates);
+    case 'MultiPolygon':
+      return `<MultiGeometry>${geometry.coordinates.map(polygonKml).join('')}</MultiGeometry>`;
+    default:
+      throw new Error(`Cannot write ${geometry.type} geometry as KML`);
+  }
+};
+
+/**
+ * Convert a GeoJSON FeatureCollection to a KML document
+ * Each feature becomes a Placemark named after its `name` property, with every
+ * other property kept as ExtendedData so it shows in the feature's info panel.
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @param {String} documentName - Name shown for the layer
+ * @returns {String} - KML document
+ */
+const featureCollectionToKml = (collection, documentName) => {
+  const placemarks = collection.features.map(feature => {
+    const properties = feature.properties || {};
+    const data = Object.keys(properties)
+      .filter(key => key !== 'name' && properties[key] !== null && properties[key] !== undefined)
+      .map(key => `<Data name="${escapeXml(key)}"><value>${escapeXml(properties[key])}</value></Data>`)
+      .join('');
+
+    return `    <Placemark><name>${escapeXml(properties.name || '')}</name><ExtendedData>${data}</ExtendedData>${geometryKml(feature.geometry)}</Placemark>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(documentName)}</name>`,
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  featureCollectionToKml
+};
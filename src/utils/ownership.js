@@ -0,0 +1,58 @@
+/**
+ * Loading shops and products on behalf of their owners
+ *
+ * Shop owners may only manage their own shops and the products in them; admins may manage any.
+ */
+
+const Shop = require('../models/shop.model');
+const Product = require('../models/product.model');
+const { AppError } = require('./error');
+
+/**
+ * Load a shop and check the user owns it (admins may use any)
+ * @param {Number} shopId - ID of the shop
+ * @param {Object} user - Authenticated user ({ sub, role })
+ * @param {String} action - What the user is doing, for the 403 message, e.g. 'manage delivery zones'
+ * @returns {Object} - Shop
+ */
+const getOwnedShop = async (shopId, user, action) => {
+  const shop = await Shop.findById(shopId);
+
+  if (!shop) {
+    throw new AppError('Shop not found', 404);
+  }
+
+  if (shop.owner_id !== user.sub && user.role !== 'admin') {
+    throw new AppError(`Not authorized to ${action} for this shop`, 403);
+  }
+
+  return shop;
+};
+
+/**
+ * Load a product and check the user owns its shop (admins may use any)
+ * @param {Number} productId - ID of the product
+ * @param {Object} user - Authenticated user ({ sub, role })
+ * @param {String} action - What the user is doing, for the 403 message, e.g. 'manage stock'
+ * @returns {Object} - Product
+ */
+const getOwnedProduct = async (productId, user, action) => {
+  const product = await Product.findById(productId);
+
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+
+  const shop = await Shop.findById(product.shop_id);
+
+  if ((!shop || shop.owner_id !== user.sub) && user.role !== 'admin') {
+    throw new AppError(`Not authorized to ${action} for this product`, 403);
+  }
+
+  return product;
+};
+
+module.exports = {
+  getOwnedShop,
+  getOwnedProduct
+};
@@ -0,0 +1,142 @@
+/**
+ * Keyset (cursor) pagination helpers
+ *
+ * A list query is wrapped so its rows can be read either by page/offset (admin tables)
+ * or after an opaque cursor (infinite scroll). The cursor holds the sort key values of the
+ * last row returned, so rows inserted while scrolling neither repeat nor shift the next page.
+ */
+
+const { AppError } = require('./error');
+
+/**
+ * Build the keys a list is ordered by, ending with the row ID so the order is total
+ * Columns are output column names of the wrapped query and must not be NULL.
+ * @param {Array} keys - Sort keys ({ column, direction }), most significant first
+ * @param {String} idDirection - Direction for the ID tie-breaker
+ * @returns {Array} - Sort keys including the tie-breaker
+ */
+const withIdKey = (keys, idDirection = 'DESC') => {
+  return [...keys, { column: 'id', direction: idDirection }];
+};
+
+/**
+ * Name a sort so a cursor from one ordering is not replayed against another
+ * @param {Array} keys - Sort keys
+ * @returns {String} - e.g. 'price:ASC,id:DESC'
+ */
+const sortSignature = (keys) => keys.map(key => `${key.column}:${key.direction}`).join(',');
+
+/**
+ * Encode the sort key values of a row as an opaque cursor
+ * @param {Array} keys - Sort keys
+ * @param {Array} values - The row's values for each key
+ * @returns {String} - URL-safe cursor
+ */
+const encodeCursor = (keys, values) => {
+  return Buffer.from(JSON.stringify({ s: sortSignature(keys), v: values })).toString('base64url');
+};
+
+/**
+ * Read the sort key values back out of a cursor
+ * @param {String} cursor - Cursor from a previous page
+ * @param {Array} keys - Sort keys of the current request
+ * @returns {Array} - Key values of the last row already seen
+ */
+const decodeCursor = (cursor, keys) => {
+  let decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AppError('Invalid cursor', 400);
+  }
+
+  if (!decoded || !Array.isArray(decoded.v) || decoded.v.length !== keys.length) {
+    throw new AppError('Invalid cursor', 400);
+  }
+
+  if (decoded.s !== sortSignature(keys)) {
+    throw new AppError('Cursor does not match the requested sort order', 400);
+  }
+
+  return decoded.v;
+};
+
+/**
+ * Condition selecting the rows that sort after the cursor row
+ * e.g. (price > $1) OR (price = $1 AND id < $2)
+ * @param {Array} keys - Sort keys
+ * @param {Number} counter - Number of the first placeholder to use
+ * @returns {String} - SQL condition
+ */
+const keysetCondition = (keys, counter) => {
+  const clauses = keys.map((key, i) => {
+    const ties = keys.slice(0, i).map((previous, j) => `${previous.column} = $${counter + j}`);
+    const operator = key.direction === 'ASC' ? '>' : '<';
+
+    return `(${[...ties, `${key.column} ${operator} $${counter + i}`].join(' AND ')})`;
+  });
+
+  return `(${clauses.join(' OR ')})`;
+};
+
+/**
+ * Wrap a list query so one page of it is read, after a cursor or at an offset
+ * One extra row is fetched to tell whether another page follows.
+ * @param {String} query - Query selecting every matching row, without ORDER BY or LIMIT
+ * @param {Array} values - Parameters of the query
+ * @param {Array} keys - Sort keys (see withIdKey)
+ * @param {Object} page - Page size plus either a cursor or an offset
+ * @returns {Object} - SQL and parameters
+ */
+const paginateQuery = (query, values, keys, { limit, offset = 0, cursor = null }) => {
+  const pageValues = [...values];
+  let counter = values.length + 1;
+  let whereClause = '';
+
+  if (cursor) {
+    whereClause = `WHERE ${keysetCondition(keys, counter)}`;
+    pageValues.push(...decodeCursor(cursor, keys));
+    counter += keys.length;
+  }
+
+  // json_build_array keeps full precision, e.g. microseconds of timestamps, for the next cursor
+  const sql = `
+    SELECT paged.*, json_build_array(${keys.map(key => key.column).join(', ')}) as cursor_values
+    FROM (${query}) paged
+    ${whereClause}
+    ORDER BY ${keys.map(key => `${key.column} ${key.direction}`).join(', ')}
+    LIMIT $${counter} OFFSET $${counter + 1}
+  `;
+
+  pageValues.push(parseInt(limit) + 1, cursor ? 0 : offset);
+
+  return { sql, values: pageValues };
+};
+
+/**
+ * Trim the extra row off a page and build the cursor for the next one
+ * @param {Array} rows - Rows read with paginateQuery
+ * @param {Array} keys - Sort keys
+ * @param {Number} limit - Page size
+ * @returns {Object} - Page rows and the next cursor (null on the last page)
+ */
+const pageResult = (rows, keys, limit) => {
+  const items = rows.slice(0, limit);
+  const nextCursor = rows.length > limit && items.length > 0
+    ? encodeCursor(keys, items[items.length - 1].cursor_values)
+    : null;
+
+  items.forEach(row => delete row.cursor_values);
+
+  return { items, nextCursor };
+};
+
+module.exports = {
+  withIdKey,
+  encodeCursor,
+  decodeCursor,
+  keysetCondition,
+  paginateQuery,
+  pageResult
+};
@@ -0,0 +1,185 @@
+/**
+ * Full-text search helpers
+ */
+
+// Text search configuration used by the search_vector columns
+const SEARCH_CONFIG = 'english';
+
+// ts_headline options for highlighted titles and description snippets
+const HIGHLIGHT_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true';
+const SNIPPET_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5, FragmentDelimiter=" … "';
+
+/**
+ * Split text into plain search terms
+ * @param {String} text - Raw text
+ * @returns {Array} - Lower-case alphanumeric terms
+ */
+const toTerms = (text) => {
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+};
+
+/**
+ * Escape text for use inside a RegExp
+ * @param {String} text - Literal text
+ * @returns {String} - Escaped pattern
+ */
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Escape text for use inside a LIKE/ILIKE pattern with ESCAPE '\', so % and _ match themselves
+ * @param {String} text - Literal text
+ * @returns {String} - Escaped pattern fragment
+ */
+const escapeLike = (text) => String(text).replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Pattern matching a word or phrase only where it stands on its own, case-insensitively
+ * @param {String} term - Word or phrase
+ * @returns {RegExp} - Global pattern; group 1 is the leading separator
+ */
+const wholeWordPattern = (term) => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}(?=$|[^\\p{L}\\p{N}])`, 'giu');
+
+/**
+ * Replace whole-word occurrences of each rewrite term, e.g. 'lappy' -> 'laptop'
+ * @param {String} text - Raw search text
+ * @param {Array} rewrites - Rules ({ term, replacement }), applied in order
+ * @returns {String} - Rewritten text
+ */
+const applyRewrites = (text, rewrites = []) => {
+  if (!text) {
+    return text;
+  }
+
+  return rewrites.reduce(
+    (result, rule) => result.replace(wholeWordPattern(rule.term), (match, separator) => `${separator}${rule.replacement}`),
+    String(text)
+  );
+};
+
+/**
+ * Index synonym groups by each of their single-word members
+ * Every member of a group matches every other, so 'mobile' finds 'cell phone' and back.
+ * @param {Array} synonymGroups - Groups of equivalent words or phrases
+ * @returns {Map} - Word to the term lists of its alternatives
+ */
+const indexSynonyms = (synonymGroups = []) => {
+  const index = new Map();
+
+  synonymGroups.forEach(group => {
+    const members = group.map(toTerms).filter(terms => terms.length > 0);
+
+    members.forEach(member => {
+      if (member.length !== 1) {
+        return;
+      }
+
+      const alternatives = index.get(member[0]) || [];
+      members
+        .filter(other => other.join(' ') !== member[0])
+        .forEach(other => alternatives.push(other));
+      index.set(member[0], alternatives);
+    });
+  });
+
+  return index;
+};
+
+/**
+ * Turn a user's search into a to_tsquery() expression
+ * "Quoted words" must appear together as a phrase, a trailing * asks for a prefix match,
+ * and the last word is always prefix-matched so results follow the user as they type.
+ * Words with synonyms also match any of them.
+ * e.g. '"galaxy s23" sams' -> '(galaxy <-> s23) & sams:*'
+ * @param {String} search - Raw search text
+ * @param {Array} synonymGroups - Groups of equivalent words or phrases
+ * @returns {String|null} - tsquery expression, or null when the search has no usable terms
+ */
+const buildTsQuery = (search, synonymGroups = []) => {
+  if (!search) {
+    return null;
+  }
+  
+  const parts = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  
+  while ((match = pattern.exec(String(search))) !== null) {
+    if (match[1] !== undefined) {
+      const terms = toTerms(match[1]);
+      if (terms.length > 0) {
+        parts.push({ phrase: terms });
+      }
+    } else {
+      const prefix = match[2].endsWith('*');
+      toTerms(match[2]).forEach(term => parts.push({ term, prefix }));
+    }
+  }
+  
+  if (parts.length === 0) {
+    return null;
+  }
+  
+  const last = parts[parts.length - 1];
+  if (last.term) {
+    last.prefix = true;
+  }
+  
+  const synonyms = indexSynonyms(synonymGroups);
+  const phrase = (terms) => (terms.length > 1 ? `(${terms.join(' <-> ')})` : terms[0]);
+  
+  return parts
+    .map(part => {
+      if (part.phrase) {
+        return phrase(part.phrase);
+      }
+      
+      const term = `${part.term}${part.prefix ? ':*' : ''}`;
+      const alternatives = synonyms.get(part.term) || [];
+      
+      return alternatives.length > 0
+        ? `(${[term, ...alternatives.map(phrase)].join(' | ')})`
+        : term;
+    })
+    .join(' & ');
+};
+
+/**
+ * List the search text itself plus each single synonym substitution,
+ * for columns matched with ILIKE rather than full-text search
+ * @param {String} search - Search text
+ * @param {Array} synonymGroups - Groups of equivalent words or phrases
+ * @returns {Array} - Distinct variants of the text
+ */
+const expandSearchVariants = (search, synonymGroups = []) => {
+  const text = String(search).trim();
+  const variants = new Set([text]);
+
+  synonymGroups.forEach(group => {
+    group.forEach(member => {
+      const pattern = wholeWordPattern(member);
+      if (!pattern.test(text)) {
+        return;
+      }
+
+      group
+        .filter(other => other.toLowerCase() !== member.toLowerCase())
+        .forEach(other => variants.add(text.replace(pattern, (match, separator) => `${separator}${other}`)));
+    });
+  });
+
+  return [...variants];
+};
+
+module.exports = {
+  SEARCH_CONFIG,
+  HIGHLIGHT_OPTIONS,
+  SNIPPET_OPTIONS,
+  toTerms,
+  escapeLike,
+  applyRewrites,
+  buildTsQuery,
+  expandSearchVariants
+};
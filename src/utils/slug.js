@@ -0,0 +1,20 @@
+/**
+ * URL slug helpers
+ */
+
+/**
+ * Turn a name into a URL slug, e.g. 'Mobiles & Tablets' -> 'mobiles-tablets'
+ * @param {String} text - Name to convert
+ * @returns {String} - Lower-case slug
+ */
+const slugify = (text) => {
+  return String(text)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+module.exports = {
+  slugify
+};
@@ -0,0 +1,207 @@
+/**
+ * Helpers for filtering and faceting on electronics_catalog.specs
+ */
+
+// Spec keys follow the snake_case keys of category spec schemas
+const SPEC_KEY_PATTERN = /^[a-z][a-z0-9_]*$/i;
+
+// Most distinct values returned per text facet
+const FACET_VALUE_LIMIT = 30;
+
+/**
+ * Normalise spec filters from the query string
+ * e.g. { ram_gb: { min: '8' }, os: 'Android,iOS', five_g: 'true' }
+ * @param {Object} specs - Raw spec filters keyed by spec key
+ * @returns {Array} - [{ key, min, max }] for ranges, [{ key, values }] for equality / multi-select
+ */
+const parseSpecFilters = (specs) => {
+  if (!specs || typeof specs !== 'object' || Array.isArray(specs)) {
+    return [];
+  }
+  
+  return Object.entries(specs)
+    .map(([key, value]) => {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const filter = { key };
+        
+        ['min', 'max'].forEach(bound => {
+          if (value[bound] !== undefined && value[bound] !== '' && Number.isFinite(Number(value[bound]))) {
+            filter[bound] = Number(value[bound]);
+          }
+        });
+        
+        return filter;
+      }
+      
+      const values = (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+      
+      return { key, values };
+    })
+    .filter(filter => SPEC_KEY_PATTERN.test(filter.key))
+    .filter(filter => (filter.values ? filter.values.length > 0 : filter.min !== undefined || filter.max !== undefined));
+};
+
+/**
+ * Add spec filter conditions to a WHERE clause
+ * Ranges only match numeric spec values; equality compares the value as text.
+ * @param {String} whereClause - Existing WHERE clause ('' if none)
+ * @param {Array} values - Existing query values
+ * @param {Number} counter - Next placeholder number
+ * @param {Array} specFilters - Parsed spec filters
+ * @param {String} column - JSONB column, e.g. 'c.specs'
+ * @returns {Object} - { whereClause, values, counter }
+ */
+const appendSpecFilters = (whereClause, values, counter, specFilters, column) => {
+  values = [...values];
+  
+  specFilters.forEach(filter => {
+    const conditions = [];
+    const keyParam = `$${counter}::text`;
+    values.push(filter.key);
+    counter++;
+    
+    if (filter.values) {
+      conditions.push(`${column}->>${keyParam} = ANY($${counter})`);
+      values.push(filter.values);
+      counter++;
+    } else {
+      const numericValue = `CASE WHEN jsonb_typeof(${column}->${keyParam}) = 'number' THEN (${column}->>${keyParam})::numeric END`;
+      
+      if (filter.min !== undefined) {
+        conditions.push(`${numericValue} >= $${counter}`);
+        values.push(filter.min);
+        counter++;
+      }
+      
+      if (filter.max !== undefined) {
+        conditions.push(`${numericValue} <= $${counter}`);
+        values.push(filter.max);
+        counter++;
+      }
+    }
+    
+    whereClause += whereClause ? ' AND ' : ' WHERE ';
+    whereClause += `(${conditions.join(' AND ')})`;
+  });
+  
+  return { whereClause, values, counter };
+};
+
+/**
+ * Build the facet count queries for a search
+ * The first query counts every spec key under all filters. Each filtered key gets its own query
+ * that leaves out that key's filter, so a multi-select still lists the values not yet chosen.
+ * @param {String} fromClause - FROM and JOINs of the search, e.g. 'electronics_catalog c'
+ * @param {Object} base - { whereClause, values, counter } without spec filters
+ * @param {Array} specFilters - Parsed spec filters
+ * @param {String} column - JSONB column, e.g. 'c.specs'
+ * @returns {Array} - [{ text, values }] queries returning key, value, type and count rows
+ */
+const buildFacetQueries = (fromClause, base, specFilters, column) => {
+  const buildQuery = (filters, onlyKey) => {
+    let { whereClause, values, counter } = appendSpecFilters(base.whereClause, base.values, base.counter, filters, column);
+    
+    whereClause += whereClause ? ' AND ' : ' WHERE ';
+    whereClause += `jsonb_typeof(kv.value) IN ('string', 'number', 'boolean')`;
+    
+    if (onlyKey) {
+      whereClause += ` AND kv.key = $${counter}`;
+      values.push(onlyKey);
+    }
+    
+    return {
+      text: `
+        SELECT kv.key, kv.value #>> '{}' as value, jsonb_typeof(kv.value) as type, COUNT(*)::int as count
+        FROM ${fromClause}
+        CROSS JOIN LATERAL jsonb_each(
+          CASE WHEN jsonb_typeof(${column}) = 'object' THEN ${column} ELSE '{}'::jsonb END
+        ) kv
+        ${whereClause}
+        GROUP BY kv.key, kv.value
+        ORDER BY kv.key, count DESC
+      `,
+      values
+    };
+  };
+  
+  const queries = [buildQuery(specFilters, null)];
+  
+  specFilters.forEach(({ key }) => {
+    queries.push(buildQuery(specFilters.filter(filter => filter.key !== key), key));
+  });
+  
+  return queries;
+};
+
+/**
+ * Group facet query rows into one facet per spec key
+ * Labels, units and order come from the category's spec schema when there is one.
+ * @param {Array} resultSets - Rows of each query from buildFacetQueries, in order
+ * @param {Array} specFilters - Parsed spec filters the queries were built with
+ * @param {Array} fields - Spec schema fields, or [] when the category has no schema
+ * @returns {Array} - [{ key, label, unit, type, min, max, values: [{ value, count }] }]
+ */
+const groupFacetRows = (resultSets, specFilters, fields = []) => {
+  const rowsByKey = {};
+  resultSets[0].forEach(row => {
+    rowsByKey[row.key] = rowsByKey[row.key] || [];
+    rowsByKey[row.key].push(row);
+  });
+  
+  // A filtered key's counts come from its own query, which ignores that key's filter
+  specFilters.forEach((filter, index) => {
+    if (resultSets[index + 1].length > 0) {
+      rowsByKey[filter.key] = resultSets[index + 1];
+    }
+  });
+  
+  const fieldsByKey = {};
+  fields.forEach(field => {
+    fieldsByKey[field.key] = field;
+  });
+  
+  const facets = Object.entries(rowsByKey).map(([key, rows]) => {
+    const field = fieldsByKey[key];
+    const numeric = rows.every(row => row.type === 'number');
+    
+    let values = rows.map(row => ({
+      value: row.type === 'number' ? Number(row.value) : row.type === 'boolean' ? row.value === 'true' : row.value,
+      count: row.count
+    }));
+    
+    const facet = {
+      key,
+      label: field ? field.label : key,
+      unit: field ? field.unit : null,
+      type: field ? field.type : (numeric ? 'number' : rows[0].type)
+    };
+    
+    if (numeric) {
+      values.sort((a, b) => a.value - b.value);
+      facet.min = values[0].value;
+      facet.max = values[values.length - 1].value;
+    } else {
+      values = values.slice(0, FACET_VALUE_LIMIT);
+    }
+    
+    facet.values = values;
+    return facet;
+  });
+  
+  // Schema fields first, in schema order, then any other keys alphabetically
+  const order = fields.map(field => field.key);
+  return facets.sort((a, b) => {
+    const aIndex = order.includes(a.key) ? order.indexOf(a.key) : order.length;
+    const bIndex = order.includes(b.key) ? order.indexOf(b.key) : order.length;
+    return aIndex - bIndex || a.key.localeCompare(b.key);
+  });
+};
+
+module.exports = {
+  parseSpecFilters,
+  appendSpecFilters,
+  buildFacetQueries,
+  groupFacetRows
+};
@@ -0,0 +1,69 @@
+/**
+ * Reading uploaded CSV/XLSX files for bulk imports
+ */
+
+const XLSX = require('xlsx');
+const { AppError } = require('./error');
+
+/**
+ * Work out a spreadsheet's format from its file name
+ * @param {String} fileName - Uploaded file name
+ * @param {Array} allowed - Accepted extensions
+ * @returns {String} - Lower-case extension, e.g. 'csv'
+ */
+const getFileFormat = (fileName, allowed = ['csv', 'xlsx']) => {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+
+  if (!allowed.includes(extension)) {
+    throw new AppError(`Only ${allowed.map(format => `.${format}`).join(', ')} files can be imported`, 400);
+  }
+
+  return extension;
+};
+
+/**
+ * Read the first sheet of a CSV or XLSX buffer into rows keyed by lower-case header
+ * With maxRows only the header and up to maxRows + 1 rows are parsed, so an oversized file
+ * is rejected without loading all of it.
+ * @param {Buffer} buffer - File contents
+ * @param {String} format - 'csv' or 'xlsx'
+ * @param {Number} maxRows - Most rows under the header a file may have; unlimited when omitted
+ * @returns {Array} - Non-empty rows with trimmed string values
+ */
+const parseSheetRows = (buffer, format, maxRows) => {
+  let workbook;
+
+  try {
+    workbook = XLSX.read(buffer, { type: 'buffer', raw: format === 'csv', sheetRows: maxRows ? maxRows + 2 : 0 });
+  } catch (error) {
+    throw new AppError(`Could not read ${format.toUpperCase()} file: ${error.message}`, 400);
+  }
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+
+  if (!sheet || !sheet['!ref']) {
+    return [];
+  }
+
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  if (maxRows && range.e.r - range.s.r > maxRows) {
+    throw new AppError(`Imports are limited to ${maxRows} rows per file`, 400);
+  }
+
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
+
+  return rows
+    .map(row => {
+      const normalized = {};
+      Object.keys(row).forEach(key => {
+        normalized[key.trim().toLowerCase().replace(/\s+/g, '_')] = String(row[key]).trim();
+      });
+      return normalized;
+    })
+    .filter(row => Object.values(row).some(value => value !== ''));
+};
+
+module.exports = {
+  getFileFormat,
+  parseSheetRows
+};
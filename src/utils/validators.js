@@ -36,6 +36,32 @@ const isValidUrl = (url) => {
   }
 };
 
+/**
+ * Validate an IMEI: 15 digits whose last digit is the Luhn check digit
+ * @param {String} imei - IMEI to validate
+ * @returns {Boolean} - Whether IMEI is valid
+ */
+const isValidImei = (imei) => {
+  if (!/^[0-9]{15}$/.test(imei)) {
+    return false;
+  }
+  
+  let sum = 0;
+  for (let i = 0; i < 15; i++) {
+    let digit = Number(imei[i]);
+    
+    // Double every second digit, counting from the left starting at the second
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    
+    sum += digit;
+  }
+  
+  return sum % 10 === 0;
+};
+
 /**
  * Validate password strength
  * @param {String} password - Password to validate
@@ -177,6 +203,26 @@ const validateShopData = (shopData) => {
   };
 };
 
+/**
+ * Validate variant option definitions, e.g. [{ name: 'Color', options: ['Black', 'Blue'] }]
+ * @param {Array} variants - Variant option definitions
+ * @returns {String|Array|null} - Error message(s), or null if valid
+ */
+const validateVariantOptions = (variants) => {
+  if (!Array.isArray(variants)) {
+    return 'Variants must be an array';
+  }
+  
+  const variantErrors = [];
+  variants.forEach((variant, index) => {
+    if (!variant.name || !variant.options || !Array.isArray(variant.options)) {
+      variantErrors.push(`Variant at index ${index} is invalid`);
+    }
+  });
+  
+  return variantErrors.length > 0 ? variantErrors : null;
+};
+
 /**
  * Validate product data
  * @param {Object} productData - Product data to validate
@@ -222,18 +268,9 @@ const validateProductData = (productData) => {
   }
   
   if (productData.variants) {
-    if (!Array.isArray(productData.variants)) {
-      errors.variants = 'Variants must be an array';
-    } else {
-      const variantErrors = [];
-      productData.variants.forEach((variant, index) => {
-        if (!variant.name || !variant.options || !Array.isArray(variant.options)) {
-          variantErrors.push(`Variant at index ${index} is invalid`);
-        }
-      });
-      if (variantErrors.length > 0) {
-        errors.variants = variantErrors;
-      }
+    const variantErrors = validateVariantOptions(productData.variants);
+    if (variantErrors) {
+      errors.variants = variantErrors;
     }
   }
   
@@ -243,13 +280,144 @@ const validateProductData = (productData) => {
   };
 };
 
+// Value types a category spec schema field can declare
+const SPEC_FIELD_TYPES = ['number', 'integer', 'boolean', 'string', 'enum'];
+
+/**
+ * Validate a category spec schema definition
+ * e.g. [{ key: 'ram_gb', label: 'RAM', type: 'integer', unit: 'GB', required: true }]
+ * @param {Array} fields - Field definitions
+ * @returns {Array|null} - Error messages, or null if valid
+ */
+const validateSpecSchemaFields = (fields) => {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    return ['Fields must be a non-empty array'];
+  }
+  
+  const fieldErrors = [];
+  const keys = new Set();
+  
+  fields.forEach((field, index) => {
+    if (!field || typeof field !== 'object') {
+      fieldErrors.push(`Field at index ${index} is invalid`);
+      return;
+    }
+    
+    if (!field.key || !/^[a-z][a-z0-9_]*$/.test(field.key)) {
+      fieldErrors.push(`Field at index ${index} needs a snake_case key`);
+    } else if (keys.has(field.key)) {
+      fieldErrors.push(`Field key "${field.key}" is used more than once`);
+    } else {
+      keys.add(field.key);
+    }
+    
+    if (!SPEC_FIELD_TYPES.includes(field.type)) {
+      fieldErrors.push(`Field "${field.key}" must have a type of ${SPEC_FIELD_TYPES.join(', ')}`);
+    }
+    
+    if (field.allowedValues !== undefined && (!Array.isArray(field.allowedValues) || field.allowedValues.length === 0)) {
+      fieldErrors.push(`Allowed values for "${field.key}" must be a non-empty array`);
+    } else if (field.type === 'enum' && !field.allowedValues) {
+      fieldErrors.push(`Enum field "${field.key}" needs allowed values`);
+    }
+    
+    ['min', 'max'].forEach(bound => {
+      if (field[bound] !== undefined && typeof field[bound] !== 'number') {
+        fieldErrors.push(`${bound} for "${field.key}" must be a number`);
+      }
+    });
+  });
+  
+  return fieldErrors.length > 0 ? fieldErrors : null;
+};
+
+/**
+ * Validate catalog specs against a category spec schema
+ * Numbers and booleans sent as strings are coerced; keys the schema does not define are rejected.
+ * @param {Object} specs - Specs to validate
+ * @param {Array} fields - Schema field definitions
+ * @returns {Object} - Validation result with the coerced specs
+ */
+const validateSpecs = (specs, fields) => {
+  const errors = {};
+  const normalized = {};
+  
+  if (!specs || typeof specs !== 'object' || Array.isArray(specs)) {
+    return { valid: false, errors: { specs: 'Specs must be an object' }, specs: normalized };
+  }
+  
+  const fieldsByKey = {};
+  fields.forEach(field => {
+    fieldsByKey[field.key] = field;
+  });
+  
+  Object.keys(specs).forEach(key => {
+    if (!fieldsByKey[key]) {
+      errors[key] = 'Not part of this category\'s spec schema';
+    }
+  });
+  
+  fields.forEach(field => {
+    let value = specs[field.key];
+    
+    if (value === undefined || value === null || value === '') {
+      if (field.required) {
+        errors[field.key] = `${field.label || field.key} is required`;
+      }
+      return;
+    }
+    
+    if (field.type === 'number' || field.type === 'integer') {
+      value = Number(value);
+      
+      if (!Number.isFinite(value) || (field.type === 'integer' && !Number.isInteger(value))) {
+        errors[field.key] = `${field.label || field.key} must be ${field.type === 'integer' ? 'a whole number' : 'a number'}`;
+        return;
+      }
+      
+      if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+        errors[field.key] = `${field.label || field.key} must be between ${field.min !== undefined ? field.min : '-∞'} and ${field.max !== undefined ? field.max : '∞'}`;
+        return;
+      }
+    } else if (field.type === 'boolean') {
+      if (['true', 'yes', '1'].includes(String(value).toLowerCase())) {
+        value = true;
+      } else if (['false', 'no', '0'].includes(String(value).toLowerCase())) {
+        value = false;
+      } else {
+        errors[field.key] = `${field.label || field.key} must be yes or no`;
+        return;
+      }
+    } else {
+      value = String(value).trim();
+    }
+    
+    if (field.allowedValues && !field.allowedValues.some(allowed => String(allowed) === String(value))) {
+      errors[field.key] = `${field.label || field.key} must be one of ${field.allowedValues.join(', ')}`;
+      return;
+    }
+    
+    normalized[field.key] = value;
+  });
+  
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+    specs: normalized
+  };
+};
+
 module.exports = {
   isValidEmail,
   isValidPhone,
   isValidUrl,
+  isValidImei,
   validatePassword,
   validateUserData,
   validateShopData,
-  validateProductData
+  validateVariantOptions,
+  validateProductData,
+  validateSpecSchemaFields,
+  validateSpecs
 };
 